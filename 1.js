@@ -1,11 +1,33 @@
 /* script.js
    All logic for the motion simulation.
    - Pure JS, no external libs
-   - requestAnimationFrame driven
-   - Two objects (A & B)
-   - Zones with multipliers
-   - Sliders: Time, Distance, Mass, Friction (ONLY)
-   - Canvas graphs: Distance vs Time & Speed vs Time
+   - Physics in motion-engine.js (headless); this file renders it
+   - requestAnimationFrame driven, fixed physics timestep (frame-rate independent)
+   - Rendering budget: the static track is cached offscreen, live graphs only append
+     new samples (long series are decimated), and the sample buffers are bounded
+   - Up to 8 racers (A–H), each with its own color, mass, friction and offset;
+     click one on the track to inspect it, link properties for fair tests
+   - Zones with multipliers, editable on the track (zone-editor.js)
+   - 2D path mode: oval, S-curve or a drawn path (track-paths.js); objects move along
+     it and their velocity arrow follows the path's direction
+   - Sliders: Time, Distance; mass/friction/offset belong to each racer (object inspector)
+   - Unit picker (units.js): distance, time and speed units used by the sliders, formula,
+     graphs, tooltips, readouts and exports; values are kept in SI underneath
+   - Force model: arcade (target speed) or physics (F = ma with μk, g and air drag)
+   - Track mode: one-way, return trip or bounce; velocity is signed (negative on the way back)
+   - Canvas graphs: Distance, Displacement, Velocity & Acceleration vs Time, with nice
+     ticks (graph-plot.js) and an optional zone overlay on the position graphs
+   - Graph zoom/pan and a two-point measure mode (graph-view.js)
+   - Scenarios: export/import JSON and shareable #scenario= links (scenario.js)
+   - Guided experiments: predict → run → explain worksheets defined as data (experiments.js)
+   - Finish times are interpolated; a results panel shows winner, margin and speeds
+   - Accessibility: throttled screen-reader narration of zones, overtakes and finishes
+     (narration.js), a keyboard-navigable data table of the graphs, and optional
+     sonification of each object's speed (sonification.js)
+   - Formula solver (formula-solver.js): pick the unknown of speed = distance ÷ time,
+     type the other two with units, read the worked steps, then run that race
+   - Every step is recorded; after a run the timeline scrubs/replays it
+   - Graph export: CSV data, PNG snapshots and SVG plots (graph-export.js)
    - Accessible controls, defensive programming
 */
 
@@ -15,30 +37,92 @@ try {
   const trackCtx = trackCanvas.getContext('2d', { alpha: true });
   const distanceGraph = document.getElementById('distanceGraph');
   const distanceCtx = distanceGraph.getContext('2d', { alpha: false });
+  const displacementGraph = document.getElementById('displacementGraph');
+  const displacementCtx = displacementGraph.getContext('2d', { alpha: false });
   const speedGraph = document.getElementById('speedGraph');
   const speedCtx = speedGraph.getContext('2d', { alpha: false });
+  const accelGraph = document.getElementById('accelGraph');
+  const accelCtx = accelGraph.getContext('2d', { alpha: false });
 
   // Controls
   const distanceRange = document.getElementById('distanceRange');
   const distanceNumber = document.getElementById('distanceNumber');
   const timeRange = document.getElementById('timeRange');
   const timeNumber = document.getElementById('timeNumber');
-  const massRange = document.getElementById('massRange');
-  const massNumber = document.getElementById('massNumber');
-  const frictionRange = document.getElementById('frictionRange');
-  const frictionNumber = document.getElementById('frictionNumber');
 
   const startBtn = document.getElementById('startBtn');
   const pauseBtn = document.getElementById('pauseBtn');
   const resetBtn = document.getElementById('resetBtn');
-  const unitsToggle = document.getElementById('unitsToggle');
+  const distanceUnitSelect = document.getElementById('distanceUnitSelect');
+  const timeUnitSelect = document.getElementById('timeUnitSelect');
+  const speedUnitSelect = document.getElementById('speedUnitSelect');
+  const integratorSelect = document.getElementById('integratorSelect');
+  const modelSelect = document.getElementById('modelSelect');
+  const modelNote = document.getElementById('modelNote');
+  const trackModeSelect = document.getElementById('trackModeSelect');
+  const trackModeNote = document.getElementById('trackModeNote');
+  const physicsControls = document.getElementById('physicsControls');
+  const forceRange = document.getElementById('forceRange');
+  const forceNumber = document.getElementById('forceNumber');
+  const muRange = document.getElementById('muRange');
+  const muNumber = document.getElementById('muNumber');
+  const dragToggle = document.getElementById('dragToggle');
+  const dragNumber = document.getElementById('dragNumber');
+  const addRacerBtn = document.getElementById('addRacerBtn');
+  const racerTabs = document.getElementById('racerTabs');
+  const objectInspector = document.getElementById('objectInspector');
+  const speedTrackers = document.getElementById('speedTrackers');
+  const zoneEditToggle = document.getElementById('zoneEditToggle');
+  const pathSelect = document.getElementById('pathSelect');
+  const drawPathBtn = document.getElementById('drawPathBtn');
+  const pathNote = document.getElementById('pathNote');
+  const zoneEditorPanel = document.getElementById('zoneEditorPanel');
+  const scenarioExportBtn = document.getElementById('scenarioExportBtn');
+  const scenarioImportBtn = document.getElementById('scenarioImportBtn');
+  const scenarioFile = document.getElementById('scenarioFile');
+  const scenarioLinkBtn = document.getElementById('scenarioLinkBtn');
+  const scenarioStatus = document.getElementById('scenarioStatus');
+  const replayBar = document.getElementById('replayBar');
+  const replaySlider = document.getElementById('replaySlider');
+  const replayPlayBtn = document.getElementById('replayPlayBtn');
+  const replayBackBtn = document.getElementById('replayBackBtn');
+  const replayFwdBtn = document.getElementById('replayFwdBtn');
+  const replaySpeed = document.getElementById('replaySpeed');
+  const replayTime = document.getElementById('replayTime');
+  const graphExportMenu = document.getElementById('graphExportMenu');
+  const measureToggle = document.getElementById('measureToggle');
+  const resetViewBtn = document.getElementById('resetViewBtn');
+  const measureReadout = document.getElementById('measureReadout');
 
   // Info panel
   const liveSpeed = document.getElementById('liveSpeed');
+  const liveForces = document.getElementById('liveForces');
+  const experimentSelect = document.getElementById('experimentSelect');
+  const experimentPanel = document.getElementById('experimentPanel');
+  const experimentLoadBtn = document.getElementById('experimentLoadBtn');
+  const experimentFile = document.getElementById('experimentFile');
+  const experimentStatus = document.getElementById('experimentStatus');
+  const raceResultsEl = document.getElementById('raceResults');
+  const raceSummary = document.getElementById('raceSummary');
+  const raceResultsBody = document.getElementById('raceResultsBody');
   const formulaDistance = document.getElementById('formulaDistance');
   const formulaTime = document.getElementById('formulaTime');
   const formulaUnits = document.getElementById('formulaUnits');
   const graphTooltip = document.getElementById('graphTooltip');
+  const zoneBandsToggle = document.getElementById('zoneBandsToggle');
+  const speedGraphTitle = document.getElementById('speedGraphTitle');
+  const formulaSolverEl = document.getElementById('formulaSolver');
+  const solverUnknown = document.getElementById('solverUnknown');
+  const solverResultUnit = document.getElementById('solverResultUnit');
+  const solverSolveBtn = document.getElementById('solverSolveBtn');
+  const solverRaceBtn = document.getElementById('solverRaceBtn');
+  const solverOutput = document.getElementById('solverOutput');
+  const narrationEl = document.getElementById('narration');
+  const narrateToggle = document.getElementById('narrateToggle');
+  const sonifyToggle = document.getElementById('sonifyToggle');
+  const dataTableBox = document.getElementById('dataTableBox');
+  const dataTableNote = document.getElementById('dataTableNote');
+  const dataTable = document.getElementById('dataTable');
 
   // Responsive canvas sizing helper
   function resizeCanvases() {
@@ -53,10 +137,20 @@ try {
     distanceGraph.height = Math.floor(dRect.height * ratio);
     distanceCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
 
+    const xRect = displacementGraph.getBoundingClientRect();
+    displacementGraph.width = Math.floor(xRect.width * ratio);
+    displacementGraph.height = Math.floor(xRect.height * ratio);
+    displacementCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
     const sRect = speedGraph.getBoundingClientRect();
     speedGraph.width = Math.floor(sRect.width * ratio);
     speedGraph.height = Math.floor(sRect.height * ratio);
     speedCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const aRect = accelGraph.getBoundingClientRect();
+    accelGraph.width = Math.floor(aRect.width * ratio);
+    accelGraph.height = Math.floor(aRect.height * ratio);
+    accelCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
   }
 
   window.addEventListener('resize', () => {
@@ -73,16 +167,15 @@ try {
      Simulation parameters & state
      =========================== */
 
-  // Zone definitions (fractions of track width)
-  const zones = [
-    { name: 'normal', color: '#00e6ff', multiplier: 1.0, start: 0.0, end: 0.45 },
-    { name: 'boost', color: '#39ff7f', multiplier: 1.5, start: 0.45, end: 0.7 },
-    { name: 'slow', color: '#ff7a3d', multiplier: 0.6, start: 0.7, end: 1.0 }
-  ];
+  // Zone definitions (fractions of track distance); replaced by the zone editor
+  let zones = MotionEngine.DEFAULT_ZONES.map(z => ({ ...z }));
 
-  // Colors for objects A & B
-  const objectAColor = '#ff4dff';
-  const objectBColor = '#00f0ff';
+  // Racer ids and default colors (one per lane)
+  const MAX_RACERS = 8;
+  // How close (px) a click on the track must be to an object to select it
+  const RACER_HIT_PX = 14;
+  const RACER_IDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const RACER_COLORS = ['#ff4dff', '#00f0ff', '#ffd84d', '#7dff4d', '#ff6b6b', '#a98bff', '#4dffc3', '#ff9f40'];
 
   // Simulation runtime state
   let sim = {
@@ -90,62 +183,190 @@ try {
     lastTime: null,
     elapsed: 0,
     simTimeScale: 1,
+    sampleEvery: 0, // physics steps per graph sample (set on reset, doubled when the buffer is compacted)
+  };
+
+  // Measured 2D path for the current canvas size (null on the straight track)
+  let trackPath = null;
+  // Drawing a custom path on the track: unit points collected while dragging
+  const pathDraw = { active: false, dragging: false, points: [], suppressClick: false };
+
+  // Replay state: which recorded frame the track and graphs are showing
+  const replay = { active: false, playing: false, index: 0, time: 0, lastTime: null };
+
+  // Last layout per graph, for mapping mouse positions back to data
+  const graphLayouts = { distance: null, displacement: null, speed: null, acceleration: null };
+  // What each graph last drew (data, sample count), so a live frame only appends new samples
+  const graphDrawn = { distance: null, displacement: null, speed: null, acceleration: null };
+  // Offscreen copy of the static track (background, zones, path), rebuilt only when those change
+  const trackCache = { canvas: document.createElement('canvas'), key: null, zones: null, points: null };
+  // Pre-rendered glow per object color and size (a shadowBlur per object per frame is slow)
+  const glowSprites = new Map();
+  const GLOW_BLUR = 22;
+  // Trail opacity steps (each is one stroked path)
+  const TRAIL_FADE_STEPS = 8;
+  // Graph kind -> canvas and context
+  const graphCanvases = {
+    distance: { canvas: distanceGraph, ctx: distanceCtx },
+    displacement: { canvas: displacementGraph, ctx: displacementCtx },
+    speed: { canvas: speedGraph, ctx: speedCtx },
+    acceleration: { canvas: accelGraph, ctx: accelCtx }
+  };
+  // Zoomed / panned window per graph (null = automatic axes) and measure-mode points
+  const graphViews = { distance: null, displacement: null, speed: null, acceleration: null };
+  const measure = { active: false, kind: null, points: [] };
+  // Screen-reader narration (spoken through the #narration log) and the optional speed sound
+  const narrator = Narration.createNarrator({ speak: narrate, formatTime: t => formatSeconds(t) });
+  let sonifier = null;
+  // Data table: focused cell (row 0 is the header) and when it was last rebuilt mid-run
+  const dataGrid = { row: 0, col: 0, cell: null, refreshed: 0 };
+  const DATA_TABLE_MAX_ROWS = 400;
+  const DATA_TABLE_REFRESH_MS = 1000;
+  // Guided experiment state (see "Guided experiments" below)
+  const worksheet = {
+    list: Experiments.BUILT_IN.slice(),
+    exp: null,
+    stage: 'off',
+    prediction: null,   // winner id / 'tie', or a finish time in seconds
+    outcome: null,      // Experiments.raceOutcome() of the last run
+    result: null,       // { correct, message } from checkPrediction
+    followUpAnswer: null
   };
 
   // Objects state factory
-  function makeObject(id, color, baseOffset) {
+  function makeObject(id, color, baseOffset, mass = 10, friction = 5) {
     return {
       id,
       color,
       baseOffset,
+      mass,      // kg
+      friction,  // %
       x: 0,
       y: 0,
       trail: [],
-      currentSpeed: 0, // m/s
-      targetSpeed: 0,  // m/s
-      distanceTravelled: 0 // meters
+      currentSpeed: 0, // m/s, size of the velocity
+      velocity: 0, // m/s, negative when heading back to the start
+      position: 0, // meters from the start (displacement)
+      distanceTravelled: 0, // meters of path, whatever the direction
+      finished: false,
+      finishTime: null // s, from the engine
     };
   }
-  const objA = makeObject('A', objectAColor, 0);
-  const objB = makeObject('B', objectBColor, 0.02);
+  // The racer list; lanes, graph series, legends and readouts are built from it
+  const racers = [
+    makeObject('A', RACER_COLORS[0], 0),
+    makeObject('B', RACER_COLORS[1], 0.02)
+  ];
+
+  function findRacer(id) { return racers.find(r => r.id === id); }
 
   // ===========================
-  // Live Speed Tracker (Object A & B)
-  // Updates the two DOM readouts inserted in HTML
+  // Live Speed Tracker (one card per racer)
   // ===========================
-  function updateSpeedTracker() {
-    const speedA_ms = safeNumber(objA.currentSpeed, 0);
-    const speedB_ms = safeNumber(objB.currentSpeed, 0);
-
-    const elAms = document.getElementById("speedA-ms");
-    const elAkm = document.getElementById("speedA-kmh");
-    const elBms = document.getElementById("speedB-ms");
-    const elBkm = document.getElementById("speedB-kmh");
+  function renderSpeedTrackers() {
+    if (!speedTrackers) return;
+    speedTrackers.innerHTML = '';
+    racers.forEach(r => {
+      const card = document.createElement('div');
+      card.className = 'speed-tracker glass';
+      card.style.borderColor = hexToRgba(r.color, 0.35);
+      card.innerHTML = `
+        <h3 style="color:${r.color}">Object ${r.id} Speed</h3>
+        <p class="speed-line">
+          <span id="speed${r.id}-main"></span> •
+          <span id="speed${r.id}-alt"></span>
+        </p>`;
+      speedTrackers.appendChild(card);
+    });
+  }
 
-    if (elAms) elAms.textContent = `${speedA_ms.toFixed(2)} m/s`;
-    if (elAkm) elAkm.textContent = `${(speedA_ms * 3.6).toFixed(2)} km/h`;
-    if (elBms) elBms.textContent = `${speedB_ms.toFixed(2)} m/s`;
-    if (elBkm) elBkm.textContent = `${(speedB_ms * 3.6).toFixed(2)} km/h`;
+  // Each card shows the chosen speed unit and, for comparison, m/s (or km/h when m/s is chosen)
+  function updateSpeedTracker() {
+    const alt = params.units.speed === 'm/s' ? 'km/h' : 'm/s';
+    racers.forEach(r => {
+      const speed_ms = safeNumber(r.currentSpeed, 0);
+      const elMain = document.getElementById(`speed${r.id}-main`);
+      const elAlt = document.getElementById(`speed${r.id}-alt`);
+      if (elMain) elMain.textContent = Units.format('speed', speed_ms, params.units.speed);
+      if (elAlt) elAlt.textContent = Units.format('speed', speed_ms, alt);
+    });
   }
 
   // Simulation parameters (linked to sliders)
   const params = {
     distance_m: Number(distanceRange.value) || 100,
     time_s: Number(timeRange.value) || 10,
-    mass_kg: Number(massRange.value) || 10,
-    friction_pct: Number(frictionRange.value) || 5,
-    units: 'm_s'
+    units: { ...Units.DEFAULT_UNITS }, // { distance, time, speed } display units
+    integrator: (integratorSelect && integratorSelect.value) || 'semi-implicit',
+    // force model: 'arcade' (target speed) or 'physics' (F = ma, settings below)
+    model: (modelSelect && modelSelect.value) || 'arcade',
+    force_N: Number(forceRange && forceRange.value) || 50,
+    mu_k: Number(muRange && muRange.value) || 0.1,
+    air_drag: !!(dragToggle && dragToggle.checked),
+    drag_k: Number(dragNumber && dragNumber.value) || 0.05,
+    // 'one-way', 'return' (there and back) or 'bounce' (off both ends until the time runs out)
+    track_mode: (trackModeSelect && trackModeSelect.value) || 'one-way',
+    // 'straight' lanes or a 2D path; path_points holds the drawn ('custom') path
+    path: 'straight',
+    path_points: null
   };
-// NEW: Separate Object A & B physics parameters
-params.massA = 10;
-params.massB = 10;
-params.frictionA = 5;
-params.frictionB = 5;
 
   const MAX_TIME_SECONDS = 3600;
   const MAX_DISTANCE_METERS = 10000;
 
-  let graphData = { time: [], distanceA: [], distanceB: [], speedA: [], speedB: [] };
+  // Graph/trail sampling: one sample every N fixed physics steps (~30 per second)
+  const SAMPLE_EVERY_STEPS = 4;
+  // Samples kept per series; when full, every other one is dropped and sampling halves
+  // (the longest run, 3600 s, would otherwise hold 108,000 per series)
+  const MAX_GRAPH_SAMPLES = 12000;
+  // Recorded steps kept for replay (thinned out the same way)
+  const MAX_REPLAY_FRAMES = 40000;
+
+  // Headless physics; the page only feeds it params and renders its state
+  const engine = MotionEngine.createEngine({
+    ...engineParams(),
+    integrator: params.integrator,
+    zones,
+    objects: racers.map(engineObjectDef)
+  });
+
+  // Slider/model settings in the form the engine takes
+  function engineParams() {
+    return {
+      distance_m: params.distance_m,
+      time_s: params.time_s,
+      model: params.model,
+      force_N: params.force_N,
+      mu_k: params.mu_k,
+      drag_k: params.air_drag ? params.drag_k : 0,
+      trackMode: params.track_mode
+    };
+  }
+
+  function engineObjectDef(r) {
+    return { id: r.id, mass: r.mass, friction: r.friction, baseOffset: r.baseOffset };
+  }
+
+  /* Samples in SI units. time[] is shared; the rest hold one series per racer id:
+     distance = path covered, displacement = position from the start,
+     velocity = signed speed (m/s). range holds the running min / max per graph
+     (starting at 0), so drawing never has to scan the whole history; version
+     changes when the buffer is compacted. */
+  function emptyGraphData() {
+    const data = { time: [], distance: {}, displacement: {}, velocity: {}, acceleration: {}, range: {}, version: 0 };
+    racers.forEach(r => {
+      data.distance[r.id] = [];
+      data.displacement[r.id] = [];
+      data.velocity[r.id] = [];
+      data.acceleration[r.id] = [];
+    });
+    Object.keys(graphLayouts).forEach(kind => { data.range[kind] = { min: 0, max: 0 }; });
+    return data;
+  }
+  let graphData = emptyGraphData();
+
+  // Full-resolution record of the run (every fixed step) for the replay timeline
+  const recorder = MotionEngine.createRecorder({ maxFrames: MAX_REPLAY_FRAMES });
 
   /* ===========================
      Utility functions
@@ -153,47 +374,56 @@ params.frictionB = 5;
 
   function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
   function safeNumber(n, fallback = 0) { return (typeof n === 'number' && Number.isFinite(n)) ? n : fallback; }
-  function metersToKm(m) { return m / 1000; }
-  function kmhToMs(kmh) { return kmh * 1000 / 3600; }
-  function msToKmh(ms) { return ms * 3600 / 1000; }
 
-  // Update formula display units text
+  // SI value -> text in the chosen display unit
+  function formatSeconds(t) { return Units.format('time', t, params.units.time, 3); }
+  function formatSpeed(ms) { return Units.format('speed', ms, params.units.speed); }
+  function formatDistance(m) { return Units.format('distance', m, params.units.distance); }
+  function formatAccel(ms2) { return `${Units.formatValue(Units.accelerationFromBase(ms2, params.units))} ${Units.accelerationSymbol(params.units)}`; }
+
+  // SI value -> number in the chosen display unit
+  function distanceToDisplay(m) { return Units.fromBase('distance', m, params.units.distance); }
+  function timeToDisplay(sec) { return Units.fromBase('time', sec, params.units.time); }
+  function speedToDisplay(ms) { return Units.fromBase('speed', ms, params.units.speed); }
+  function accelToDisplay(ms2) { return Units.accelerationFromBase(ms2, params.units); }
+  function timeUnit() { return Units.symbol('time', params.units.time); }
+
+  // Unit hints next to the sliders and the units of distance ÷ time in the formula
   function updateFormulaUnits() {
-    if (!formulaUnits) return;
-    if (params.units === 'm_s') {
-      formulaUnits.textContent = 'm / s';
-      const du = document.getElementById('distanceUnits');
-      const tu = document.getElementById('timeUnits');
-      if (du) du.textContent = 'm';
-      if (tu) tu.textContent = 's';
-    } else {
-      formulaUnits.textContent = 'km / h';
-      const du = document.getElementById('distanceUnits');
-      const tu = document.getElementById('timeUnits');
-      if (du) du.textContent = 'km';
-      if (tu) tu.textContent = 'h';
-    }
+    const dSym = Units.symbol('distance', params.units.distance);
+    const du = document.getElementById('distanceUnits');
+    const tu = document.getElementById('timeUnits');
+    if (du) du.textContent = dSym;
+    if (tu) tu.textContent = timeUnit();
+    if (formulaUnits) formulaUnits.textContent = `${dSym} / ${timeUnit()}`;
   }
 
   /* ===========================
      Input synchronization (sliders + numbers)
      =========================== */
-  function bindRangeNumber(rangeEl, numberEl, onChange) {
+  /* The range works in SI units; with `display` ({ toDisplay, fromDisplay })
+     the number box shows and accepts the chosen display unit instead. */
+  function bindRangeNumber(rangeEl, numberEl, onChange, display) {
     if (!rangeEl || !numberEl) return;
+    const toDisplay = display ? display.toDisplay : (v => v);
+    const fromDisplay = display ? display.fromDisplay : (v => v);
+    // six significant digits keep km / h values readable and round-trip safely
+    const shown = (v) => (display ? Number(toDisplay(v).toPrecision(6)) : v);
+
     rangeEl.addEventListener('input', () => {
       try {
         const v = safeNumber(Number(rangeEl.value));
-        numberEl.value = v;
+        numberEl.value = shown(v);
         onChange(v);
       } catch (e) { console.error(e); }
     });
 
     numberEl.addEventListener('input', () => {
       try {
-        let v = Number(numberEl.value);
+        let v = fromDisplay(Number(numberEl.value));
         if (!Number.isFinite(v)) v = Number(rangeEl.value);
         v = clamp(v, Number(rangeEl.min), Number(rangeEl.max));
-        numberEl.value = v;
+        numberEl.value = shown(v);
         rangeEl.value = v;
         onChange(v);
       } catch (e) { console.error(e); }
@@ -203,8 +433,8 @@ params.frictionB = 5;
       if (ev.key === 'ArrowUp' || ev.key === 'ArrowDown') {
         ev.preventDefault();
         const step = Number(rangeEl.step) || 1;
-        const cur = Number(numberEl.value) || 0;
-        numberEl.value = ev.key === 'ArrowUp' ? cur + step : cur - step;
+        const cur = fromDisplay(Number(numberEl.value) || 0);
+        numberEl.value = toDisplay(ev.key === 'ArrowUp' ? cur + step : cur - step);
         numberEl.dispatchEvent(new Event('input'));
       }
     });
@@ -214,64 +444,300 @@ params.frictionB = 5;
   bindRangeNumber(distanceRange, distanceNumber, (v) => {
     params.distance_m = clamp(Number(v), 1, MAX_DISTANCE_METERS);
     if (formulaDistance) formulaDistance.textContent = formatDistanceForFormula(params.distance_m);
-    computeTargetSpeeds();
+    syncEngine();
     resetGraphsIfNotRunning();
-  });
+  }, { toDisplay: distanceToDisplay, fromDisplay: v => Units.toBase('distance', v, params.units.distance) });
 
   bindRangeNumber(timeRange, timeNumber, (v) => {
     params.time_s = clamp(Number(v), 1, MAX_TIME_SECONDS);
     if (formulaTime) formulaTime.textContent = formatTimeForFormula(params.time_s);
-    computeTargetSpeeds();
+    syncEngine();
     resetGraphsIfNotRunning();
-  });
+  }, { toDisplay: timeToDisplay, fromDisplay: v => Units.toBase('time', v, params.units.time) });
 
-  bindRangeNumber(massRange, massNumber, (v) => {
-    params.mass_kg = clamp(Number(v), 1, 200);
+  // Physics model settings
+  bindRangeNumber(forceRange, forceNumber, (v) => {
+    params.force_N = clamp(Number(v), 0, 500);
+    syncEngine();
+    updateLiveForces();
   });
 
-  bindRangeNumber(frictionRange, frictionNumber, (v) => {
-    params.friction_pct = clamp(Number(v), 0, 100);
+  bindRangeNumber(muRange, muNumber, (v) => {
+    params.mu_k = clamp(Number(v), 0, 1);
+    syncEngine();
+    updateLiveForces();
   });
-/* ======================================================
-   NEW: Separate controls for Object A and Object B
-   ====================================================== */
 
-bindRangeNumber(massARange, massANumber, (v) => {
-  params.massA = clamp(Number(v), 1, 200);
-});
+  function setAirDrag(on, k) {
+    params.air_drag = !!on;
+    if (k !== undefined) params.drag_k = clamp(safeNumber(Number(k), params.drag_k), 0, 5);
+    if (dragToggle) dragToggle.checked = params.air_drag;
+    if (dragNumber) {
+      dragNumber.value = params.drag_k;
+      dragNumber.disabled = !params.air_drag;
+    }
+    syncEngine();
+    updateLiveForces();
+  }
+
+  if (dragToggle) dragToggle.addEventListener('change', () => setAirDrag(dragToggle.checked));
+  if (dragNumber) dragNumber.addEventListener('change', () => setAirDrag(params.air_drag, dragNumber.value));
+
+  /* Switch between the arcade and physics force models. The run restarts,
+     since a half-finished race under the other model means nothing. */
+  function setModel(model) {
+    params.model = model === 'physics' ? 'physics' : 'arcade';
+    const physics = params.model === 'physics';
+    if (modelSelect) modelSelect.value = params.model;
+    if (physicsControls) physicsControls.hidden = !physics;
+    if (modelNote) modelNote.textContent = physics ? 'Newton\'s second law: F_net = m·a' : 'Objects ease toward distance ÷ time';
+    renderInspector(); // friction % is arcade-only; physics uses μk instead
+    resetSimulation();
+  }
+
+  if (modelSelect) modelSelect.addEventListener('change', () => setModel(modelSelect.value));
+
+  const TRACK_MODE_NOTES = {
+    'one-way': 'Race to the far end',
+    return: 'Turn at the far end, finish back at the start',
+    bounce: 'Bounce off both ends until the Time slider runs out'
+  };
+
+  // Track mode; skipReset when the caller resets afterwards (loading a scenario)
+  function setTrackMode(mode, skipReset) {
+    params.track_mode = MotionEngine.TRACK_MODES.includes(mode) ? mode : 'one-way';
+    if (trackModeSelect) trackModeSelect.value = params.track_mode;
+    if (trackModeNote) trackModeNote.textContent = TRACK_MODE_NOTES[params.track_mode];
+    if (speedGraphTitle) speedGraphTitle.textContent = isTwoWay() ? 'Velocity vs Time' : 'Speed vs Time';
+    if (!skipReset) resetSimulation();
+  }
+
+  if (trackModeSelect) trackModeSelect.addEventListener('change', () => setTrackMode(trackModeSelect.value));
+
+  /* ===========================
+     Object inspector: tabs pick a racer, one panel edits it.
+     Each property belongs to its racer; a "same for all" link keeps
+     it equal across racers for controlled experiments.
+     =========================== */
+
+  const INSPECTOR_FIELDS = [
+    { key: 'mass', prop: 'mass', label: 'Mass', unit: () => 'kg', min: 1, max: 200, step: 1,
+      toInput: v => v, fromInput: v => clamp(v, 1, 200) },
+    { key: 'friction', prop: 'friction', label: 'Friction', unit: () => '%', min: 0, max: 100, step: 1,
+      toInput: v => v, fromInput: v => clamp(v, 0, 100), arcadeOnly: true },
+    { key: 'offset', prop: 'baseOffset', label: 'Offset',
+      unit: () => (params.model === 'physics' ? '% of applied force' : '% of base speed'), min: -50, max: 50, step: 1,
+      toInput: v => Math.round(v * 100), fromInput: v => clamp(v, -50, 50) / 100 }
+  ];
+
+  // Selected racer and the properties linked across all racers
+  let selectedId = racers[0].id;
+  const linked = new Set();
 
-bindRangeNumber(frictionARange, frictionANumber, (v) => {
-  params.frictionA = clamp(Number(v), 0, 100);
-});
+  function selectedRacer() { return findRacer(selectedId) || racers[0]; }
 
-bindRangeNumber(massBRange, massBNumber, (v) => {
-  params.massB = clamp(Number(v), 1, 200);
-});
+  function selectRacer(id) {
+    if (!findRacer(id)) return;
+    selectedId = id;
+    renderInspector();
+    drawFrame();
+  }
+
+  // Write a property to the selected racer, or to every racer when it is linked
+  function setRacerProperty(field, value) {
+    const targets = linked.has(field.key) ? racers : [selectedRacer()];
+    targets.forEach(r => { r[field.prop] = value; });
+    syncEngine();
+    updateLiveForces();
+  }
+
+  function setLinked(field, on) {
+    if (on) {
+      linked.add(field.key);
+      setRacerProperty(field, selectedRacer()[field.prop]); // start everyone from the selected value
+    } else {
+      linked.delete(field.key);
+    }
+  }
 
-bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
-  params.frictionB = clamp(Number(v), 0, 100);
-});
+  function renderRacerTabs() {
+    if (!racerTabs) return;
+    racerTabs.innerHTML = '';
+    racers.forEach(r => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'racer-tab';
+      tab.id = `racerTab${r.id}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', r.id === selectedId ? 'true' : 'false');
+      tab.setAttribute('aria-controls', 'objectInspector');
+      tab.tabIndex = r.id === selectedId ? 0 : -1;
+      tab.style.setProperty('--racer', r.color);
+      tab.innerHTML = `<span class="swatch" aria-hidden="true"></span>${r.id}`;
+      tab.addEventListener('click', () => selectRacer(r.id));
+      racerTabs.appendChild(tab);
+    });
+  }
+
+  // Arrow keys move between tabs (ARIA tablist pattern)
+  if (racerTabs) {
+    racerTabs.addEventListener('keydown', (ev) => {
+      if (ev.key !== 'ArrowLeft' && ev.key !== 'ArrowRight') return;
+      ev.preventDefault();
+      const i = racers.findIndex(r => r.id === selectedId);
+      const next = racers[(i + (ev.key === 'ArrowRight' ? 1 : -1) + racers.length) % racers.length];
+      selectRacer(next.id);
+      const tab = document.getElementById(`racerTab${next.id}`);
+      if (tab) tab.focus();
+    });
+  }
+
+  function renderInspector() {
+    const r = selectedRacer();
+    selectedId = r.id;
+    renderRacerTabs();
+    if (addRacerBtn) addRacerBtn.disabled = racers.length >= MAX_RACERS;
+    if (!objectInspector) return;
+
+    const physics = params.model === 'physics';
+    objectInspector.setAttribute('aria-labelledby', `racerTab${r.id}`);
+    objectInspector.style.borderColor = hexToRgba(r.color, 0.35);
+    objectInspector.innerHTML = `
+      <div class="object-head">
+        <h3>Object ${r.id}</h3>
+        <input type="color" id="inspectColor" value="${r.color}" aria-label="Object ${r.id} color">
+        <button type="button" class="btn secondary" id="inspectRemove" aria-label="Remove object ${r.id}" ${racers.length <= 1 ? 'disabled' : ''}>Remove</button>
+      </div>
+      ${INSPECTOR_FIELDS.map(f => {
+        const off = f.arcadeOnly && physics;
+        return `
+      <div class="inspector-row">
+        <label for="inspect-${f.key}-range">${f.label} (${f.unit()})${off ? ' — arcade model only' : ''}</label>
+        <div class="control-inputs">
+          <input type="range" class="slider" id="inspect-${f.key}-range" min="${f.min}" max="${f.max}" step="${f.step}" value="${f.toInput(r[f.prop])}" ${off ? 'disabled' : ''}>
+          <input type="number" class="number" id="inspect-${f.key}-number" min="${f.min}" max="${f.max}" step="${f.step}" value="${f.toInput(r[f.prop])}" aria-label="${f.label} numeric input" ${off ? 'disabled' : ''}>
+          <label class="link-toggle"><input type="checkbox" data-link="${f.key}" ${linked.has(f.key) ? 'checked' : ''}> same for all</label>
+        </div>
+      </div>`;
+      }).join('')}`;
+
+    INSPECTOR_FIELDS.forEach(f => {
+      bindRangeNumber(
+        document.getElementById(`inspect-${f.key}-range`),
+        document.getElementById(`inspect-${f.key}-number`),
+        (v) => setRacerProperty(f, f.fromInput(Number(v)))
+      );
+      objectInspector.querySelector(`[data-link="${f.key}"]`).addEventListener('change', (ev) => setLinked(f, ev.target.checked));
+    });
 
-  // Units toggle
-  if (unitsToggle) {
-    unitsToggle.addEventListener('click', () => {
+    document.getElementById('inspectColor').addEventListener('input', (ev) => {
+      r.color = ev.target.value;
+      objectInspector.style.borderColor = hexToRgba(r.color, 0.35);
+      renderRacerTabs();
+      renderSpeedTrackers();
+      updateSpeedTracker();
+      drawFrame();
+      drawGraphs();
+    });
+
+    document.getElementById('inspectRemove').addEventListener('click', () => removeRacer(r.id));
+  }
+
+  function addRacer() {
+    if (racers.length >= MAX_RACERS) return;
+    const id = RACER_IDS.find(x => !findRacer(x));
+    const color = RACER_COLORS.find(c => !racers.some(r => r.color === c)) || RACER_COLORS[racers.length];
+    const racer = makeObject(id, color, 0);
+    racers.push(racer);
+    racers.sort((a, b) => a.id.localeCompare(b.id));
+    // linked properties stay equal, so the newcomer copies them
+    INSPECTOR_FIELDS.forEach(f => { if (linked.has(f.key)) racer[f.prop] = selectedRacer()[f.prop]; });
+    engine.addObject(engineObjectDef(racer));
+    selectedId = racer.id;
+    racersChanged();
+  }
+
+  function removeRacer(id) {
+    if (racers.length <= 1) return;
+    const idx = racers.findIndex(r => r.id === id);
+    if (idx < 0) return;
+    racers.splice(idx, 1);
+    engine.removeObject(id);
+    racersChanged();
+  }
+
+  function racersChanged() {
+    renderInspector();
+    renderSpeedTrackers();
+    resetSimulation();
+  }
+
+  if (addRacerBtn) addRacerBtn.addEventListener('click', addRacer);
+
+  // Integration method (applies from the next physics step)
+  if (integratorSelect) {
+    integratorSelect.addEventListener('change', () => {
+      params.integrator = integratorSelect.value;
+      engine.setIntegrator(params.integrator);
+    });
+  }
+
+  /* Unit picker: `units` is a units.js choice ({ distance, time, speed } or a
+     legacy 'm_s' / 'km_h'). Zoomed views and measurements are in display
+     units, so they are cleared. */
+  function fillUnitSelect(select, quantity) {
+    if (!select) return;
+    select.innerHTML = Units.options(quantity).map(o => `<option value="${o.value}">${o.label}</option>`).join('');
+  }
+  fillUnitSelect(distanceUnitSelect, 'distance');
+  fillUnitSelect(timeUnitSelect, 'time');
+  fillUnitSelect(speedUnitSelect, 'speed');
+
+  function setUnits(units) {
+    params.units = Units.normalizeUnits(units);
+    if (distanceUnitSelect) distanceUnitSelect.value = params.units.distance;
+    if (timeUnitSelect) timeUnitSelect.value = params.units.time;
+    if (speedUnitSelect) speedUnitSelect.value = params.units.speed;
+    updateFormulaUnits();
+    // number boxes follow the unit; their limits are the slider's, converted
+    [[distanceRange, distanceNumber, distanceToDisplay], [timeRange, timeNumber, timeToDisplay]].forEach(([range, number, toDisplay]) => {
+      if (!range || !number) return;
+      number.min = Number(toDisplay(Number(range.min)).toPrecision(6));
+      number.max = Number(toDisplay(Number(range.max)).toPrecision(6));
+      number.step = 'any';
+      number.value = Number(toDisplay(Number(range.value)).toPrecision(6));
+    });
+    if (formulaDistance) formulaDistance.textContent = formatDistanceForFormula(params.distance_m);
+    if (formulaTime) formulaTime.textContent = formatTimeForFormula(params.time_s);
+    resetGraphViews();
+    measure.kind = null;
+    measure.points = [];
+    renderMeasure();
+    drawGraphs();
+    refreshDataTable();
+    updateSpeedTracker();
+    updateLiveSpeed();
+    worksheetUnitsChanged();
+  }
+
+  [distanceUnitSelect, timeUnitSelect, speedUnitSelect].forEach(select => {
+    if (!select) return;
+    select.addEventListener('change', () => {
       try {
-        params.units = params.units === 'm_s' ? 'km_h' : 'm_s';
-        unitsToggle.textContent = params.units === 'm_s' ? 'm / s' : 'km / h';
-        unitsToggle.setAttribute('aria-pressed', params.units === 'km_h' ? 'true' : 'false');
-        updateFormulaUnits();
-        computeTargetSpeeds();
+        setUnits({
+          distance: distanceUnitSelect ? distanceUnitSelect.value : params.units.distance,
+          time: timeUnitSelect ? timeUnitSelect.value : params.units.time,
+          speed: speedUnitSelect ? speedUnitSelect.value : params.units.speed
+        });
       } catch (e) { console.error(e); }
     });
-  }
+  });
 
   function formatDistanceForFormula(meters) {
-    if (params.units === 'm_s') return `${Math.round(meters)} m`;
-    return `${(metersToKm(meters)).toFixed(2)} km`;
+    return Units.format('distance', meters, params.units.distance);
   }
   function formatTimeForFormula(sec) {
-    if (params.units === 'm_s') return `${Math.round(sec)} s`;
-    return `${(sec / 3600).toFixed(3)} h`;
+    return Units.format('time', sec, params.units.time);
   }
 
   updateFormulaUnits();
@@ -282,35 +748,128 @@ bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
      Physics & helpers
      =========================== */
 
-  function computeBaseSpeedMs(distance_m, time_s) {
-    const t = Math.max(0.000001, time_s);
-    return distance_m / t;
+  // Push slider values into the engine
+  function syncEngine() {
+    engine.setParams(engineParams());
+    racers.forEach(r => engine.updateObject(r.id, engineObjectDef(r)));
+  }
+  syncEngine();
+
+  // Copy an engine state snapshot onto the drawable objects
+  function applyEngineState(state, sampled) {
+    racers.forEach(obj => {
+      const s = state.objects.find(o => o.id === obj.id);
+      if (!s) return;
+      obj.currentSpeed = s.speed;
+      obj.velocity = s.velocity;
+      obj.position = s.position;
+      obj.distanceTravelled = s.distance;
+      obj.finished = s.finished;
+      obj.finishTime = s.finishTime;
+      if (sampled) {
+        obj.trail.push({ d: s.position, t: state.time, speed: s.speed });
+        if (obj.trail.length > 220) obj.trail.shift();
+      }
+    });
+    sim.elapsed = state.time;
+  }
+
+  /* Arcade races are cut off a little after the slider time (twice that for a
+     return trip). Physics races have no set time, so they run until every
+     object finishes or is stuck (at rest with a push that can't beat friction).
+     Bounce runs never finish: they last exactly the slider time. */
+  function isRaceOver(state) {
+    const allDone = state.objects.every(o => o.finished || o.stalled);
+    if (params.track_mode === 'bounce') return allDone || state.time >= params.time_s;
+    const legs = params.track_mode === 'return' ? 2 : 1;
+    const limit = params.model === 'physics'
+      ? MAX_TIME_SECONDS
+      : Math.max(params.time_s * legs * 1.5, params.time_s * legs + 5);
+    return allDone || state.time >= limit;
   }
 
-  function computeTargetSpeeds() {
-    const baseMs = computeBaseSpeedMs(params.distance_m, params.time_s);
-    const frictionFactor = 1 - clamp(params.friction_pct / 200, 0, 0.9);
-    const baseA = baseMs * (1.0 + objA.baseOffset);
-    const baseB = baseMs * (1.0 + objB.baseOffset);
-    objA.targetSpeed = baseA * frictionFactor;
-    objB.targetSpeed = baseB * frictionFactor;
+  function widenRange(kind, v) {
+    const range = graphData.range[kind];
+    if (v < range.min) range.min = v;
+    if (v > range.max) range.max = v;
+  }
+
+  /* Acceleration (m/s²) is the change in velocity over the change in time since
+     the previous sample (so turning around shows up as a spike against the
+     direction of travel). Once a racer finishes it is parked (speed set to 0),
+     so samples from its finish time on read 0 instead of a spike from the sudden stop. */
+  function recordSample() {
+    const time = graphData.time;
+    const dt = time.length ? sim.elapsed - time[time.length - 1] : 0;
+    time.push(sim.elapsed);
+    racers.forEach(r => {
+      const velocity = graphData.velocity[r.id];
+      const accel = graphData.acceleration[r.id];
+      let a;
+      if (r.finished && sim.elapsed >= r.finishTime) a = 0;
+      else if (dt > 0) a = (r.velocity - velocity[velocity.length - 1]) / dt;
+      else a = accel.length ? accel[accel.length - 1] : 0;
+      graphData.distance[r.id].push(r.distanceTravelled);
+      graphData.displacement[r.id].push(r.position);
+      velocity.push(r.velocity);
+      accel.push(a);
+      widenRange('distance', r.distanceTravelled);
+      widenRange('displacement', r.position);
+      widenRange('speed', r.velocity);
+      widenRange('acceleration', a);
+    });
+    if (time.length >= MAX_GRAPH_SAMPLES) compactGraphData();
+  }
+
+  // Bounded buffer: keep every other sample and sample half as often from now on
+  function compactGraphData() {
+    const halve = (list) => list.filter((v, i) => i % 2 === 0);
+    graphData.time = halve(graphData.time);
+    ['distance', 'displacement', 'velocity', 'acceleration'].forEach(key => {
+      racers.forEach(r => { graphData[key][r.id] = halve(graphData[key][r.id]); });
+    });
+    graphData.version++;
+    sim.sampleEvery *= 2;
   }
-  computeTargetSpeeds();
 
   /* ===========================
      Track drawing & zones
      =========================== */
 
+  /* Copy the static track from its offscreen cache, redrawing the cache only
+     when the canvas size, zones, path or number of lanes change. The zone
+     editor overlay changes with the selection, so it is drawn on top each time. */
   function drawStaticTrack() {
-    const w = trackCanvas.width / (window.devicePixelRatio || 1);
-    const h = trackCanvas.height / (window.devicePixelRatio || 1);
+    const ratio = window.devicePixelRatio || 1;
+    const w = trackCanvas.width / ratio;
+    const h = trackCanvas.height / ratio;
+    const key = `${trackCanvas.width}x${trackCanvas.height}@${ratio}|${params.path}|${racers.length}`;
+    if (trackCache.key !== key || trackCache.zones !== zones || trackCache.points !== params.path_points) {
+      const cache = trackCache.canvas;
+      cache.width = trackCanvas.width;
+      cache.height = trackCanvas.height;
+      const ctx = cache.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      renderStaticTrack(ctx, w, h);
+      trackCache.key = key;
+      trackCache.zones = zones;
+      trackCache.points = params.path_points;
+    }
     trackCtx.clearRect(0, 0, w, h);
+    trackCtx.drawImage(trackCache.canvas, 0, 0, w, h);
+    const t = trackCanvas._track;
+    if (!is2D() && zoneEditor && zoneEditor.isActive()) drawZoneEditOverlay(t.x, t.y, t.w, t.h);
+  }
+
+  // Background, lanes or path, zones (with their glow) and start / finish lines
+  function renderStaticTrack(ctx, w, h) {
+    ctx.clearRect(0, 0, w, h);
 
     // base background
-    trackCtx.save();
-    trackCtx.fillStyle = '#031018';
-    trackCtx.fillRect(0, 0, w, h);
-    trackCtx.restore();
+    ctx.save();
+    ctx.fillStyle = '#031018';
+    ctx.fillRect(0, 0, w, h);
+    ctx.restore();
 
     const trackPadding = 18;
     const trackH = h - trackPadding * 2;
@@ -320,38 +879,219 @@ bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
 
     trackCanvas._track = { x: trackX, y: trackY, w: trackWidth, h: trackH };
 
+    if (is2D()) {
+      drawPathTrack(ctx, trackCanvas._track);
+      return;
+    }
+    trackPath = null;
+
     // track base
-    trackCtx.fillStyle = '#041324';
-    roundRect(trackCtx, trackX, trackY, trackWidth, trackH, 10);
-    trackCtx.fill();
+    ctx.fillStyle = '#041324';
+    roundRect(ctx, trackX, trackY, trackWidth, trackH, 10);
+    ctx.fill();
 
     // zones
     zones.forEach(z => {
       const zx = trackX + z.start * trackWidth;
       const zw = (z.end - z.start) * trackWidth;
-      trackCtx.save();
-      trackCtx.shadowColor = z.color;
-      trackCtx.shadowBlur = 28;
-      trackCtx.fillStyle = hexToRgba(z.color, 0.12);
-      roundRect(trackCtx, zx, trackY, zw, trackH, 6);
-      trackCtx.fill();
-      trackCtx.restore();
-
-      trackCtx.strokeStyle = hexToRgba(z.color, 0.18);
-      trackCtx.lineWidth = 2;
-      roundRect(trackCtx, zx + 1, trackY + 1, Math.max(zw - 2, 2), trackH - 2, 6);
-      trackCtx.stroke();
+      ctx.save();
+      ctx.shadowColor = z.color;
+      ctx.shadowBlur = 28;
+      ctx.fillStyle = hexToRgba(z.color, 0.12);
+      roundRect(ctx, zx, trackY, zw, trackH, 6);
+      ctx.fill();
+      ctx.restore();
+
+      ctx.strokeStyle = hexToRgba(z.color, 0.18);
+      ctx.lineWidth = 2;
+      roundRect(ctx, zx + 1, trackY + 1, Math.max(zw - 2, 2), trackH - 2, 6);
+      ctx.stroke();
     });
 
     // start & finish
-    trackCtx.strokeStyle = 'rgba(255,255,255,0.06)';
-    trackCtx.lineWidth = 2;
-    trackCtx.beginPath();
-    trackCtx.moveTo(trackX + 2, trackY);
-    trackCtx.lineTo(trackX + 2, trackY + trackH);
-    trackCtx.moveTo(trackX + trackWidth - 2, trackY);
-    trackCtx.lineTo(trackX + trackWidth - 2, trackY + trackH);
-    trackCtx.stroke();
+    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(trackX + 2, trackY);
+    ctx.lineTo(trackX + 2, trackY + trackH);
+    ctx.moveTo(trackX + trackWidth - 2, trackY);
+    ctx.lineTo(trackX + trackWidth - 2, trackY + trackH);
+    ctx.stroke();
+  }
+
+  /* ===========================
+     2D path mode (track-paths.js)
+     =========================== */
+
+  function is2D() { return params.path !== 'straight'; }
+
+  function pathUnitPoints() {
+    return params.path === 'custom' ? params.path_points : TrackPaths.presetPoints(params.path);
+  }
+
+  // Lanes run side by side along a 2D path, this far apart (px)
+  function pathLaneGap() { return Math.min(12, 48 / Math.max(racers.length, 1)); }
+  function pathBandWidth() { return pathLaneGap() * racers.length + 14; }
+
+  // Area the path's unit coordinates map to: inset so the wide band stays on the canvas
+  function pathBox(track) {
+    const inset = pathBandWidth() / 2;
+    return { x: track.x + inset, y: track.y + inset, w: Math.max(track.w - inset * 2, 1), h: Math.max(track.h - inset * 2, 1) };
+  }
+
+  function strokePolyline(ctx, pts, color, width) {
+    if (pts.length < 2) return;
+    ctx.beginPath();
+    ctx.moveTo(pts[0].x, pts[0].y);
+    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  }
+
+  // Path band, zones along it (fractions of the path length) and start / finish lines
+  function drawPathTrack(ctx, track) {
+    const band = pathBandWidth();
+    trackPath = TrackPaths.createPath(pathUnitPoints(), pathBox(track));
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    strokePolyline(ctx, trackPath.points, '#041324', band);
+    zones.forEach(z => {
+      ctx.shadowColor = z.color;
+      ctx.shadowBlur = 18;
+      strokePolyline(ctx, trackPath.pointsBetween(z.start, z.end), hexToRgba(z.color, 0.16), band - 4);
+    });
+    ctx.shadowBlur = 0;
+    ctx.lineCap = 'butt';
+    [0, 1].forEach(f => {
+      const p = trackPath.pointAt(f);
+      strokePolyline(ctx, [
+        { x: p.x + p.ty * band / 2, y: p.y - p.tx * band / 2 },
+        { x: p.x - p.ty * band / 2, y: p.y + p.tx * band / 2 }
+      ], 'rgba(255,255,255,0.35)', 2);
+    });
+    ctx.restore();
+  }
+
+  const PATH_NOTES = {
+    straight: 'Straight lanes, one per object',
+    oval: 'Round a bend at steady speed and the velocity arrow still turns: velocity has a direction.',
+    's-curve': 'Round a bend at steady speed and the velocity arrow still turns: velocity has a direction.',
+    custom: 'Your drawn path. Objects follow it from its first point to its last.'
+  };
+
+  // Switch the track path; skipReset when the caller resets afterwards (loading a scenario)
+  function setPath(shape, points, skipReset) {
+    if (points) params.path_points = points;
+    params.path = TrackPaths.SHAPES.includes(shape) && (shape !== 'custom' || params.path_points) ? shape : 'straight';
+    if (pathSelect) {
+      pathSelect.querySelector('option[value="custom"]').disabled = !params.path_points;
+      pathSelect.value = params.path;
+    }
+    if (pathNote) pathNote.textContent = PATH_NOTES[params.path];
+    // zones are edited on the straight track, where their edges are easy to grab
+    if (is2D() && zoneEditor.isActive()) zoneEditor.setActive(false);
+    if (zoneEditToggle) {
+      zoneEditToggle.disabled = is2D();
+      zoneEditToggle.title = is2D() ? 'Switch the path to Straight to edit zones' : '';
+    }
+    if (!skipReset) resetSimulation();
+  }
+
+  function setPathDrawing(on) {
+    pathDraw.active = !!on;
+    pathDraw.dragging = false;
+    pathDraw.points = [];
+    if (pathDraw.active && zoneEditor.isActive()) zoneEditor.setActive(false);
+    if (drawPathBtn) {
+      drawPathBtn.setAttribute('aria-pressed', pathDraw.active ? 'true' : 'false');
+      drawPathBtn.textContent = pathDraw.active ? 'Cancel drawing' : 'Draw path';
+    }
+    if (pathNote) pathNote.textContent = pathDraw.active ? 'Drag across the track to draw a path (Esc cancels).' : PATH_NOTES[params.path];
+    trackCanvas.style.cursor = pathDraw.active ? 'crosshair' : '';
+    drawFrame();
+  }
+
+  // Canvas point (CSS px) -> unit coordinates of the path area
+  function pathUnitAt(ev) {
+    const rect = trackCanvas.getBoundingClientRect();
+    const box = pathBox(trackCanvas._track);
+    return [
+      clamp((ev.clientX - rect.left - box.x) / box.w, 0, 1),
+      clamp((ev.clientY - rect.top - box.y) / box.h, 0, 1)
+    ];
+  }
+
+  function drawPathPreview() {
+    const box = pathBox(trackCanvas._track);
+    const pts = pathDraw.points.map(p => ({ x: box.x + p[0] * box.w, y: box.y + p[1] * box.h }));
+    trackCtx.save();
+    trackCtx.lineJoin = 'round';
+    trackCtx.lineCap = 'round';
+    strokePolyline(trackCtx, pts, 'rgba(255,255,255,0.8)', 3);
+    trackCtx.restore();
+  }
+
+  trackCanvas.addEventListener('pointerdown', (ev) => {
+    if (!pathDraw.active || !trackCanvas._track) return;
+    pathDraw.dragging = true;
+    pathDraw.points = [pathUnitAt(ev)];
+    if (trackCanvas.setPointerCapture) trackCanvas.setPointerCapture(ev.pointerId);
+  });
+
+  trackCanvas.addEventListener('pointermove', (ev) => {
+    if (!pathDraw.dragging) return;
+    pathDraw.points.push(pathUnitAt(ev));
+    drawFrame();
+    drawPathPreview();
+  });
+
+  trackCanvas.addEventListener('pointerup', () => {
+    if (!pathDraw.dragging) return;
+    pathDraw.suppressClick = true; // the click that ends a drawing shouldn't start the race
+    let points;
+    try {
+      points = TrackPaths.normalizePoints(pathDraw.points);
+    } catch (e) {
+      pathDraw.dragging = false;
+      pathDraw.points = [];
+      drawFrame();
+      if (pathNote) pathNote.textContent = `${e.message} Try again, or press Cancel drawing.`;
+      return;
+    }
+    setPathDrawing(false);
+    setPath('custom', points);
+  });
+
+  if (pathSelect) pathSelect.addEventListener('change', () => setPath(pathSelect.value));
+  if (drawPathBtn) drawPathBtn.addEventListener('click', () => setPathDrawing(!pathDraw.active));
+
+  // Selected zone outline, zone names and draggable boundary handles
+  function drawZoneEditOverlay(trackX, trackY, trackWidth, trackH) {
+    trackCtx.save();
+    trackCtx.font = '12px system-ui, Roboto, Arial';
+    zones.forEach((z, i) => {
+      const zx = trackX + z.start * trackWidth;
+      const zw = (z.end - z.start) * trackWidth;
+      trackCtx.fillStyle = hexToRgba(z.color, 0.9);
+      trackCtx.fillText(`${z.name} ×${z.multiplier}`, zx + 6, trackY + 14);
+      if (i === zoneEditor.getSelected()) {
+        trackCtx.setLineDash([6, 4]);
+        trackCtx.strokeStyle = '#ffffff';
+        trackCtx.lineWidth = 2;
+        roundRect(trackCtx, zx + 2, trackY + 2, Math.max(zw - 4, 2), trackH - 4, 6);
+        trackCtx.stroke();
+        trackCtx.setLineDash([]);
+      }
+      if (i < zones.length - 1) {
+        const ex = trackX + z.end * trackWidth;
+        trackCtx.fillStyle = 'rgba(255,255,255,0.85)';
+        roundRect(trackCtx, ex - 3, trackY + trackH / 2 - 14, 6, 28, 3);
+        trackCtx.fill();
+      }
+    });
+    trackCtx.restore();
   }
 
   function roundRect(ctx, x, y, w, h, r) {
@@ -373,6 +1113,30 @@ bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
     return `rgba(${r},${g},${b},${alpha})`;
   }
 
+  // Zone editor: edits replace the zone layout and reach the engine immediately
+  const zoneEditor = ZoneEditor.createZoneEditor({
+    canvas: trackCanvas,
+    getTrack: () => trackCanvas._track,
+    getZones: () => zones,
+    onChange: (next) => {
+      zones = next;
+      engine.setZones(zones);
+      drawFrame();
+      if (zoneBandsToggle && zoneBandsToggle.checked) drawGraphs();
+    },
+    onSelectionChange: () => drawFrame(),
+    toggleBtn: zoneEditToggle,
+    panel: zoneEditorPanel,
+    fields: {
+      name: document.getElementById('zoneName'),
+      type: document.getElementById('zoneType'),
+      multiplier: document.getElementById('zoneMultiplier'),
+      color: document.getElementById('zoneColor')
+    },
+    addBtn: document.getElementById('zoneAddBtn'),
+    deleteBtn: document.getElementById('zoneDeleteBtn')
+  });
+
   drawStaticTrack();
 
   /* ===========================
@@ -383,30 +1147,57 @@ bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
     sim.running = false;
     sim.lastTime = null;
     sim.elapsed = 0;
-    objA.x = 0; objB.x = 0;
-    objA.y = 0; objB.y = 0;
-    objA.trail = []; objB.trail = [];
-    objA.currentSpeed = 0; objB.currentSpeed = 0;
-    objA.distanceTravelled = 0; objB.distanceTravelled = 0;
-    graphData = { time: [], distanceA: [], distanceB: [], speedA: [], speedB: [] };
-    computeTargetSpeeds();
+    sim.sampleEvery = SAMPLE_EVERY_STEPS;
+    racers.forEach(r => {
+      r.x = 0;
+      r.y = 0;
+      r.trail = [];
+      r.currentSpeed = 0;
+      r.velocity = 0;
+      r.position = 0;
+      r.distanceTravelled = 0;
+      r.finished = false;
+      r.finishTime = null;
+    });
+    graphData = emptyGraphData();
+    syncEngine();
+    recorder.clear();
+    recorder.push(engine.reset());
+    disableReplay();
+    hideRaceResults();
+    narrator.reset();
+    refreshDataTable();
+    worksheetReset();
+    resetGraphViews();
+    measure.kind = null;
+    measure.points = [];
+    renderMeasure();
     drawStaticTrack();
     drawFrame();
     clearGraphs();
     drawGraphs();
     updateSpeedTracker();
+    updateLiveForces();
   }
 
   resetSimulation();
 
+  function startSimulation() {
+    if (sim.running) return;
+    if (!worksheetAllowsStart()) return;
+    if (replay.active) stopReplay();
+    sim.running = true;
+    sim.lastTime = performance.now();
+    requestAnimationFrame(loop);
+  }
+
+  function toggleRunning() {
+    if (sim.running) sim.running = false;
+    else startSimulation();
+  }
+
   if (startBtn) {
-    startBtn.addEventListener('click', () => {
-      if (!sim.running) {
-        sim.running = true;
-        sim.lastTime = performance.now();
-        requestAnimationFrame(loop);
-      }
-    });
+    startBtn.addEventListener('click', startSimulation);
   }
 
   if (pauseBtn) {
@@ -432,373 +1223,1329 @@ bindRangeNumber(frictionBRange, frictionBNumber, (v) => {
      Physics update
      =========================== */
 
-  function updatePhysics(dt) {
-    const track = trackCanvas._track;
-    if (!track) return;
-
-    const trackPixelPerMeter = track.w / Math.max(params.distance_m, 0.0001);
-
-    computeTargetSpeeds();
-
-    function stepObject(obj) {
-      const fraction = obj.x / Math.max(track.w, 1);
-      let zoneMul = 1.0;
-      for (const z of zones) {
-        if (fraction >= z.start && fraction < z.end) { zoneMul = z.multiplier; break; }
-      }
-
-      const zoneTarget = obj.targetSpeed * zoneMul;
-      // NEW — object-specific mass & friction
-const objMass =
-  obj.id === 'A' ? params.massA : params.massB;
-
-const objFriction =
-  obj.id === 'A' ? params.frictionA : params.frictionB;
-
-// mass influences acceleration responsiveness
-const massFactor = clamp(objMass / 10, 0.5, 50);
-
-// acceleration toward target speed
-const accel = (zoneTarget - obj.currentSpeed) / massFactor;
-
-// friction proportional to object-specific friction slider
-const frictionResistance = (objFriction / 100) * 0.8 * obj.currentSpeed;
-
-
-      obj.currentSpeed += (accel - frictionResistance * 0.01) * dt;
-      obj.currentSpeed = Math.max(0, obj.currentSpeed);
-
-      const deltaMeters = obj.currentSpeed * dt;
-      obj.distanceTravelled += deltaMeters;
-      obj.x = obj.distanceTravelled * trackPixelPerMeter;
-
-      obj.trail.push({ x: obj.x, t: performance.now(), speed: obj.currentSpeed });
-      if (obj.trail.length > 220) obj.trail.shift();
-
-      if (obj.x >= track.w) {
-        obj.x = track.w;
-        obj.currentSpeed = 0;
-      }
-    }
-
-    stepObject(objA);
-    stepObject(objB);
-
-    sim.elapsed += dt;
+  // Run the whole fixed steps that fit in this frame; samples land on fixed
+  // step numbers, so graphs are the same at 30 Hz and 144 Hz
+  function updatePhysics(frameDt) {
+    engine.advance(frameDt, isRaceOver).forEach(state => {
+      recorder.push(state, isRaceOver(state));
+      narrator.observe(state);
+      const sampled = state.step % sim.sampleEvery === 0 || isRaceOver(state);
+      applyEngineState(state, sampled);
+      if (sampled) recordSample();
+    });
   }
 
   /* ===========================
      Drawing
      =========================== */
 
+  // Soft halo drawn once per color and radius, then copied under the object each frame
+  function glowSprite(color, radius) {
+    const key = `${color}|${radius}`;
+    let sprite = glowSprites.get(key);
+    if (sprite) return sprite;
+    if (glowSprites.size > 64) glowSprites.clear(); // sizes change with the canvas
+    const ratio = window.devicePixelRatio || 1;
+    const size = Math.ceil((radius * 1.5 + GLOW_BLUR) * 2);
+    sprite = document.createElement('canvas');
+    sprite.width = sprite.height = Math.ceil(size * ratio);
+    sprite.size = size;
+    const ctx = sprite.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.shadowColor = color;
+    ctx.shadowBlur = GLOW_BLUR;
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, radius * 1.5, 0, Math.PI * 2);
+    ctx.fillStyle = hexToRgba(color, 0.22);
+    ctx.fill();
+    glowSprites.set(key, sprite);
+    return sprite;
+  }
+
   function drawFrame() {
     drawStaticTrack();
 
     const track = trackCanvas._track;
     if (!track) return;
 
+    // one lane per racer: rows on the straight track, side by side along a 2D path
     const lanePadding = 18;
-    const laneHeight = (track.h - lanePadding * 2) / 2;
-    objA.y = track.y + lanePadding + laneHeight / 2;
-    objB.y = track.y + lanePadding + laneHeight + laneHeight / 2;
+    const laneHeight = (track.h - lanePadding * 2) / racers.length;
+    const radius = is2D() ? clamp(pathLaneGap() * 0.6, 4, 7) : clamp(laneHeight / 3, 4, 8);
+
+    // Canvas point of lane i at a track position (m) and the unit direction of travel there
+    function lanePoint(i, position) {
+      const fraction = position / Math.max(params.distance_m, 0.0001);
+      if (trackPath) {
+        const p = trackPath.pointAt(fraction);
+        const off = (i - (racers.length - 1) / 2) * pathLaneGap();
+        return { x: p.x - p.ty * off, y: p.y + p.tx * off, tx: p.tx, ty: p.ty };
+      }
+      return { x: track.x + fraction * track.w, y: track.y + lanePadding + laneHeight * i + laneHeight / 2, tx: 1, ty: 0 };
+    }
+
+    racers.forEach((r, i) => {
+      const p = lanePoint(i, r.position);
+      r.x = p.x;
+      r.y = p.y;
+      r.dir = { x: p.tx, y: p.ty };
+    });
 
-    function drawTrail(obj) {
+    // The trail fades out toward its tail: a few batched paths, one per fade step
+    function drawTrail(obj, lane) {
       const trail = obj.trail;
       if (!trail || trail.length < 2) return;
-      for (let i = 0; i < trail.length - 1; i++) {
-        const a = trail[i], b = trail[i + 1];
-        const alpha = Math.max(0.02, (i / trail.length));
+      const n = trail.length;
+      trackCtx.lineWidth = radius * 0.75;
+      trackCtx.lineCap = 'round';
+      trackCtx.lineJoin = 'round';
+      for (let k = 0; k < TRAIL_FADE_STEPS; k++) {
+        const from = Math.floor(k * (n - 1) / TRAIL_FADE_STEPS);
+        const to = Math.floor((k + 1) * (n - 1) / TRAIL_FADE_STEPS);
+        if (to <= from) continue;
         trackCtx.beginPath();
-        trackCtx.moveTo(track.x + a.x, obj.id === 'A' ? objA.y : objB.y);
-        trackCtx.lineTo(track.x + b.x, obj.id === 'A' ? objA.y : objB.y);
-        trackCtx.strokeStyle = hexToRgba(obj.color, alpha * 0.9);
-        trackCtx.lineWidth = 6;
-        trackCtx.lineCap = 'round';
+        for (let i = from; i <= to; i++) {
+          const p = lanePoint(lane, trail[i].d);
+          if (i === from) trackCtx.moveTo(p.x, p.y); else trackCtx.lineTo(p.x, p.y);
+        }
+        trackCtx.strokeStyle = hexToRgba(obj.color, Math.max(0.02, (from + to) / 2 / n) * 0.9);
         trackCtx.stroke();
       }
     }
 
     trackCtx.save();
     trackCtx.globalCompositeOperation = 'lighter';
-    drawTrail(objA);
-    drawTrail(objB);
+    racers.forEach((r, i) => drawTrail(r, i));
     trackCtx.restore();
 
     function drawObject(obj) {
-      const cx = track.x + obj.x;
-      const cy = obj.id === 'A' ? objA.y : objB.y;
+      const cx = obj.x;
+      const cy = obj.y;
 
-      trackCtx.save();
-      trackCtx.shadowColor = obj.color;
-      trackCtx.shadowBlur = 22;
-      trackCtx.beginPath();
-      trackCtx.arc(cx, cy, 12, 0, Math.PI * 2);
-      trackCtx.fillStyle = hexToRgba(obj.color, 0.22);
-      trackCtx.fill();
-      trackCtx.restore();
+      const glow = glowSprite(obj.color, radius);
+      trackCtx.drawImage(glow, cx - glow.size / 2, cy - glow.size / 2, glow.size, glow.size);
 
       trackCtx.beginPath();
-      trackCtx.arc(cx, cy, 8, 0, Math.PI * 2);
+      trackCtx.arc(cx, cy, radius, 0, Math.PI * 2);
       trackCtx.fillStyle = obj.color;
       trackCtx.fill();
 
-      const vlen = clamp(obj.currentSpeed / 2, 0, 40);
+      // ring around the object open in the inspector
+      if (obj.id === selectedId && racers.length > 1) {
+        trackCtx.beginPath();
+        trackCtx.arc(cx, cy, radius + 4, 0, Math.PI * 2);
+        trackCtx.strokeStyle = 'rgba(255,255,255,0.85)';
+        trackCtx.lineWidth = 1.5;
+        trackCtx.stroke();
+      }
+
+      trackCtx.fillStyle = '#071019';
+      trackCtx.font = `bold ${Math.round(radius * 1.3)}px system-ui, Roboto, Arial`;
+      trackCtx.textAlign = 'center';
+      trackCtx.textBaseline = 'middle';
+      trackCtx.fillText(obj.id, cx, cy + 0.5);
+      trackCtx.textAlign = 'start';
+      trackCtx.textBaseline = 'alphabetic';
+
+      // velocity arrow: tangent to the track, pointing the way the object is moving
+      const vlen = clamp(Math.abs(obj.velocity) / 2, 0, 40);
+      const sign = obj.velocity < 0 ? -1 : 1;
+      const ux = obj.dir.x * sign, uy = obj.dir.y * sign;
       if (vlen > 0.1) {
         trackCtx.beginPath();
-        trackCtx.moveTo(cx + 10, cy);
-        trackCtx.lineTo(cx + 10 + vlen, cy);
+        trackCtx.moveTo(cx + ux * 10, cy + uy * 10);
+        trackCtx.lineTo(cx + ux * (10 + vlen), cy + uy * (10 + vlen));
         trackCtx.strokeStyle = hexToRgba(obj.color, 0.9);
         trackCtx.lineWidth = 2;
         trackCtx.stroke();
 
         trackCtx.beginPath();
-        trackCtx.moveTo(cx + 10 + vlen, cy);
-        trackCtx.lineTo(cx + 8 + vlen, cy - 3);
-        trackCtx.lineTo(cx + 8 + vlen, cy + 3);
+        trackCtx.moveTo(cx + ux * (10 + vlen), cy + uy * (10 + vlen));
+        trackCtx.lineTo(cx + ux * (8 + vlen) - uy * 3, cy + uy * (8 + vlen) + ux * 3);
+        trackCtx.lineTo(cx + ux * (8 + vlen) + uy * 3, cy + uy * (8 + vlen) - ux * 3);
         trackCtx.closePath();
         trackCtx.fillStyle = hexToRgba(obj.color, 0.9);
         trackCtx.fill();
       }
     }
 
-    drawObject(objA);
-    drawObject(objB);
+    racers.forEach(drawObject);
   }
 
   /* ===========================
-     Graphing (canvas)
+     Graphing (canvas, via graph-plot.js)
      =========================== */
 
   function clearGraphs() {
     distanceCtx.clearRect(0, 0, distanceGraph.width, distanceGraph.height);
+    displacementCtx.clearRect(0, 0, displacementGraph.width, displacementGraph.height);
     speedCtx.clearRect(0, 0, speedGraph.width, speedGraph.height);
+    accelCtx.clearRect(0, 0, accelGraph.width, accelGraph.height);
   }
 
-  function drawAxes(ctx, canvasEl) {
-    const w = canvasEl.width / (window.devicePixelRatio || 1);
-    const h = canvasEl.height / (window.devicePixelRatio || 1);
-    ctx.save();
-    ctx.fillStyle = '#031018';
-    ctx.fillRect(0, 0, w, h);
-    ctx.strokeStyle = 'rgba(255,255,255,0.04)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let i = 0; i <= 4; i++) {
-      const y = (i / 4) * h;
-      ctx.moveTo(0, y);
-      ctx.lineTo(w, y);
-    }
-    ctx.stroke();
-    ctx.restore();
+  // Acceleration samples (m/s²) of one racer, worked out as they are recorded
+  function accelerationValues(id) {
+    return graphData.acceleration[id] || [];
   }
 
-  function drawGraphs() {
-    if (!graphData.time.length) {
-      drawAxes(distanceCtx, distanceGraph);
-      drawAxes(speedCtx, speedGraph);
-      return;
-    }
+  // One-way races: speed and distance are the same as velocity and displacement
+  function isTwoWay() { return params.track_mode !== 'one-way'; }
 
-    // Distance graph
-    drawAxes(distanceCtx, distanceGraph);
-    {
-      const w = distanceGraph.width / (window.devicePixelRatio || 1);
-      const h = distanceGraph.height / (window.devicePixelRatio || 1);
-      const tmax = Math.max(...graphData.time, 1);
-      const dmax = Math.max(...graphData.distanceA, ...graphData.distanceB, params.distance_m);
-      distanceCtx.fillStyle = '#9fb7c8';
-      distanceCtx.font = '12px system-ui, Roboto, Arial';
-      distanceCtx.fillText('Time (s)', 8, h - 6);
-      distanceCtx.fillText(params.units === 'm_s' ? 'Distance (m)' : 'Distance (km)', w - 120, h - 6);
-
-      function plotLine(values, color, width = 2) {
-        distanceCtx.beginPath();
-        for (let i = 0; i < values.length; i++) {
-          const tx = graphData.time[i];
-          const vx = (tx / tmax) * (w - 30) + 20;
-          const vy = h - 24 - (values[i] / (dmax || 1)) * (h - 40);
-          if (i === 0) distanceCtx.moveTo(vx, vy); else distanceCtx.lineTo(vx, vy);
-        }
-        distanceCtx.strokeStyle = color;
-        distanceCtx.lineWidth = width;
-        distanceCtx.stroke();
-      }
+  // Display unit for a graph kind
+  function graphUnit(kind) {
+    if (kind === 'distance' || kind === 'displacement') return Units.symbol('distance', params.units.distance);
+    if (kind === 'speed') return Units.symbol('speed', params.units.speed);
+    return Units.accelerationSymbol(params.units);
+  }
 
-      plotLine(graphData.distanceA.map(v => v), objectAColor, 2.5);
-      plotLine(graphData.distanceB.map(v => v), objectBColor, 2.5);
-
-      distanceCtx.fillStyle = objectAColor;
-      distanceCtx.fillRect(28, 8, 10, 6);
-      distanceCtx.fillStyle = objectBColor;
-      distanceCtx.fillRect(120, 8, 10, 6);
-      distanceCtx.fillStyle = '#9fb7c8';
-      distanceCtx.fillText('A', 42, 16);
-      distanceCtx.fillText('B', 134, 16);
-    }
-
-    // Speed graph
-    drawAxes(speedCtx, speedGraph);
-    {
-      const w = speedGraph.width / (window.devicePixelRatio || 1);
-      const h = speedGraph.height / (window.devicePixelRatio || 1);
-      const tmax = Math.max(...graphData.time, 1);
-      const vmax = Math.max(...graphData.speedA, ...graphData.speedB, 1);
-
-      speedCtx.fillStyle = '#9fb7c8';
-      speedCtx.font = '12px system-ui, Roboto, Arial';
-      speedCtx.fillText('Time (s)', 8, h - 6);
-      speedCtx.fillText(params.units === 'm_s' ? 'Speed (m/s)' : 'Speed (km/h)', w - 120, h - 6);
-
-      function plotLine(values, color, width = 2) {
-        speedCtx.beginPath();
-        for (let i = 0; i < values.length; i++) {
-          const tx = graphData.time[i];
-          const vx = (tx / tmax) * (w - 30) + 20;
-          const vy = h - 24 - (values[i] / (vmax || 1)) * (h - 40);
-          if (i === 0) speedCtx.moveTo(vx, vy); else speedCtx.lineTo(vx, vy);
-        }
-        speedCtx.strokeStyle = color;
-        speedCtx.lineWidth = width;
-        speedCtx.stroke();
-      }
+  // SI samples behind a graph kind and their conversion to display units
+  function graphSeries(kind, r) {
+    if (kind === 'distance') return { values: graphData.distance[r.id], convert: distanceToDisplay };
+    if (kind === 'displacement') return { values: graphData.displacement[r.id], convert: distanceToDisplay };
+    if (kind === 'speed') return { values: graphData.velocity[r.id], convert: speedToDisplay };
+    return { values: accelerationValues(r.id), convert: accelToDisplay };
+  }
+
+  // Sample idx of one racer in display units
+  function graphValueAt(kind, r, idx) {
+    const s = graphSeries(kind, r);
+    return s.convert(s.values[idx]);
+  }
+
+  function graphConvert(kind) {
+    if (kind === 'distance' || kind === 'displacement') return distanceToDisplay;
+    return kind === 'speed' ? speedToDisplay : accelToDisplay;
+  }
 
-      plotLine(graphData.speedA.map(v => v), objectAColor, 2.5);
-      plotLine(graphData.speedB.map(v => v), objectBColor, 2.5);
+  // Track zones as distance bands (for the "Show zones" overlay)
+  function zoneBands() {
+    return zones.map(z => ({
+      from: distanceToDisplay(z.start * params.distance_m),
+      to: distanceToDisplay(z.end * params.distance_m),
+      color: z.color,
+      label: z.name
+    }));
+  }
 
-      speedCtx.fillStyle = objectAColor;
-      speedCtx.fillRect(28, 8, 10, 6);
-      speedCtx.fillStyle = objectBColor;
-      speedCtx.fillRect(120, 8, 10, 6);
-      speedCtx.fillStyle = '#9fb7c8';
-      speedCtx.fillText('A', 42, 16);
-      speedCtx.fillText('B', 134, 16);
+  /* Plot description of one graph in the active units. Before a run the axes
+     span the slider settings, so the scale is visible from the start. The plot
+     points at the SI samples and converts each point as it is drawn; the axis
+     range comes from the running min / max (conversions are plain scale factors). */
+  function graphPlot(kind) {
+    const canvasEl = graphCanvases[kind].canvas;
+    const series = racers.map(r => ({ name: r.id, color: r.color, ...graphSeries(kind, r) }));
+    const toDisplay = graphConvert(kind);
+    const dataMax = toDisplay(graphData.range[kind].max);
+    const dataMin = toDisplay(graphData.range[kind].min);
+    const lastTime = graphData.time.length ? graphData.time[graphData.time.length - 1] : 0;
+    const baseSpeed = MotionEngine.computeBaseSpeedMs(params.distance_m, params.time_s);
+    const plot = {
+      width: canvasEl.width / (window.devicePixelRatio || 1),
+      height: canvasEl.height / (window.devicePixelRatio || 1),
+      xLabel: `Time (${timeUnit()})`,
+      time: graphData.time,
+      timeConvert: timeToDisplay,
+      xMax: timeToDisplay(Math.max(lastTime, graphData.time.length ? 0 : params.time_s, 1)),
+      cursorX: replay.active ? timeToDisplay(replay.time) : undefined,
+      series
+    };
+    const showBands = zoneBandsToggle && zoneBandsToggle.checked;
+    if (kind === 'distance') {
+      // path length: a return trip covers the track twice
+      plot.title = 'Distance vs Time';
+      plot.yLabel = `Distance (${graphUnit(kind)})`;
+      plot.yMax = Math.max(dataMax, distanceToDisplay(params.distance_m * (params.track_mode === 'return' ? 2 : 1)));
+      // zones are places on the track, so they only line up with distance on a one-way run
+      if (showBands && !isTwoWay()) plot.bands = zoneBands();
+    } else if (kind === 'displacement') {
+      plot.title = 'Displacement vs Time';
+      plot.yLabel = `Displacement (${graphUnit(kind)})`;
+      plot.yMax = Math.max(dataMax, distanceToDisplay(params.distance_m));
+      if (showBands) plot.bands = zoneBands();
+    } else if (kind === 'speed') {
+      plot.title = isTwoWay() ? 'Velocity vs Time' : 'Speed vs Time';
+      plot.yLabel = `${isTwoWay() ? 'Velocity' : 'Speed'} (${graphUnit(kind)})`;
+      plot.yMax = Math.max(dataMax, speedToDisplay(baseSpeed));
+      // room for the way back before it happens
+      if (isTwoWay()) plot.yMin = Math.min(-speedToDisplay(baseSpeed), dataMin);
+    } else {
+      plot.title = 'Acceleration vs Time';
+      plot.yLabel = `Acceleration (${graphUnit(kind)})`;
+      plot.yMin = dataMin;
+      plot.yMax = Math.max(dataMax, plot.yMin < 0 ? 0 : 1);
     }
+    if (graphViews[kind]) Object.assign(plot, graphViews[kind], { tight: true });
+    if (measure.active && measure.kind === kind) plot.measure = measure.points;
+    return plot;
+  }
+
+  /* Redraw every graph. With `append` (the live loop) a graph whose axes haven't
+     moved only draws the samples added since its last draw. */
+  function drawGraphs(append) {
+    Object.keys(graphCanvases).forEach(kind => {
+      const ctx = graphCanvases[kind].ctx;
+      const plot = graphPlot(kind);
+      const last = graphDrawn[kind];
+      const count = graphData.time.length;
+      const canAppend = append && last && !plot.measure && plot.cursorX === undefined &&
+        last.data === graphData && last.version === graphData.version && last.count <= count;
+      const layout = canAppend ? GraphPlot.layoutPlot(plot, ctx) : null;
+      if (layout && GraphPlot.sameLayout(layout, last.layout)) {
+        if (count > last.count) GraphPlot.appendPlot(ctx, plot, last.layout, last.count);
+      } else {
+        graphLayouts[kind] = GraphPlot.drawPlot(ctx, plot);
+      }
+      graphDrawn[kind] = { data: graphData, version: graphData.version, count, layout: graphLayouts[kind] };
+    });
   }
 
   /* Graph tooltip handling */
   function attachGraphTooltip(canvasEl, ctx, dataType) {
     canvasEl.addEventListener('mousemove', (ev) => {
       const rect = canvasEl.getBoundingClientRect();
-      const x = ev.clientX - rect.left;
-      const ratio = (x / rect.width);
-      if (!graphData.time.length) {
-        graphTooltip.style.display = 'none';
-        graphTooltip.setAttribute('aria-hidden', 'true');
+      const x = (ev.clientX - rect.left) * (canvasEl.width / (window.devicePixelRatio || 1)) / Math.max(rect.width, 1);
+      const layout = graphLayouts[dataType];
+      if (!graphData.time.length || !layout || ev.buttons) {
+        hideGraphTooltip();
         return;
       }
-      const i = Math.round((graphData.time.length - 1) * ratio);
-      const idx = clamp(i, 0, graphData.time.length - 1);
-      let t = graphData.time[idx].toFixed(2);
-      let aVal, bVal, label;
-      if (dataType === 'distance') {
-        aVal = graphData.distanceA[idx]; bVal = graphData.distanceB[idx];
-        label = params.units === 'm_s' ? 'm' : 'km';
-        if (params.units !== 'm_s') { aVal = (aVal / 1000).toFixed(2); bVal = (bVal / 1000).toFixed(2); }
-        else { aVal = aVal.toFixed(2); bVal = bVal.toFixed(2); }
-      } else {
-        aVal = graphData.speedA[idx]; bVal = graphData.speedB[idx];
-        if (params.units === 'm_s') { aVal = aVal.toFixed(2); bVal = bVal.toFixed(2); label = 'm/s'; }
-        else { aVal = (msToKmh(aVal)).toFixed(2); bVal = (msToKmh(bVal)).toFixed(2); label = 'km/h'; }
-      }
+      const idx = nearestSampleIndex(Units.toBase('time', layout.invertX(x), params.units.time));
+      const t = Units.formatValue(timeToDisplay(graphData.time[idx]));
+      const label = graphUnit(dataType);
+      const values = racers.map(r => {
+        const v = graphValueAt(dataType, r, idx);
+        return `<span style="color:${r.color}">${r.id}</span>: ${Units.formatValue(safeNumber(v))}`;
+      });
 
       graphTooltip.style.left = `${ev.clientX}px`;
       graphTooltip.style.top = `${ev.clientY}px`;
       graphTooltip.style.display = 'block';
       graphTooltip.setAttribute('aria-hidden', 'false');
-      graphTooltip.innerHTML = `<strong>t=${t}s</strong> • A: ${aVal} • B: ${bVal} ${label}`;
+      graphTooltip.innerHTML = `<strong>t=${t} ${timeUnit()}</strong> • ${values.join(' • ')} ${label}`;
     });
 
-    canvasEl.addEventListener('mouseleave', () => {
-      graphTooltip.style.display = 'none';
-      graphTooltip.setAttribute('aria-hidden', 'true');
-    });
+    canvasEl.addEventListener('mouseleave', hideGraphTooltip);
+  }
+
+  // Sample closest to time t (graphData.time is increasing)
+  function nearestSampleIndex(t) {
+    const times = graphData.time;
+    let lo = 0, hi = times.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0 && Math.abs(times[lo - 1] - t) < Math.abs(times[lo] - t)) lo--;
+    return clamp(lo, 0, times.length - 1);
   }
 
   attachGraphTooltip(distanceGraph, distanceCtx, 'distance');
+  attachGraphTooltip(displacementGraph, displacementCtx, 'displacement');
   attachGraphTooltip(speedGraph, speedCtx, 'speed');
+  attachGraphTooltip(accelGraph, accelCtx, 'acceleration');
+
+  if (zoneBandsToggle) zoneBandsToggle.addEventListener('change', drawGraphs);
+
+  /* ===========================
+     Graph zoom / pan and measure mode (graph-view.js)
+     =========================== */
+
+  // How close (px) a measure click must be to a curve to snap onto its sample
+  const MEASURE_SNAP_PX = 12;
+
+  function hideGraphTooltip() {
+    graphTooltip.style.display = 'none';
+    graphTooltip.setAttribute('aria-hidden', 'true');
+  }
+
+  function setGraphView(kind, view) {
+    graphViews[kind] = view;
+    if (resetViewBtn) resetViewBtn.disabled = !Object.keys(graphViews).some(k => graphViews[k]);
+    drawGraphs();
+  }
+
+  function resetGraphViews() {
+    Object.keys(graphViews).forEach(k => { graphViews[k] = null; });
+    if (resetViewBtn) resetViewBtn.disabled = true;
+  }
+
+  // Data point for a click: the nearest recorded sample if a curve is close, else the raw position
+  function measurePointAt(kind, p) {
+    const layout = graphLayouts[kind];
+    const point = { x: layout.invertX(p.x), y: layout.invertY(p.y) };
+    if (!graphData.time.length) return point;
+    const idx = nearestSampleIndex(Units.toBase('time', point.x, params.units.time));
+    const t = timeToDisplay(graphData.time[idx]);
+    if (Math.abs(layout.sx(t) - p.x) > MEASURE_SNAP_PX) return point;
+    let best = null;
+    racers.forEach(r => {
+      const v = graphValueAt(kind, r, idx);
+      const gap = Math.abs(layout.sy(v) - p.y);
+      if (Number.isFinite(v) && gap <= MEASURE_SNAP_PX && (!best || gap < best.gap)) best = { gap, x: t, y: v };
+    });
+    return best ? { x: best.x, y: best.y } : point;
+  }
+
+  function addMeasurePoint(kind, p) {
+    if (!graphLayouts[kind]) return;
+    // a click on another graph, or after a finished pair, starts a new measurement
+    if (measure.kind !== kind || measure.points.length >= 2) measure.points = [];
+    measure.kind = kind;
+    measure.points.push(measurePointAt(kind, p));
+    renderMeasure();
+    drawGraphs();
+  }
+
+  // Δ readout in display units; the slope between the points is the average rate
+  function renderMeasure() {
+    if (!measureReadout) return;
+    measureReadout.hidden = !measure.active;
+    if (!measure.active) return;
+    const pts = measure.points;
+    const unit = measure.kind ? graphUnit(measure.kind) : '';
+    const symbol = { distance: 'd', displacement: 'x', speed: 'v', acceleration: 'a' }[measure.kind];
+    if (!pts.length) {
+      measureReadout.textContent = 'Click two points on a graph to measure between them.';
+    } else if (pts.length === 1) {
+      measureReadout.textContent = `Point 1: t = ${Units.formatValue(pts[0].x)} ${timeUnit()}, ${symbol} = ${Units.formatValue(pts[0].y)} ${unit}. Click a second point.`;
+    } else {
+      const dt = pts[1].x - pts[0].x;
+      const dy = pts[1].y - pts[0].y;
+      const parts = [`Δt = ${Units.formatValue(dt)} ${timeUnit()}`, `Δ${symbol} = ${Units.formatValue(dy)} ${unit}`];
+      if (Math.abs(dt) > 1e-9) {
+        // slopes are worked out in SI and shown in the chosen units
+        const dtSeconds = Units.toBase('time', dt, params.units.time);
+        if (measure.kind === 'distance' || measure.kind === 'displacement') {
+          const dMeters = Units.toBase('distance', dy, params.units.distance);
+          const what = measure.kind === 'distance' ? 'average speed' : 'average velocity';
+          parts.push(`${what} = ${formatSpeed(dMeters / dtSeconds)}`);
+        } else if (measure.kind === 'speed') {
+          const dMs = Units.toBase('speed', dy, params.units.speed);
+          parts.push(`average acceleration = ${formatAccel(dMs / dtSeconds)}`);
+        }
+      }
+      measureReadout.textContent = parts.join(' • ');
+    }
+  }
+
+  function setMeasureMode(on) {
+    measure.active = !!on;
+    measure.kind = null;
+    measure.points = [];
+    if (measureToggle) {
+      measureToggle.setAttribute('aria-pressed', measure.active ? 'true' : 'false');
+      measureToggle.textContent = measure.active ? 'Done measuring' : 'Measure';
+    }
+    accelGraph.closest('.graph-grid').classList.toggle('measuring', measure.active);
+    renderMeasure();
+    drawGraphs();
+  }
+
+  Object.keys(graphCanvases).forEach(kind => {
+    GraphView.createGraphInteraction({
+      canvas: graphCanvases[kind].canvas,
+      getLayout: () => graphLayouts[kind],
+      getView: () => graphViews[kind],
+      setView: (view) => setGraphView(kind, view),
+      isMeasuring: () => measure.active,
+      onMeasure: (p) => addMeasurePoint(kind, p),
+      onInteract: hideGraphTooltip,
+      minSpan: { x: 0.05, y: 1e-4 }
+    });
+  });
+
+  if (measureToggle) measureToggle.addEventListener('click', () => setMeasureMode(!measure.active));
+  if (resetViewBtn) {
+    resetViewBtn.addEventListener('click', () => {
+      resetGraphViews();
+      drawGraphs();
+    });
+  }
 
   /* ===========================
      Main loop
      =========================== */
 
+  function updateLiveSpeed() {
+    if (!liveSpeed) return;
+    const parts = racers.map(r => {
+      if (is2D()) {
+        // a 2D velocity is a size and a direction (degrees anticlockwise from → on screen)
+        if (!r.dir || r.currentSpeed <= 0) return `(${r.id}): ${formatSpeed(r.currentSpeed)}`;
+        const sign = r.velocity < 0 ? -1 : 1;
+        const angle = (Math.atan2(-r.dir.y * sign, r.dir.x * sign) * 180 / Math.PI + 360) % 360;
+        return `(${r.id}): ${formatSpeed(r.currentSpeed)} at ${Math.round(angle)}°`;
+      }
+      return `(${r.id}): ${formatSpeed(isTwoWay() ? r.velocity : r.currentSpeed)}`;
+    });
+    liveSpeed.textContent = `Current ${isTwoWay() || is2D() ? 'velocity' : 'speed'} ${parts.join(' • ')}`;
+  }
+
+  // Physics model: forces on each object right now (net, friction, drag) and its acceleration
+  function updateLiveForces() {
+    if (!liveForces) return;
+    liveForces.hidden = params.model !== 'physics';
+    if (liveForces.hidden) return;
+    const state = engine.getState();
+    liveForces.innerHTML = racers.map(r => {
+      const o = state.objects.find(x => x.id === r.id);
+      const f = o && o.forces;
+      const label = `<span style="color:${r.color}">${r.id}</span>`;
+      if (!f) return `<div>${label}: ${o && o.finished ? 'finished' : '—'}</div>`;
+      const parts = [
+        `F_net ${f.net.toFixed(1)} N`,
+        `friction ${f.friction.toFixed(1)} N`
+      ];
+      if (params.air_drag) parts.push(`drag ${f.drag.toFixed(1)} N`);
+      parts.push(`a ${formatAccel(f.acceleration)}`);
+      if (o.stalled) parts.push('stuck');
+      return `<div>${label}: ${parts.join(' • ')}</div>`;
+    }).join('');
+  }
+
   function loop(now) {
-    if (!sim.running) return;
+    if (!sim.running) {
+      refreshDataTable(); // paused
+      return;
+    }
     if (!sim.lastTime) sim.lastTime = now;
-    const dt = Math.min(0.1, (now - sim.lastTime) / 1000);
+    const frameDt = (now - sim.lastTime) / 1000;
     sim.lastTime = now;
 
-    updatePhysics(dt);
+    updatePhysics(frameDt);
     drawFrame();
 
-    // record data
-    graphData.time.push(sim.elapsed);
-    graphData.distanceA.push(objA.distanceTravelled);
-    graphData.distanceB.push(objB.distanceTravelled);
-    graphData.speedA.push(objA.currentSpeed);
-    graphData.speedB.push(objB.currentSpeed);
-
     // update live speed display
-    let speedA_display = objA.currentSpeed;
-    let speedB_display = objB.currentSpeed;
-    let speedLabel = 'm/s';
-    if (params.units === 'km_h') {
-      speedA_display = msToKmh(speedA_display);
-      speedB_display = msToKmh(speedB_display);
-      speedLabel = 'km/h';
-    }
-    if (liveSpeed) liveSpeed.textContent = `Current speed (A): ${speedA_display.toFixed(2)} ${speedLabel} • (B): ${speedB_display.toFixed(2)} ${speedLabel}`;
+    updateLiveSpeed();
+    updateLiveForces();
 
     // update small live trackers
     updateSpeedTracker();
 
-    // update graphs
-    drawGraphs();
+    // update graphs (only the new samples, unless the axes moved)
+    drawGraphs(true);
+    updateSound();
+    if (now - dataGrid.refreshed > DATA_TABLE_REFRESH_MS && !dataTable.contains(document.activeElement)) refreshDataTable();
 
     // finish detection
-    const finishedA = objA.x >= trackCanvas._track.w - 1;
-    const finishedB = objB.x >= trackCanvas._track.w - 1;
-    const timeExceeded = (sim.elapsed >= Math.max(params.time_s * 1.5, params.time_s + 5));
-
-    if ((finishedA && finishedB) || timeExceeded) {
+    if (isRaceOver(engine.getState())) {
       sim.running = false;
       drawFrame();
       drawGraphs();
+      enableReplay();
+      showRaceResults(MotionEngine.raceResults(engine.getState()));
+      narrator.announce(raceSummary.textContent, 'summary');
+      refreshDataTable();
+      worksheetRaceOver();
       return;
     }
 
     requestAnimationFrame(loop);
   }
 
+  /* ===========================
+     Race results (winner, margin, finish times, average / max speed)
+     =========================== */
+
+  function hideRaceResults() {
+    if (raceResultsEl) raceResultsEl.hidden = true;
+  }
+
+  // results = MotionEngine.raceResults(state)
+  function showRaceResults(results) {
+    if (!raceResultsEl) return;
+    const colorOf = (id) => (findRacer(id) || {}).color || '#fff';
+    const tag = (id) => `<strong style="color:${colorOf(id)}">${id}</strong>`;
+    const rows = results.rows;
+    const parts = [];
+
+    if (results.winner === 'tie') {
+      const first = rows.filter(r => r.place === 1);
+      parts.push(`Tie for first between ${first.map(r => tag(r.id)).join(' and ')} at ${formatSeconds(first[0].finishTime)}.`);
+    } else if (results.winner) {
+      const second = rows.find(r => r.finished && r.id !== results.winner);
+      parts.push(second
+        ? `Winner: ${tag(results.winner)}, ${formatSeconds(results.margin)} ahead of ${tag(second.id)}.`
+        : `${tag(results.winner)} finished in ${formatSeconds(rows[0].finishTime)}.`);
+    } else if (params.track_mode === 'bounce') {
+      parts.push(`Bounce run of ${formatSeconds(results.time)}: ranked by distance travelled.`);
+    } else {
+      parts.push('No one finished.');
+    }
+
+    if (results.timedOut && params.track_mode !== 'bounce') {
+      const unfinished = rows.filter(r => !r.finished);
+      const stuck = unfinished.filter(r => r.stalled);
+      const reason = stuck.length === unfinished.length
+        ? `${unfinished.map(r => r.id).join(', ')} got stuck (the push can't beat friction).`
+        : `Timed out at ${formatSeconds(results.time)} — ${unfinished.map(r => r.id).join(', ')} did not finish.`;
+      parts.push(`<span class="timed-out">${reason}</span>`);
+    }
+    raceSummary.innerHTML = parts.join(' ');
+
+    const finishCell = (r) => {
+      if (r.finished) return formatSeconds(r.finishTime);
+      if (r.stalled) return 'stuck';
+      return params.track_mode === 'bounce' ? '—' : 'did not finish';
+    };
+    raceResultsBody.innerHTML = rows.map(r => `
+      <tr>
+        <td>${r.place}</td>
+        <td>${tag(r.id)}</td>
+        <td class="num">${finishCell(r)}</td>
+        <td class="num">${formatDistance(r.distance)}</td>
+        <td class="num">${formatSpeed(r.averageSpeed)}</td>
+        <td class="num">${formatSpeed(r.averageVelocity)}</td>
+        <td class="num">${formatSpeed(r.maxSpeed)}</td>
+      </tr>`).join('');
+    raceResultsEl.hidden = false;
+  }
+
+  /* ===========================
+     Accessibility: narration, data table, sonification
+     =========================== */
+
+  // Entries kept in the narration log (older ones have been read already)
+  const NARRATION_KEEP = 10;
+
+  function narrate(text) {
+    if (!narrationEl) return;
+    const p = document.createElement('p');
+    p.textContent = text;
+    narrationEl.appendChild(p);
+    while (narrationEl.children.length > NARRATION_KEEP) narrationEl.firstElementChild.remove();
+  }
+
+  if (narrateToggle) narrateToggle.addEventListener('change', () => narrator.setEnabled(narrateToggle.checked));
+
+  // Table columns in display units (the same data as the CSV export)
+  function dataTableColumns() {
+    const dUnit = graphUnit('distance');
+    const vUnit = graphUnit('speed');
+    const aUnit = graphUnit('acceleration');
+    const columns = [{ header: `Time (${timeUnit()})`, values: graphData.time, convert: timeToDisplay }];
+    racers.forEach(r => {
+      columns.push({ header: `${r.id} distance (${dUnit})`, values: graphData.distance[r.id], convert: distanceToDisplay });
+      columns.push({ header: `${r.id} displacement (${dUnit})`, values: graphData.displacement[r.id], convert: distanceToDisplay });
+      columns.push({ header: `${r.id} velocity (${vUnit})`, values: graphData.velocity[r.id], convert: speedToDisplay });
+      columns.push({ header: `${r.id} acceleration (${aUnit})`, values: accelerationValues(r.id), convert: accelToDisplay });
+    });
+    return columns;
+  }
+
+  /* Rebuild the table while it is open. Long runs show evenly spaced samples
+     (always the last one); the CSV export has them all. */
+  function refreshDataTable() {
+    if (!dataTable || !dataTableBox || !dataTableBox.open) return;
+    dataGrid.refreshed = performance.now();
+    const hadFocus = dataTable.contains(document.activeElement);
+    const columns = dataTableColumns();
+    const n = graphData.time.length;
+    const stride = Math.max(1, Math.ceil(n / DATA_TABLE_MAX_ROWS));
+    const rows = [];
+    for (let i = 0; i < n; i += stride) rows.push(i);
+    if (n && rows[rows.length - 1] !== n - 1) rows.push(n - 1);
+
+    const cellText = (c, i) => (typeof c.values[i] === 'number' ? Units.formatValue(c.convert(c.values[i])) : '—');
+    dataTable.tHead.innerHTML = `<tr>${columns.map(c => `<th scope="col" tabindex="-1">${escapeHtml(c.header)}</th>`).join('')}</tr>`;
+    dataTable.tBodies[0].innerHTML = rows.map(i => `<tr>${columns.map((c, k) => (k === 0
+      ? `<th scope="row" tabindex="-1">${cellText(c, i)}</th>`
+      : `<td tabindex="-1">${cellText(c, i)}</td>`)).join('')}</tr>`).join('');
+    dataGrid.cell = null;
+    focusDataCell(dataGrid.row, dataGrid.col, hadFocus);
+
+    if (dataTableNote) {
+      dataTableNote.textContent = n
+        ? `${n} samples${stride > 1 ? `, 1 in every ${stride} shown (export CSV for all)` : ''}. ` +
+          'Arrow keys move between cells; Home / End go to the start or end of a row, Ctrl+Home / Ctrl+End to the first or last cell.'
+        : 'No data yet: start a run.';
+    }
+  }
+
+  // Roving focus: only the current cell is in the tab order
+  function focusDataCell(row, col, focus) {
+    const rows = dataTable.rows;
+    if (!rows.length) return;
+    const r = clamp(row, 0, rows.length - 1);
+    const c = clamp(col, 0, rows[r].cells.length - 1);
+    const cell = rows[r].cells[c];
+    if (!cell) return;
+    if (dataGrid.cell && dataGrid.cell !== cell) dataGrid.cell.tabIndex = -1;
+    cell.tabIndex = 0;
+    dataGrid.row = r;
+    dataGrid.col = c;
+    dataGrid.cell = cell;
+    if (focus) cell.focus();
+  }
+
+  if (dataTable) {
+    dataTable.addEventListener('keydown', (ev) => {
+      const lastRow = dataTable.rows.length - 1;
+      let { row, col } = dataGrid;
+      switch (ev.key) {
+        case 'ArrowUp': row--; break;
+        case 'ArrowDown': row++; break;
+        case 'ArrowLeft': col--; break;
+        case 'ArrowRight': col++; break;
+        case 'PageUp': row -= 10; break;
+        case 'PageDown': row += 10; break;
+        case 'Home': if (ev.ctrlKey) row = 0; col = 0; break;
+        case 'End': if (ev.ctrlKey) row = lastRow; col = Infinity; break;
+        default: return;
+      }
+      ev.preventDefault();
+      focusDataCell(row, col, true);
+    });
+    dataTable.addEventListener('click', (ev) => {
+      const cell = ev.target.closest('td, th');
+      if (cell) focusDataCell(cell.parentElement.rowIndex, cell.cellIndex, true);
+    });
+  }
+  if (dataTableBox) dataTableBox.addEventListener('toggle', refreshDataTable);
+
+  // Sound is created on the checkbox click: browsers only allow audio after a user gesture
+  function setSonify(on) {
+    if (on && !sonifier) {
+      sonifier = Sonification.createSonifier(window.AudioContext || window.webkitAudioContext);
+      if (!sonifier.supported) {
+        sonifier = null;
+        if (sonifyToggle) sonifyToggle.checked = false;
+        narrate('Sound is not available in this browser.');
+      }
+    } else if (!on && sonifier) {
+      sonifier.stop();
+      sonifier = null;
+    }
+  }
+
+  if (sonifyToggle) sonifyToggle.addEventListener('change', () => setSonify(sonifyToggle.checked));
+
+  // Highest pitch = twice the average speed the sliders ask for, or the fastest object if quicker
+  function updateSound() {
+    if (!sonifier) return;
+    const top = racers.reduce((m, r) => Math.max(m, r.currentSpeed), 2 * params.distance_m / params.time_s);
+    sonifier.update(racers.map(r => ({ id: r.id, speed: r.currentSpeed, moving: !r.finished && r.currentSpeed > 0 })), top);
+  }
+
   /* Initialization helpers */
-  trackCanvas.addEventListener('click', () => {
-    if (sim.running) sim.running = false;
-    else {
-      sim.running = true;
-      sim.lastTime = performance.now();
-      requestAnimationFrame(loop);
+  // Racer drawn under a canvas point (CSS px), or null
+  function racerAt(x, y) {
+    const track = trackCanvas._track;
+    if (!track) return null;
+    let best = null, bestDist = RACER_HIT_PX;
+    racers.forEach(r => {
+      const d = Math.hypot(r.x - x, r.y - y);
+      if (d <= bestDist) { best = r; bestDist = d; }
+    });
+    return best;
+  }
+
+  trackCanvas.addEventListener('click', (ev) => {
+    if (zoneEditor.isActive()) return; // clicks edit zones instead
+    if (pathDraw.active || pathDraw.suppressClick) {
+      pathDraw.suppressClick = false;
+      return;
     }
+    const rect = trackCanvas.getBoundingClientRect();
+    const hit = racerAt(ev.clientX - rect.left, ev.clientY - rect.top);
+    if (hit) selectRacer(hit.id); // clicking an object inspects it
+    else toggleRunning();
   });
 
   window.addEventListener('keydown', (ev) => {
-    if (ev.code === 'Space') {
+    // don't steal keys from form fields (zone names, numbers...)
+    if (ev.target && ev.target.closest && ev.target.closest('input, select, textarea, .data-table')) return;
+    if (ev.key === 'Escape' && pathDraw.active) {
+      setPathDrawing(false);
+    } else if (ev.code === 'Space') {
       ev.preventDefault();
-      if (sim.running) sim.running = false;
-      else {
-        sim.running = true;
-        sim.lastTime = performance.now();
-        requestAnimationFrame(loop);
-      }
+      toggleRunning();
     } else if (ev.key.toLowerCase() === 'r') {
       resetSimulation();
     }
   });
 
+  /* ===========================
+     Graph export (CSV / PNG / SVG)
+     =========================== */
+
+  function exportCSV() {
+    const dUnit = Units.slug(graphUnit('distance'));
+    const vUnit = Units.slug(graphUnit('speed'));
+    const aUnit = Units.slug(graphUnit('acceleration'));
+    const columns = [];
+    racers.forEach(r => {
+      columns.push({ header: `distance_${r.id}_${dUnit}`, values: graphData.distance[r.id], convert: distanceToDisplay });
+      columns.push({ header: `displacement_${r.id}_${dUnit}`, values: graphData.displacement[r.id], convert: distanceToDisplay });
+      columns.push({ header: `velocity_${r.id}_${vUnit}`, values: graphData.velocity[r.id], convert: speedToDisplay });
+      columns.push({ header: `accel_${r.id}_${aUnit}`, values: accelerationValues(r.id), convert: accelToDisplay });
+    });
+    const timeColumn = { header: `time_${Units.slug(timeUnit())}`, convert: timeToDisplay };
+    GraphExport.downloadText(GraphExport.toCSV(graphData.time, columns, timeColumn), 'motion-graph-data.csv', 'text/csv');
+  }
+
+  if (graphExportMenu) {
+    graphExportMenu.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('[data-export]');
+      if (!btn) return;
+      const [kind, format] = btn.dataset.export.split(':');
+      if (format === 'csv') exportCSV();
+      else if (format === 'png') GraphExport.downloadCanvasPNG(graphCanvases[kind].canvas, `${kind}-vs-time.png`);
+      else if (format === 'svg') GraphExport.downloadText(GraphExport.toSVG(graphPlot(kind)), `${kind}-vs-time.svg`, 'image/svg+xml');
+      graphExportMenu.open = false;
+    });
+  }
+
+  /* ===========================
+     Replay timeline (scrub / play / step through the recorded run)
+     =========================== */
+
+  function enableReplay() {
+    if (!replayBar || recorder.length < 2) return;
+    replayBar.hidden = false;
+    replaySlider.max = recorder.length - 1;
+    replaySlider.value = recorder.length - 1;
+    showReplayFrame(recorder.length - 1);
+  }
+
+  function disableReplay() {
+    replay.active = false;
+    replay.playing = false;
+    if (replayBar) replayBar.hidden = true;
+    if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+  }
+
+  // Leave replay and show the live (final) engine state again
+  function stopReplay() {
+    showReplayFrame(recorder.length - 1);
+    replay.active = false;
+    replay.playing = false;
+    if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+    drawGraphs();
+  }
+
+  function showReplayFrame(i) {
+    const frame = recorder.frameAt(i);
+    replay.active = true;
+    replay.index = frame.index;
+    replay.time = frame.time;
+    if (replaySlider) replaySlider.value = frame.index;
+
+    racers.forEach(r => {
+      const o = frame.objects.find(x => x.id === r.id);
+      if (!o) return;
+      r.position = o.position;
+      r.velocity = o.velocity;
+      r.currentSpeed = o.speed;
+      r.distanceTravelled = o.distance;
+      // rebuild the trail from earlier frames at the live sampling rate
+      r.trail = [];
+      const every = Math.max(1, Math.round(SAMPLE_EVERY_STEPS / recorder.stride));
+      for (let k = Math.max(0, frame.index - 220 * every); k <= frame.index; k += every) {
+        const f = recorder.frameAt(k).objects.find(x => x.id === r.id);
+        if (f) r.trail.push({ d: f.position, speed: f.speed });
+      }
+    });
+
+    if (replayTime) {
+      const zonesNow = frame.objects.map(o => `${o.id}: ${o.zone || '—'}`).join(' • ');
+      replayTime.textContent = `t = ${Units.format('time', frame.time, params.units.time)} • ${zonesNow}`;
+    }
+    drawFrame();
+    drawGraphs();
+    updateSpeedTracker();
+    updateLiveSpeed();
+  }
+
+  function replayLoop(now) {
+    if (!replay.playing) return;
+    if (!replay.lastTime) replay.lastTime = now;
+    const dt = (now - replay.lastTime) / 1000;
+    replay.lastTime = now;
+    const speed = Number(replaySpeed && replaySpeed.value) || 1;
+    const t = replay.time + dt * speed;
+    if (t >= recorder.duration) {
+      showReplayFrame(recorder.length - 1);
+      replay.playing = false;
+      if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+      return;
+    }
+    replay.time = t;
+    showReplayFrame(recorder.indexAtTime(t));
+    replay.time = t; // keep sub-frame time so slow playback still moves
+    requestAnimationFrame(replayLoop);
+  }
+
+  if (replaySlider) {
+    replaySlider.addEventListener('input', () => {
+      replay.playing = false;
+      if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+      showReplayFrame(Number(replaySlider.value));
+    });
+  }
+
+  if (replayPlayBtn) {
+    replayPlayBtn.addEventListener('click', () => {
+      if (replay.playing) {
+        replay.playing = false;
+        replayPlayBtn.textContent = 'Play';
+        return;
+      }
+      if (replay.index >= recorder.length - 1) showReplayFrame(0);
+      replay.playing = true;
+      replay.lastTime = null;
+      replayPlayBtn.textContent = 'Pause';
+      requestAnimationFrame(replayLoop);
+    });
+  }
+
+  // Frame-by-frame stepping moves one recorded physics step
+  [[replayBackBtn, -1], [replayFwdBtn, 1]].forEach(([btn, dir]) => {
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+      replay.playing = false;
+      if (replayPlayBtn) replayPlayBtn.textContent = 'Play';
+      showReplayFrame(replay.index + dir);
+    });
+  });
+
+  /* ===========================
+     Scenarios (save / load / share)
+     =========================== */
+
+  // The #scenario= hash this page last wrote itself, so hashchange does not reload it
+  let sharedHash = null;
+
+  function currentScenario() {
+    return Scenario.createScenario({ params, racers, zones, linked: [...linked] });
+  }
+
+  // Set a bound number input and let its input handler update params
+  function setControlValue(numberEl, value) {
+    if (!numberEl) return;
+    numberEl.value = value;
+    numberEl.dispatchEvent(new Event('input'));
+  }
+
+  function applyScenario(sc) {
+    resetSimulation();
+
+    setUnits(sc.units);
+    setControlValue(distanceNumber, distanceToDisplay(sc.distance_m));
+    setControlValue(timeNumber, timeToDisplay(sc.time_s));
+
+    params.integrator = sc.integrator;
+    if (integratorSelect) integratorSelect.value = sc.integrator;
+    engine.setIntegrator(sc.integrator);
+
+    setControlValue(forceNumber, sc.force_N);
+    setControlValue(muNumber, sc.mu_k);
+    setAirDrag(sc.air_drag, sc.drag_k);
+    setTrackMode(sc.track_mode, true);
+    setPath(sc.path, sc.path_points, true);
+
+    if (sc.zones) {
+      zones = ZoneEditor.normalizeZones(sc.zones);
+      engine.setZones(zones);
+      zoneEditor.select(0);
+    }
+
+    if (sc.racers) {
+      racers.forEach(r => engine.removeObject(r.id));
+      racers.length = 0;
+      sc.racers.forEach((r, i) => {
+        racers.push(makeObject(r.id, r.color || RACER_COLORS[i], r.offset, r.mass, r.friction));
+      });
+      racers.sort((a, b) => a.id.localeCompare(b.id));
+      racers.forEach(r => engine.addObject(engineObjectDef(r)));
+    }
+    linked.clear();
+    sc.linked.forEach(k => linked.add(k));
+
+    syncEngine();
+    setModel(sc.model); // also rebuilds the racer controls and resets the run
+    renderSpeedTrackers();
+  }
+
+  function showScenarioStatus(text, isError) {
+    if (!scenarioStatus) return;
+    scenarioStatus.textContent = text;
+    scenarioStatus.classList.toggle('error', !!isError);
+  }
+
+  if (scenarioExportBtn) {
+    scenarioExportBtn.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(currentScenario(), null, 2)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'motion-scenario.json';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+      showScenarioStatus('Scenario exported.');
+    });
+  }
+
+  if (scenarioImportBtn && scenarioFile) {
+    scenarioImportBtn.addEventListener('click', () => scenarioFile.click());
+    scenarioFile.addEventListener('change', () => {
+      const file = scenarioFile.files && scenarioFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          applyScenario(Scenario.parseScenario(String(reader.result)));
+          showScenarioStatus(`Loaded "${file.name}".`);
+        } catch (e) {
+          showScenarioStatus(`Could not load "${file.name}": ${e.message}`, true);
+        }
+        scenarioFile.value = '';
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  if (scenarioLinkBtn) {
+    scenarioLinkBtn.addEventListener('click', () => {
+      const hash = Scenario.encodeHash(currentScenario());
+      const link = location.href.split('#')[0] + hash;
+      // show the link in the address bar without reloading the scenario
+      sharedHash = hash;
+      try { history.replaceState(null, '', hash); } catch (e) { location.hash = hash; }
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(
+          () => showScenarioStatus('Link copied — paste it to share this race.'),
+          () => showScenarioStatus('Link is in the address bar — copy it to share this race.')
+        );
+      } else {
+        showScenarioStatus('Link is in the address bar — copy it to share this race.');
+      }
+    });
+  }
+
+  function loadScenarioFromHash() {
+    if (sharedHash && location.hash === sharedHash) return;
+    try {
+      const sc = Scenario.decodeHash(location.hash);
+      if (sc) {
+        applyScenario(sc);
+        showScenarioStatus('Scenario loaded from link.');
+      }
+    } catch (e) {
+      showScenarioStatus(`Could not open the shared scenario: ${e.message}`, true);
+    }
+  }
+
+  window.addEventListener('hashchange', loadScenarioFromHash);
+
+  /* ===========================
+     Guided experiments: predict → run → explain (experiments.js)
+     stages: 'off' (free play) → 'predict' → 'ready' → 'running' → 'result'
+     =========================== */
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  function showExperimentStatus(text, isError) {
+    if (!experimentStatus) return;
+    experimentStatus.textContent = text;
+    experimentStatus.classList.toggle('error', !!isError);
+  }
+
+  function renderExperimentOptions() {
+    if (!experimentSelect) return;
+    experimentSelect.innerHTML = '<option value="">Free play</option>' +
+      worksheet.list.map(e => `<option value="${escapeHtml(e.id)}">${escapeHtml(e.title)}</option>`).join('');
+    experimentSelect.value = worksheet.exp ? worksheet.exp.id : '';
+  }
+
+  function openExperiment(id) {
+    const exp = worksheet.list.find(e => e.id === id) || null;
+    worksheet.exp = exp;
+    worksheet.prediction = null;
+    worksheet.outcome = null;
+    worksheet.result = null;
+    worksheet.followUpAnswer = null;
+    worksheet.stage = exp ? 'predict' : 'off';
+    if (exp) applyScenario(exp.scenario);
+    if (experimentSelect) experimentSelect.value = exp ? exp.id : '';
+    showExperimentStatus('');
+    renderWorksheet();
+  }
+
+  // Start is held back until the student has committed to a prediction
+  function worksheetAllowsStart() {
+    if (worksheet.stage === 'predict') {
+      showExperimentStatus('Make your prediction first, then press Start.', true);
+      return false;
+    }
+    if (worksheet.stage === 'ready') {
+      worksheet.stage = 'running';
+      showExperimentStatus('');
+      renderWorksheet();
+    }
+    return true;
+  }
+
+  function worksheetRaceOver() {
+    if (worksheet.stage !== 'running') return;
+    worksheet.outcome = Experiments.raceOutcome(MotionEngine.raceResults(engine.getState()));
+    worksheet.result = Experiments.checkPrediction(worksheet.exp, worksheet.prediction, worksheet.outcome, params.units.time);
+    worksheet.stage = 'result';
+    renderWorksheet();
+  }
+
+  // The time box and the result are in the chosen time unit, so redraw them when it changes
+  function worksheetUnitsChanged() {
+    if (!worksheet.exp) return;
+    if (worksheet.outcome) {
+      worksheet.result = Experiments.checkPrediction(worksheet.exp, worksheet.prediction, worksheet.outcome, params.units.time);
+    }
+    renderWorksheet();
+  }
+
+  // A reset keeps the prediction; the race can be run again
+  function worksheetReset() {
+    if (worksheet.stage === 'running' || worksheet.stage === 'result') {
+      worksheet.stage = 'ready';
+      worksheet.outcome = null;
+      worksheet.result = null;
+      worksheet.followUpAnswer = null;
+      renderWorksheet();
+    }
+  }
+
+  function readPrediction() {
+    const exp = worksheet.exp;
+    if (exp.predict.type === 'winner') {
+      const picked = experimentPanel.querySelector('input[name="prediction"]:checked');
+      return picked ? picked.value : null;
+    }
+    // typed in the chosen time unit, kept in seconds
+    const v = Number(experimentPanel.querySelector('#predictionTime').value);
+    return Number.isFinite(v) && v > 0 ? Units.toBase('time', v, params.units.time) : null;
+  }
+
+  function predictionText() {
+    const p = worksheet.prediction;
+    if (worksheet.exp.predict.type === 'winner') return p === 'tie' ? 'a tie' : `object ${p} wins`;
+    return `${worksheet.exp.predict.racer} finishes in ${Units.format('time', p, params.units.time)}`;
+  }
+
+  function renderWorksheet() {
+    if (!experimentPanel) return;
+    const exp = worksheet.exp;
+    experimentPanel.hidden = !exp;
+    if (!exp) { experimentPanel.innerHTML = ''; return; }
+
+    let html = `<h3>${escapeHtml(exp.title)}</h3>`;
+    if (exp.intro) html += `<p>${escapeHtml(exp.intro)}</p>`;
+
+    if (worksheet.stage === 'predict') {
+      html += `<p><strong>Predict:</strong> ${escapeHtml(exp.prompt)}</p>`;
+      if (exp.predict.type === 'winner') {
+        const choices = racers.map(r => ({ value: r.id, label: `Object ${r.id}` })).concat([{ value: 'tie', label: 'A tie' }]);
+        html += `<fieldset><legend>Your prediction</legend>${choices.map(c =>
+          `<label><input type="radio" name="prediction" value="${c.value}"> ${c.label}</label>`).join('')}</fieldset>`;
+      } else {
+        html += `<p><label>Finish time of ${exp.predict.racer}: <input id="predictionTime" class="number" type="number" min="0" step="0.1" aria-label="Predicted finish time in ${Units.unitName('time', params.units.time)}"> ${timeUnit()}</label></p>`;
+      }
+      html += '<div class="button-row"><button type="button" class="btn primary" data-action="lock">Lock in prediction</button></div>';
+    } else {
+      html += `<p>Your prediction: <strong>${escapeHtml(predictionText())}</strong></p>`;
+    }
+
+    if (worksheet.stage === 'ready') html += '<p>Now press Start (or Space) to run the race.</p>';
+    if (worksheet.stage === 'running') html += '<p>Racing… watch the graphs.</p>';
+
+    if (worksheet.stage === 'result') {
+      const r = worksheet.result;
+      html += `<p class="worksheet-result ${r.correct ? 'correct' : 'wrong'}">${r.correct ? '✔ Correct!' : '✘ Not quite.'} ${escapeHtml(r.message)}</p>`;
+      const f = exp.followUp;
+      if (f) {
+        html += `<fieldset><legend><strong>Explain:</strong> ${escapeHtml(f.q)}</legend>${f.o.map((o, i) =>
+          `<label><input type="radio" name="followUp" value="${i}" ${worksheet.followUpAnswer === i ? 'checked' : ''}> ${escapeHtml(o)}</label>`).join('')}</fieldset>`;
+        if (worksheet.followUpAnswer === null) {
+          html += '<div class="button-row"><button type="button" class="btn secondary" data-action="answer">Check answer</button></div>';
+        } else {
+          const ok = worksheet.followUpAnswer === f.a;
+          html += `<p class="worksheet-result ${ok ? 'correct' : 'wrong'}">${ok ? '✔ Right.' : `✘ The answer is "${escapeHtml(f.o[f.a])}".`}</p>`;
+          if (f.e) html += `<p>${escapeHtml(f.e)}</p>`;
+        }
+      }
+      html += '<div class="button-row"><button type="button" class="btn secondary" data-action="again">Try again</button></div>';
+    }
+
+    experimentPanel.innerHTML = html;
+  }
+
+  if (experimentPanel) {
+    experimentPanel.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('[data-action]');
+      if (!btn) return;
+      const action = btn.dataset.action;
+      if (action === 'lock') {
+        const p = readPrediction();
+        if (p === null) {
+          showExperimentStatus(worksheet.exp.predict.type === 'winner' ? 'Pick a winner first.' : `Enter a finish time in ${Units.unitName('time', params.units.time)}.`, true);
+          return;
+        }
+        worksheet.prediction = p;
+        worksheet.stage = 'ready';
+        showExperimentStatus('');
+        renderWorksheet();
+      } else if (action === 'answer') {
+        const picked = experimentPanel.querySelector('input[name="followUp"]:checked');
+        if (!picked) { showExperimentStatus('Choose an answer first.', true); return; }
+        worksheet.followUpAnswer = Number(picked.value);
+        showExperimentStatus('');
+        renderWorksheet();
+      } else if (action === 'again') {
+        openExperiment(worksheet.exp.id);
+      }
+    });
+  }
+
+  if (experimentSelect) experimentSelect.addEventListener('change', () => openExperiment(experimentSelect.value));
+
+  // Teacher-written experiments (JSON file) are added to the built-in list
+  if (experimentLoadBtn && experimentFile) {
+    experimentLoadBtn.addEventListener('click', () => experimentFile.click());
+    experimentFile.addEventListener('change', () => {
+      const file = experimentFile.files && experimentFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const loaded = Experiments.parseExperiments(String(reader.result));
+          const ids = new Set(loaded.map(e => e.id));
+          worksheet.list = worksheet.list.filter(e => !ids.has(e.id)).concat(loaded);
+          renderExperimentOptions();
+          showExperimentStatus(`Loaded ${loaded.length} experiment${loaded.length === 1 ? '' : 's'} from "${file.name}".`);
+        } catch (e) {
+          showExperimentStatus(`Could not load "${file.name}": ${e.message}`, true);
+        }
+        experimentFile.value = '';
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  renderExperimentOptions();
+
+  /* ===========================
+     Formula solver: speed = distance ÷ time for any unknown (formula-solver.js)
+     =========================== */
+
+  const solverGiven = {};
+  ['distance', 'time', 'speed'].forEach(q => {
+    const cap = q.charAt(0).toUpperCase() + q.slice(1);
+    solverGiven[q] = {
+      row: document.querySelector(`.solver-given[data-quantity="${q}"]`),
+      input: document.getElementById(`solver${cap}`),
+      unit: document.getElementById(`solver${cap}Unit`)
+    };
+    fillUnitSelect(solverGiven[q].unit, q);
+  });
+  let solverResult = null;
+
+  // Givens start from the sliders, in the chosen display units
+  function prefillSolver() {
+    const values = { distance: params.distance_m, time: params.time_s, speed: params.distance_m / params.time_s };
+    Object.keys(solverGiven).forEach(q => {
+      const g = solverGiven[q];
+      if (g.unit) g.unit.value = params.units[q];
+      if (g.input) g.input.value = Number(Units.fromBase(q, values[q], params.units[q]).toPrecision(5));
+    });
+  }
+
+  // Hide the unknown's row; the answer unit list follows the unknown
+  function updateSolverUnknown() {
+    const unknown = (solverUnknown && solverUnknown.value) || 'speed';
+    Object.keys(solverGiven).forEach(q => {
+      if (solverGiven[q].row) solverGiven[q].row.hidden = q === unknown;
+    });
+    fillUnitSelect(solverResultUnit, unknown);
+    if (solverResultUnit) solverResultUnit.value = params.units[unknown];
+    solverResult = null;
+    if (solverRaceBtn) solverRaceBtn.hidden = true;
+    if (solverOutput) solverOutput.innerHTML = '';
+  }
+
+  // Same layout as the 3.html guided examples
+  function renderSolution(r) {
+    let html = `<div class="boxed">${escapeHtml(r.given)}</div>`;
+    r.steps.forEach(st => {
+      html += `<div class="note"><strong>${escapeHtml(st.label)}:</strong> ${escapeHtml(st.text)}</div>`;
+    });
+    html += `<div class="boxed">Solution: ${escapeHtml(r.solution)}</div>`;
+    html += `<p><strong>This means that</strong> ${escapeHtml(r.meaning.replace(/^This means that /, ''))}</p>`;
+    return html;
+  }
+
+  function solveFormula() {
+    if (!solverOutput) return;
+    const unknown = (solverUnknown && solverUnknown.value) || 'speed';
+    const input = { unknown, resultUnit: solverResultUnit ? solverResultUnit.value : undefined };
+    Object.keys(solverGiven).forEach(q => {
+      if (q === unknown) return;
+      const g = solverGiven[q];
+      input[q] = { value: g.input ? g.input.value.trim() : '', unit: g.unit ? g.unit.value : params.units[q] };
+    });
+    try {
+      solverResult = FormulaSolver.solve(input);
+      solverOutput.innerHTML = renderSolution(solverResult);
+      if (solverRaceBtn) solverRaceBtn.hidden = false;
+    } catch (e) {
+      solverResult = null;
+      solverOutput.innerHTML = `<p class="error">${escapeHtml(e.message)}</p>`;
+      if (solverRaceBtn) solverRaceBtn.hidden = true;
+    }
+  }
+
+  /* Set the Distance and Time sliders from the solved values and start the race.
+     The arcade model aims every object at distance ÷ time, so that is the one used. */
+  function runSolverRace() {
+    if (!solverResult) return;
+    const d = clamp(solverResult.si.distance_m, 1, MAX_DISTANCE_METERS);
+    const t = clamp(solverResult.si.time_s, 1, MAX_TIME_SECONDS);
+    if (params.model !== 'arcade') setModel('arcade');
+    setControlValue(distanceNumber, distanceToDisplay(d));
+    setControlValue(timeNumber, timeToDisplay(t));
+    resetSimulation();
+    let note = 'Objects ease up to speed, so they finish a little after the solved time; friction and offsets change it too.';
+    if (d !== solverResult.si.distance_m || t !== solverResult.si.time_s) {
+      note = `The sliders only go from 1 m to ${MAX_DISTANCE_METERS} m and 1 s to ${MAX_TIME_SECONDS} s, so the race uses ` +
+        `${formatDistanceForFormula(d)} in ${formatTimeForFormula(t)}. ${note}`;
+    }
+    solverOutput.insertAdjacentHTML('beforeend', `<p class="note">${escapeHtml(note)}</p>`);
+    startSimulation();
+  }
+
+  if (solverUnknown) solverUnknown.addEventListener('change', updateSolverUnknown);
+  if (solverSolveBtn) solverSolveBtn.addEventListener('click', solveFormula);
+  if (solverRaceBtn) solverRaceBtn.addEventListener('click', runSolverRace);
+  Object.keys(solverGiven).forEach(q => {
+    const input = solverGiven[q].input;
+    if (input) input.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') solveFormula(); });
+  });
+  // fresh givens each time the box is opened
+  if (formulaSolverEl) formulaSolverEl.addEventListener('toggle', () => {
+    if (formulaSolverEl.open && !solverResult) prefillSolver();
+  });
+  prefillSolver();
+  updateSolverUnknown();
+
   // initial draws
+  renderInspector();
+  renderSpeedTrackers();
   drawStaticTrack();
   drawFrame();
   drawGraphs();
-  computeTargetSpeeds();
   updateSpeedTracker();
+  loadScenarioFromHash();
 
   // Prevent UI drift on mobile
   ['touchstart', 'touchmove'].forEach(evt => {
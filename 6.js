@@ -1,119 +1,16 @@
 document.addEventListener("DOMContentLoaded", () => {
 
-  emailjs.init("UjiGSekzpgTWMon5i"); // ✅ Your Public Key
-
-  const quizData = [
-    {
-        q: "Which of the following best describes motion?",
-        o: [
-            "A change in direction only",
-            "A change in speed only",
-            "A change in position relative to a reference point",
-            "Staying in the same place over time"
-        ],
-        a: 2,
-        e: "Motion is a change in position relative to a reference point."
-    },
-    {
-        q: "Which situation shows that an object is in motion?",
-        o: [
-            "A parked car beside a tree",
-            "A book sitting on a table",
-            "A student walking past a stationary pole",
-            "A chair in the classroom"
-        ],
-        a: 2,
-        e: "The student changes position relative to the pole, showing motion."
-    },
-    {
-        q: "What two quantities are needed to determine speed?",
-        o: [
-            "Mass and time",
-            "Distance and time",
-            "Force and distance",
-            "Distance and direction"
-        ],
-        a: 1,
-        e: "Speed is calculated using distance divided by time."
-    },
-    {
-        q: "A runner travels the same distance every second. This means the runner is moving with…",
-        o: [
-            "Speeding up",
-            "Slowing down",
-            "Constant speed",
-            "Changing direction"
-        ],
-        a: 2,
-        e: "Covering equal distances per second means constant speed."
-    },
-    {
-        q: "If an object covers a greater distance in less time, what can we say about its speed?",
-        o: [
-            "It decreases",
-            "It increases",
-            "It becomes zero",
-            "It stays the same"
-        ],
-        a: 1,
-        e: "Greater distance in shorter time means the object is moving faster."
-    },
-    {
-        q: "Which situation shows constant speed?",
-        o: [
-            "A jogger who keeps the same pace while running around the park",
-            "A jeepney that keeps stopping to pick up passengers",
-            "A bicycle going downhill faster and faster",
-            "A student sprinting, then slowing down to rest"
-        ],
-        a: 0,
-        e: "Keeping the same pace means the speed remains constant."
-    },
-    {
-        q: "Which situation shows that an object is moving faster than another?",
-        o: [
-            "Two students walking side by side at the same pace",
-            "A car that reaches the school gate earlier than a motorcycle that starts at the same time",
-            "A teacher standing in front of the class",
-            "Two tricycles parked in front of a store"
-        ],
-        a: 1,
-        e: "Arriving earlier with the same start time means greater speed."
-    },
-    {
-        q: "Which of the following situations shows changing speed?",
-        o: [
-            "A jeepney cruising steadily on a highway",
-            "A tricycle stopped at a red light",
-            "A motorcycle slowing down before a turn",
-            "A person sitting in a classroom"
-        ],
-        a: 2,
-        e: "Slowing down means the speed is changing."
-    },
-    {
-        q: "A bicycle moves 10 meters every second. What does this tell us?",
-        o: [
-            "Its speed is changing",
-            "It moves with constant speed",
-            "It is not moving",
-            "It moves only for one second"
-        ],
-        a: 1,
-        e: "Covering equal distance every second indicates constant speed."
-    },
-    {
-        q: "Which statement best explains why a reference point is important?",
-        o: [
-            "It measures force",
-            "It helps determine the direction of gravity",
-            "It shows whether an object has mass",
-            "It helps us know if an object is moving"
-        ],
-        a: 3,
-        e: "A reference point allows us to see changes in position to detect motion."
-    }
-];
+  // Questions come from a question bank (question-bank.js): ?bank=<name> loads
+  // banks/<name>.json, anything else uses the built-in motion & speed set
+  let bank = QuestionBank.BUILT_IN;
+  let quizData = bank.questions;
+
+  // ✅ EACH ATTEMPT IS DRAWN AND SHUFFLED FROM A SEED (SENT WITH THE RESULTS);
+  // ?seed=<number> rebuilds exactly the quiz a student saw
+  const params = new URLSearchParams(window.location.search);
+  const seedParam = params.get("seed");
+  const fixedSeed = seedParam === null ? null : QuestionBank.parseSeed(seedParam);
+  let seed = null;
 
   let index = 0;
   let answers = [];
@@ -135,10 +32,79 @@ document.addEventListener("DOMContentLoaded", () => {
   const resultsTable = document.getElementById("resultsTable");
   const scoreNumber = document.getElementById("scoreNumber");
   const scorePercent = document.getElementById("scorePercent");
+  const quizCode = document.getElementById("quizCode");
+  const submitStatus = document.getElementById("submitStatus");
+  const submitText = document.getElementById("submitText");
+  const submitRetry = document.getElementById("submitRetry");
+  const submitDownload = document.getElementById("submitDownload");
+  const queueStatus = document.getElementById("queueStatus");
 
   const studentNameInput = document.getElementById("studentName");
   const studentSectionInput = document.getElementById("studentSection");
 
+  const quizTitle = document.getElementById("quizTitle");
+  const quizDescription = document.getElementById("quizDescription");
+  const quizTopTitle = document.getElementById("quizTopTitle");
+  const questionCount = document.getElementById("questionCount");
+  const progLabel = document.getElementById("progLabel");
+  const bankStatus = document.getElementById("bankStatus");
+
+  // Question text comes from bank files, so never insert it as HTML
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  function showBankStatus(text, isError) {
+    bankStatus.textContent = text;
+    bankStatus.classList.toggle("error", !!isError);
+    bankStatus.hidden = !text;
+  }
+
+  function useBank(b) {
+    bank = b;
+    quizData = b.questions;
+    // a draw takes the same number of questions whatever the seed
+    const n = QuestionBank.buildQuiz(b, 0).questions.length;
+    document.title = `Grade 7 — ${b.title}`;
+    quizTitle.textContent = b.title;
+    quizTopTitle.textContent = b.title;
+    quizDescription.textContent = b.description || "";
+    questionCount.textContent = `${n} question${n === 1 ? "" : "s"}`;
+    progLabel.textContent = `Question 0 of ${n}`;
+  }
+
+  // ✅ LOAD THE QUESTION BANK (START STAYS DISABLED UNTIL IT IS READY)
+  function loadBank() {
+    const name = params.get("bank");
+    if (!name) {
+      useBank(QuestionBank.BUILT_IN);
+      return Promise.resolve();
+    }
+    start.disabled = true;
+    showBankStatus(`Loading question bank "${name}"…`);
+    return Promise.resolve()
+      .then(() => fetch(QuestionBank.bankUrl(name)))
+      .then(res => {
+        if (!res.ok) throw new Error(`the file could not be found (HTTP ${res.status}).`);
+        return res.text();
+      })
+      .then(json => {
+        useBank(QuestionBank.parseBank(json));
+        showBankStatus("");
+      })
+      .catch(err => {
+        useBank(QuestionBank.BUILT_IN);
+        showBankStatus(`Could not load question bank "${name}": ${err.message} Using the built-in questions instead.`, true);
+      })
+      .then(() => { start.disabled = false; });
+  }
+
+  function checkSeedParam() {
+    if (seedParam === null || fixedSeed !== null) return;
+    const earlier = bankStatus.hidden ? "" : bankStatus.textContent + " ";
+    showBankStatus(`${earlier}Ignoring seed "${seedParam}": it must be a whole number from 0 to 4294967295.`, true);
+  }
+
   // ✅ BLOCK START IF NO NAME + RECORD START TIME
   start.onclick = () => {
     if (!studentNameInput.value.trim() || !studentSectionInput.value.trim()) {
@@ -149,6 +115,12 @@ document.addEventListener("DOMContentLoaded", () => {
     // ✅ RECORD START TIME
     quizStartTime = new Date();
 
+    // ✅ DRAW + SHUFFLE THIS STUDENT'S QUIZ
+    seed = fixedSeed !== null ? fixedSeed : QuestionBank.randomSeed();
+    quizData = QuestionBank.buildQuiz(bank, seed).questions;
+    index = 0;
+    answers = [];
+
     document.getElementById("studentForm").style.display = "none";
     load();
   };
@@ -156,27 +128,73 @@ document.addEventListener("DOMContentLoaded", () => {
   function load() {
     const q = quizData[index];
     title.textContent = `Question ${index + 1}`;
-    body.textContent = q.q;
+    body.textContent = q.prompt;
     options.innerHTML = "";
     feedback.textContent = "";
 
-    q.o.forEach((opt, i) => {
+    if (q.type === "numeric") {
+      loadNumeric(q);
+    } else {
+      loadChoice(q);
+    }
+
+    next.disabled = true;
+    prev.disabled = index === 0;
+  }
+
+  function loadChoice(q) {
+    q.options.forEach((opt, i) => {
       const btn = document.createElement("button");
       btn.className = "opt-btn";
       btn.textContent = opt;
 
       btn.onclick = () => {
         answers[index] = i;
-        feedback.textContent = i === q.a ? "✅ Correct! " + q.e : "❌ Incorrect. " + q.e;
+        feedback.textContent = (i === q.answer ? "✅ Correct! " : "❌ Incorrect. ") + q.explanation;
         document.querySelectorAll(".opt-btn").forEach(b => b.disabled = true);
         next.disabled = false;
       };
 
       options.appendChild(btn);
     });
+  }
 
-    next.disabled = true;
-    prev.disabled = index === 0;
+  // ✅ NUMERIC QUESTIONS: TYPE A VALUE, PICK A UNIT, CHECK
+  function loadNumeric(q) {
+    const box = document.createElement("div");
+    box.className = "numeric-answer";
+    box.innerHTML = `
+      <input id="numericValue" type="text" inputmode="decimal" autocomplete="off" placeholder="Your answer" aria-label="Your answer">
+      <select id="numericUnit" aria-label="Unit">
+        ${q.units.map(u => `<option value="${u}">${escapeHtml(Units.symbol(q.quantity, u))}</option>`).join("")}
+      </select>
+      <button id="numericCheck" class="btn primary">Check</button>
+    `;
+    options.appendChild(box);
+
+    const valueInput = box.querySelector("#numericValue");
+    const unitSelect = box.querySelector("#numericUnit");
+    const check = box.querySelector("#numericCheck");
+
+    check.onclick = () => {
+      const value = QuestionBank.parseNumber(valueInput.value);
+      if (!Number.isFinite(value)) {
+        feedback.textContent = "Type a number first (for example 3.5).";
+        valueInput.focus();
+        return;
+      }
+      const response = { value, unit: unitSelect.value };
+      answers[index] = response;
+      const result = QuestionBank.grade(q, response);
+      feedback.textContent = result.correct
+        ? "✅ Correct! " + q.explanation
+        : `❌ Incorrect. The answer is ${QuestionBank.answerText(q, response.unit)}. ` + q.explanation;
+      valueInput.disabled = unitSelect.disabled = check.disabled = true;
+      next.disabled = false;
+    };
+    valueInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") check.click();
+    });
   }
 
   next.onclick = () => {
@@ -195,7 +213,100 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  // ✅ ✅ ✅ RESULTS + GMAIL AUTO SEND + TIME RECORDING
+  loadBank().then(checkSeedParam);
+
+  // ✅ RESULTS BACKEND + QUEUE (SUBMISSIONS WAIT IN localStorage UNTIL THEY ARE SENT)
+  function downloadText(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Why results are saved as files when another backend was asked for ("" when they aren't)
+  let backendProblem = "";
+
+  function createBackend() {
+    const config = window.QUIZ_RESULTS || {};
+    const name = params.get("results") || config.backend || "download";
+    try {
+      if (name === "emailjs" && config.emailjs) {
+        return ResultsSubmit.createEmailJsAdapter(Object.assign({ getEmailjs: () => window.emailjs }, config.emailjs));
+      }
+      if (name === "http" && config.http) {
+        return ResultsSubmit.createHttpAdapter(Object.assign({ fetch: (u, o) => window.fetch(u, o) }, config.http));
+      }
+      if (name !== "download") backendProblem = `Results backend "${name}" is not set up, so your results will be saved as a file instead.`;
+    } catch (err) {
+      backendProblem = `${err.message} Your results will be saved as a file instead.`;
+    }
+    return ResultsSubmit.createDownloadAdapter({ download: downloadText });
+  }
+
+  const backend = createBackend();
+  const fileCopy = ResultsSubmit.createDownloadAdapter({ download: downloadText });
+  let storage = null;
+  try { storage = window.localStorage; } catch (e) { /* blocked: the queue lasts for this page only */ }
+  let submissionId = null;
+  let lastRecord = null;
+
+  const queue = ResultsSubmit.createQueue({ adapter: backend, storage, onChange: showSubmitStatus });
+
+  // Where results go: a backend that fell back to files, and earlier results still waiting
+  function showQueueStatus(waiting) {
+    const parts = [];
+    if (backendProblem) parts.push(backendProblem);
+    if (waiting) parts.push(`${waiting} earlier result${waiting === 1 ? " is" : "s are"} still waiting to be sent; this page keeps trying.`);
+    queueStatus.textContent = parts.join(" ");
+    queueStatus.classList.toggle("error", !!backendProblem);
+    queueStatus.hidden = !parts.length;
+  }
+
+  function showSubmitStatus(entries) {
+    const mine = entries.find(e => e.id === submissionId);
+    showQueueStatus(entries.filter(e => e.id !== submissionId && e.status !== "sent").length);
+    if (!mine) {
+      // another open tab of this quiz took the entry over (this one was asleep too long)
+      if (submissionId) {
+        submitText.textContent = "⏳ Another open tab of this quiz is sending your results.";
+        submitStatus.className = "submit-status sending";
+        submitRetry.hidden = true;
+      }
+      return;
+    }
+
+    let text;
+    if (mine.status === "sent") {
+      text = backend.name === "download" ? "✅ Results saved to a file. Give it to your teacher." : `✅ Results sent by ${backend.label}.`;
+    } else if (mine.status === "sending") {
+      text = "⏳ Sending your results…";
+    } else if (mine.status === "pending") {
+      text = `⚠️ Not sent yet: ${mine.error} Trying again at ${new Date(mine.nextAttempt).toLocaleTimeString()} (attempt ${mine.attempts}). ` +
+        "Keep this page open or download a copy.";
+    } else {
+      text = `❌ Could not send your results after ${mine.attempts} tries: ${mine.error} ` +
+        "Press Retry now, or download a copy and give it to your teacher.";
+    }
+    submitText.textContent = text;
+    submitStatus.className = `submit-status ${mine.status}`;
+    submitRetry.hidden = mine.status !== "pending" && mine.status !== "failed";
+  }
+
+  submitRetry.onclick = () => queue.retry(submissionId);
+  submitDownload.onclick = () => { if (lastRecord) fileCopy.send(lastRecord); };
+  window.addEventListener("online", () => queue.retry());
+  // other tabs of this quiz share the queue: pick up what they leave behind
+  window.addEventListener("storage", e => { if (e.key === ResultsSubmit.STORAGE_KEY) queue.resume(); });
+  window.addEventListener("pagehide", () => queue.release());
+  window.addEventListener("pageshow", e => { if (e.persisted) queue.resume(); });
+  showQueueStatus(0);
+  queue.resume();
+
+  // ✅ ✅ ✅ RESULTS + SUBMISSION + TIME RECORDING
   function showResults() {
     quizCard.style.display = "none";
     resultsCard.style.display = "block";
@@ -204,12 +315,9 @@ document.addEventListener("DOMContentLoaded", () => {
     quizEndTime = new Date();
 
     const totalSeconds = Math.floor((quizEndTime - quizStartTime) / 1000);
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    const timeTaken = `${minutes} min ${seconds} sec`;
 
     let score = 0;
-    let fullAnswers = "";
+    const answerRows = [];
 
     resultsTable.innerHTML = `
       <tr>
@@ -221,44 +329,56 @@ document.addEventListener("DOMContentLoaded", () => {
     `;
 
     quizData.forEach((q, i) => {
-      if (answers[i] === q.a) score++;
+      const isCorrect = QuestionBank.grade(q, answers[i]).correct;
+      if (isCorrect) score++;
+      const given = QuestionBank.responseText(q, answers[i]);
+      const correct = QuestionBank.answerText(q);
 
       const row = document.createElement("tr");
       row.innerHTML = `
         <td>${i + 1}</td>
-        <td>${q.q}</td>
-        <td>${q.o[answers[i]] || "—"}</td>
-        <td>${q.o[q.a]}</td>
+        <td>${escapeHtml(q.prompt)}</td>
+        <td>${escapeHtml(given)}</td>
+        <td>${escapeHtml(correct)}</td>
       `;
       resultsTable.appendChild(row);
 
-      fullAnswers += `Q${i + 1}: ${q.o[answers[i]] || "—"} | Correct: ${q.o[q.a]}\n`;
+      answerRows.push({
+        n: i + 1,
+        id: q.id,
+        topic: q.topic,
+        type: q.type,
+        prompt: q.prompt,
+        response: answers[i] === undefined ? null : answers[i],
+        given,
+        correct_answer: correct,
+        correct: isCorrect
+      });
     });
 
     let percent = Math.round((score / quizData.length) * 100);
 
     scoreNumber.textContent = `${score} / ${quizData.length}`;
     scorePercent.textContent = `${percent}%`;
+    quizCode.textContent = `Quiz code: ${bank.id} / seed ${seed}`;
 
-    // ✅ SEND TO GMAIL WITH NAME, SECTION & TIME
-    emailjs.send(
-      "service_fs7ckk8",
-      "template_8ftekev",
-      {
-        name: studentNameInput.value,
-        section: studentSectionInput.value,
-        score: score,
-        percent: percent,
-        answers: fullAnswers,
-        start_time: quizStartTime.toLocaleString(),
-        end_time: quizEndTime.toLocaleString(),
-        time_taken: timeTaken,
-        date: new Date().toLocaleString()
-      }
-    ).then(
-      () => console.log("✅ Results + Time sent to Gmail"),
-      (err) => console.error("❌ Email failed:", err)
-    );
+    // ✅ QUEUE THE RESULT FOR THE CONFIGURED BACKEND (RETRIED UNTIL IT IS SENT)
+    lastRecord = {
+      id: ResultsSubmit.newId(),
+      name: studentNameInput.value.trim(),
+      section: studentSectionInput.value.trim(),
+      bank: bank.id,
+      seed: seed,
+      score: score,
+      total: quizData.length,
+      percent: percent,
+      start_time: quizStartTime.toISOString(),
+      end_time: quizEndTime.toISOString(),
+      time_taken_s: totalSeconds,
+      answers: answerRows
+    };
+    submissionId = lastRecord.id;
+    queue.submit(lastRecord);
   }
 
 });
@@ -0,0 +1,219 @@
+document.addEventListener("DOMContentLoaded", () => {
+
+  // ✅ EVERY IMPORTED ATTEMPT (attempts.js FORMAT), DUPLICATES SKIPPED
+  const attempts = [];
+
+  const importFiles = document.getElementById("importFiles");
+  const clearBtn = document.getElementById("clearBtn");
+  const pasteText = document.getElementById("pasteText");
+  const pasteBtn = document.getElementById("pasteBtn");
+  const importLog = document.getElementById("importLog");
+  const sectionFilter = document.getElementById("sectionFilter");
+  const summaryStats = document.getElementById("summaryStats");
+  const sectionCharts = document.getElementById("sectionCharts");
+  const questionTable = document.getElementById("questionTable");
+  const attemptTable = document.getElementById("attemptTable");
+  const exportGradebook = document.getElementById("exportGradebook");
+  const exportSections = document.getElementById("exportSections");
+  const exportQuestions = document.getElementById("exportQuestions");
+
+  // Names, sections and answers come from students, so never insert them as HTML
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  function fmtPercent(v) {
+    return v === null || v === undefined ? "—" : `${Math.round(v * 10) / 10}%`;
+  }
+
+  function fmtTime(seconds) {
+    if (seconds === null || seconds === undefined) return "—";
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)} min ${s % 60} sec`;
+  }
+
+  function log(text, isError) {
+    const li = document.createElement("li");
+    li.textContent = text;
+    if (isError) li.className = "error";
+    importLog.prepend(li);
+  }
+
+  // ✅ IMPORT ONE FILE'S TEXT (BAD ROWS ARE LISTED, GOOD ONES STILL COUNT)
+  function importText(text, filename) {
+    try {
+      const result = Attempts.parseAttemptFile(text, filename);
+      const added = Attempts.mergeAttempts(attempts, result.attempts);
+      const skipped = result.attempts.length - added;
+      // log() puts the newest line on top, so the row errors go in last-first and the summary above them
+      const problems = result.errors.slice(0, 20);
+      if (result.errors.length > 20) problems.push(`…and ${result.errors.length - 20} more rows with problems.`);
+      problems.reverse().forEach(e => log(e, true));
+      log(`"${filename}": ${added} attempt${added === 1 ? "" : "s"} added` +
+        (skipped ? `, ${skipped} already imported` : "") +
+        (result.errors.length ? `, ${result.errors.length} skipped (see below)` : "") + ".");
+    } catch (err) {
+      log(err.message, true);
+    }
+    render();
+  }
+
+  importFiles.addEventListener("change", () => {
+    Array.from(importFiles.files || []).forEach(file => {
+      const reader = new FileReader();
+      reader.onload = () => importText(String(reader.result), file.name);
+      reader.onerror = () => log(`Could not read "${file.name}".`, true);
+      reader.readAsText(file);
+    });
+    importFiles.value = "";
+  });
+
+  pasteBtn.onclick = () => {
+    if (!pasteText.value.trim()) return;
+    importText(pasteText.value, "pasted text");
+    pasteText.value = "";
+  };
+
+  clearBtn.onclick = () => {
+    attempts.length = 0;
+    importLog.innerHTML = "";
+    sectionFilter.value = "";
+    render();
+  };
+
+  sectionFilter.addEventListener("change", render);
+
+  // ✅ WHAT THE TABLES SHOW (ONE SECTION OR ALL)
+  function visibleAttempts() {
+    return sectionFilter.value ? attempts.filter(a => a.section === sectionFilter.value) : attempts;
+  }
+
+  function renderSectionOptions() {
+    const current = sectionFilter.value;
+    const sections = Array.from(new Set(attempts.map(a => a.section))).sort();
+    sectionFilter.innerHTML = `<option value="">All sections</option>` +
+      sections.map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join("");
+    sectionFilter.value = sections.includes(current) ? current : "";
+  }
+
+  function renderSummary(summary) {
+    const o = summary.overall;
+    if (!o.count) {
+      summaryStats.innerHTML = `<p class="muted">No attempts imported yet.</p>`;
+      return;
+    }
+    const stat = (label, value) => `<div class="stat"><span class="small muted">${label}</span><b>${value}</b></div>`;
+    summaryStats.innerHTML =
+      stat("Attempts", o.count) +
+      stat("Mean score", fmtPercent(o.mean)) +
+      stat("Median score", fmtPercent(o.median)) +
+      stat("Lowest / highest", `${fmtPercent(o.min)} / ${fmtPercent(o.max)}`) +
+      stat("Average time taken", fmtTime(o.avgTimeS));
+  }
+
+  // One bar per 10% band; bar height is the share of the section's attempts
+  function renderSections(summary) {
+    if (!summary.sections.length) {
+      sectionCharts.innerHTML = `<p class="muted">Import attempts to see each section's scores.</p>`;
+      return;
+    }
+    const band = 100 / Attempts.BINS;
+    sectionCharts.innerHTML = summary.sections.map(s => {
+      const most = Math.max(1, ...s.bins);
+      const bars = s.bins.map((n, i) => {
+        const label = `${i * band}–${i === s.bins.length - 1 ? 100 : (i + 1) * band - 1}%`;
+        return `<div class="bar" title="${label}: ${n} student${n === 1 ? "" : "s"}">
+            <span class="bar-fill" style="height:${Math.round(n / most * 100)}%"></span>
+            <span class="bar-count">${n || ""}</span>
+            <span class="bar-label">${i * band}</span>
+          </div>`;
+      }).join("");
+      return `<figure class="section-chart">
+          <figcaption><b>${escapeHtml(s.section)}</b>
+            <span class="small muted">${s.count} attempt${s.count === 1 ? "" : "s"} · mean ${fmtPercent(s.mean)} ·
+            median ${fmtPercent(s.median)} · avg time ${fmtTime(s.avgTimeS)}</span></figcaption>
+          <div class="bars" role="img" aria-label="${escapeHtml(s.section)} score distribution: ${s.bins.map((n, i) => `${i * band}% band ${n}`).join(", ")}">${bars}</div>
+        </figure>`;
+    }).join("");
+  }
+
+  function renderQuestions(summary) {
+    const banks = new Set(summary.questions.map(q => q.bank));
+    questionTable.innerHTML = `
+      <tr>
+        <th>Question</th>
+        <th>Topic</th>
+        <th>Answered</th>
+        <th>% correct</th>
+        <th>Most-chosen wrong answers</th>
+      </tr>
+    ` + summary.questions.map(q => `
+      <tr>
+        <td><b>${escapeHtml(banks.size > 1 && q.bank ? `${q.bank} / ${q.id}` : q.id)}</b>
+          ${q.prompt ? `<div class="small muted">${escapeHtml(q.prompt)}</div>` : ""}</td>
+        <td>${escapeHtml(q.topic || "—")}</td>
+        <td>${q.attempts}</td>
+        <td><span class="pct ${q.pctCorrect < 50 ? "low" : q.pctCorrect < 75 ? "mid" : "high"}">${fmtPercent(q.pctCorrect)}</span></td>
+        <td>${q.wrong.length ? q.wrong.map(w => `${escapeHtml(w.answer)} <span class="muted">(${w.count})</span>`).join("<br>") : "—"}</td>
+      </tr>
+    `).join("");
+  }
+
+  function renderAttempts(list) {
+    attemptTable.innerHTML = `
+      <tr>
+        <th>Name</th>
+        <th>Section</th>
+        <th>Quiz</th>
+        <th>Score</th>
+        <th>Time taken</th>
+        <th>Finished</th>
+      </tr>
+    ` + list.slice().sort((a, b) => a.section.localeCompare(b.section) || a.name.localeCompare(b.name)).map(a => `
+      <tr>
+        <td>${escapeHtml(a.name)}</td>
+        <td>${escapeHtml(a.section)}</td>
+        <td>${escapeHtml(a.bank || "—")}${a.seed !== null ? ` <span class="small muted">seed ${escapeHtml(a.seed)}</span>` : ""}</td>
+        <td>${a.score} / ${a.total || "?"} (${fmtPercent(a.percent)})</td>
+        <td>${fmtTime(a.time_s)}</td>
+        <td>${escapeHtml(a.end_time ? new Date(a.end_time).toLocaleString() : "—")}</td>
+      </tr>
+    `).join("");
+  }
+
+  function render() {
+    renderSectionOptions();
+    const list = visibleAttempts();
+    const summary = Attempts.summarize(list);
+    renderSummary(summary);
+    renderSections(summary);
+    renderQuestions(summary);
+    renderAttempts(list);
+    const none = !attempts.length;
+    [clearBtn, exportGradebook, exportSections, exportQuestions].forEach(b => { b.disabled = none; });
+  }
+
+  // ✅ CSV EXPORT FOR THE GRADEBOOK
+  function downloadText(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/csv" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportName(kind) {
+    const section = sectionFilter.value ? `-${sectionFilter.value.replace(/[^a-z0-9]+/gi, "-")}` : "";
+    return `quiz-${kind}${section}-${new Date().toISOString().slice(0, 10)}.csv`;
+  }
+
+  exportGradebook.onclick = () => downloadText(Attempts.gradebookCSV(visibleAttempts()), exportName("gradebook"));
+  exportSections.onclick = () => downloadText(Attempts.sectionsCSV(Attempts.summarize(visibleAttempts())), exportName("sections"));
+  exportQuestions.onclick = () => downloadText(Attempts.questionsCSV(Attempts.summarize(visibleAttempts())), exportName("questions"));
+
+  render();
+
+});
@@ -0,0 +1,361 @@
+/* attempts.js
+   Reading and summarising submitted quiz attempts (used by 7.js, the teacher dashboard).
+   - parseAttemptFile() reads what the quiz sends (results-submit.js records):
+       JSON (one record, a list, or the GET /results list of tools/results-server.js),
+       JSON lines (results.jsonl) and CSV exports (a spreadsheet of the EmailJS fields:
+       name, section, score, percent, answers text, start_time, end_time...; a "record"
+       column with the full JSON is used when present)
+     Bad rows are reported as readable sentences and skipped; the rest still import
+   - summarize() -> per-section score distributions, per-question percent correct and the
+     most-chosen wrong answers, and the average time taken (end_time − start_time)
+   - gradebookCSV(), sectionsCSV(), questionsCSV() for spreadsheets
+   - Pure functions: loads as window.Attempts or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Attempts = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BINS = 10;            // score distribution: 0–9%, 10–19% ... 90–100%
+  const TOP_WRONG = 3;        // wrong answers listed per question
+  const MAX_ROWS = 5000;
+  const NO_SECTION = '(no section)';
+
+  /* ---------- reading files ---------- */
+
+  // RFC 4180-style CSV -> rows of cells (quotes, "" escapes, commas and newlines in quotes)
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += c;
+      }
+    }
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(v => v.trim() !== ''));
+  }
+
+  // CSV text -> list of { header: value } objects (headers lower-cased, spaces -> _)
+  function csvObjects(text) {
+    const rows = parseCSV(text);
+    if (rows.length < 2) throw new Error('The CSV file needs a header row and at least one attempt.');
+    const headers = rows[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (!headers.includes('name') && !headers.includes('record')) {
+      throw new Error('The CSV file needs a "name" column (or a "record" column with the full result).');
+    }
+    return rows.slice(1).map(r => {
+      const obj = {};
+      headers.forEach((h, i) => { obj[h] = r[i] === undefined ? '' : r[i]; });
+      return obj;
+    });
+  }
+
+  /* "Q1 [speed-def]: Mass and time | Correct: Distance and time" lines (the quiz's email
+     text; older emails have no [id]) -> answer rows */
+  function parseAnswersText(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+      const m = /^Q(\d+)\s*(?:\[([^\]]+)\])?\s*:\s*(.*?)\s*\|\s*Correct:\s*(.*)$/.exec(line);
+      if (!m) return null;
+      const given = m[3];
+      const correctAnswer = m[4];
+      return {
+        n: Number(m[1]),
+        id: m[2] || `Q${m[1]}`,
+        topic: '',
+        prompt: '',
+        given,
+        correct_answer: correctAnswer,
+        correct: given === correctAnswer
+      };
+    }).filter(Boolean);
+  }
+
+  function toNumber(v) {
+    if (typeof v === 'number') return v;
+    const s = String(v === undefined || v === null ? '' : v).replace('%', '').trim();
+    return s === '' ? NaN : Number(s);
+  }
+
+  function toTime(v) {
+    if (v === undefined || v === null || v === '') return null;
+    const t = Date.parse(v);
+    return Number.isFinite(t) ? t : null;
+  }
+
+  // "3 min 20 sec" -> 200
+  function parseTimeTaken(v) {
+    const m = /^\s*(\d+)\s*min\s*(\d+)\s*sec/i.exec(String(v || ''));
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  }
+
+  // Validate one submitted attempt (a record or a CSV row) and return a clean copy
+  function normalizeAttempt(raw, where = 'Attempt') {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where}: must be an object.`);
+    // an email/CSV row that carries the whole record
+    if (typeof raw.record === 'string' && raw.record.trim().startsWith('{')) {
+      try {
+        raw = Object.assign({}, raw, JSON.parse(raw.record));
+      } catch (e) {
+        throw new Error(`${where}: the "record" column is not valid JSON.`);
+      }
+    }
+    const name = String(raw.name || '').trim();
+    if (!name) throw new Error(`${where}: the student's name is missing.`);
+    where = `${where} (${name})`;
+
+    const answers = Array.isArray(raw.answers)
+      ? raw.answers.map((a, i) => ({
+        n: Number(a.n) || i + 1,
+        id: String(a.id || `Q${i + 1}`),
+        topic: String(a.topic || ''),
+        prompt: String(a.prompt || ''),
+        given: String(a.given === undefined ? '—' : a.given),
+        correct_answer: String(a.correct_answer === undefined ? '' : a.correct_answer),
+        correct: !!a.correct
+      }))
+      : parseAnswersText(raw.answers);
+
+    let score = toNumber(raw.score);
+    if (!Number.isFinite(score)) {
+      if (!answers.length) throw new Error(`${where}: there is no score and no answers to count.`);
+      score = answers.filter(a => a.correct).length;
+    }
+    let total = toNumber(raw.total);
+    if (!Number.isFinite(total) || total <= 0) total = answers.length || null;
+    let percent = toNumber(raw.percent);
+    if (!Number.isFinite(percent)) {
+      if (!total) throw new Error(`${where}: the score needs a total or a percent.`);
+      percent = Math.round(score / total * 100);
+    }
+    if (percent < 0 || percent > 100) throw new Error(`${where}: the percent (${percent}) must be from 0 to 100.`);
+
+    const start = toTime(raw.start_time);
+    const end = toTime(raw.end_time);
+    let timeS = null;
+    if (start !== null && end !== null && end >= start) timeS = Math.round((end - start) / 1000);
+    else if (Number.isFinite(toNumber(raw.time_taken_s))) timeS = toNumber(raw.time_taken_s);
+    else timeS = parseTimeTaken(raw.time_taken);
+
+    const section = String(raw.section || '').trim() || NO_SECTION;
+    return {
+      // retried submissions arrive more than once; the id (or who + when) spots them
+      id: String(raw.id || `${name}|${section}|${raw.start_time || raw.date || ''}`),
+      name,
+      section,
+      bank: String(raw.bank || ''),
+      seed: raw.seed === undefined || raw.seed === '' ? null : raw.seed,
+      score,
+      total,
+      percent,
+      start_time: start === null ? String(raw.start_time || '') : new Date(start).toISOString(),
+      end_time: end === null ? String(raw.end_time || '') : new Date(end).toISOString(),
+      time_s: timeS,
+      answers
+    };
+  }
+
+  /* File text -> { attempts, errors }; errors are readable sentences about skipped rows.
+     Throws when the file as a whole can't be read. */
+  function parseAttemptFile(text, filename = 'file') {
+    text = String(text || '').replace(/^\uFEFF/, '');
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error(`"${filename}" is empty.`);
+    let rows;
+    let label;
+    if (/\.csv$/i.test(filename) || !/^[[{]/.test(trimmed)) {
+      rows = csvObjects(text);
+      label = i => `Row ${i + 2}`;
+    } else {
+      try {
+        const data = JSON.parse(trimmed);
+        rows = Array.isArray(data) ? data : (data && Array.isArray(data.attempts) ? data.attempts : [data]);
+      } catch (e) {
+        // JSON lines: one record per line
+        const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+        try {
+          rows = lines.map(l => JSON.parse(l));
+        } catch (e2) {
+          throw new Error(`"${filename}" is not valid JSON, JSON lines or CSV.`);
+        }
+      }
+      label = i => `Attempt ${i + 1}`;
+    }
+    if (rows.length > MAX_ROWS) throw new Error(`"${filename}" has more than ${MAX_ROWS} attempts.`);
+
+    const attempts = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+      try {
+        attempts.push(normalizeAttempt(row, `${filename}, ${label(i)}`));
+      } catch (e) {
+        errors.push(e.message);
+      }
+    });
+    return { attempts, errors };
+  }
+
+  // Add attempts to a list, skipping ones already there -> number added
+  function mergeAttempts(list, more) {
+    const seen = new Set(list.map(a => a.id));
+    let added = 0;
+    more.forEach(a => {
+      if (seen.has(a.id)) return;
+      seen.add(a.id);
+      list.push(a);
+      added++;
+    });
+    return added;
+  }
+
+  /* ---------- statistics ---------- */
+
+  function mean(list) {
+    return list.length ? list.reduce((s, v) => s + v, 0) / list.length : null;
+  }
+
+  function median(list) {
+    if (!list.length) return null;
+    const s = list.slice().sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+  }
+
+  function bins(percents) {
+    const out = new Array(BINS).fill(0);
+    percents.forEach(p => { out[Math.min(BINS - 1, Math.floor(p / (100 / BINS)))]++; });
+    return out;
+  }
+
+  function scoreStats(list) {
+    const percents = list.map(a => a.percent);
+    const times = list.map(a => a.time_s).filter(t => t !== null);
+    return {
+      count: list.length,
+      mean: mean(percents),
+      median: median(percents),
+      min: percents.length ? Math.min(...percents) : null,
+      max: percents.length ? Math.max(...percents) : null,
+      avgTimeS: mean(times),
+      bins: bins(percents)
+    };
+  }
+
+  /* attempts -> {
+       overall: { count, mean, median, min, max, avgTimeS, bins },
+       sections: [{ section, ...same stats }],
+       questions: [{ key, bank, id, topic, prompt, attempts, correct, pctCorrect,
+                     wrong: [{ answer, count }] }]   (hardest first)
+     } */
+  function summarize(attempts) {
+    const bySection = new Map();
+    attempts.forEach(a => {
+      if (!bySection.has(a.section)) bySection.set(a.section, []);
+      bySection.get(a.section).push(a);
+    });
+    const sections = Array.from(bySection.keys()).sort().map(section => Object.assign({ section }, scoreStats(bySection.get(section))));
+
+    const byQuestion = new Map();
+    attempts.forEach(a => a.answers.forEach(ans => {
+      const key = `${a.bank}/${ans.id}`;
+      let q = byQuestion.get(key);
+      if (!q) {
+        q = { key, bank: a.bank, id: ans.id, topic: ans.topic, prompt: ans.prompt, prompts: new Set(), attempts: 0, correct: 0, wrongCounts: new Map() };
+        byQuestion.set(key, q);
+      }
+      if (ans.prompt) q.prompts.add(ans.prompt);
+      q.attempts++;
+      if (ans.correct) q.correct++;
+      else q.wrongCounts.set(ans.given, (q.wrongCounts.get(ans.given) || 0) + 1);
+    }));
+    const questions = Array.from(byQuestion.values()).map(q => ({
+      key: q.key,
+      bank: q.bank,
+      id: q.id,
+      topic: q.topic,
+      // parameterized questions show different numbers to each student
+      prompt: q.prompts.size > 1 ? `${Array.from(q.prompts)[0]} (numbers vary)` : (Array.from(q.prompts)[0] || ''),
+      attempts: q.attempts,
+      correct: q.correct,
+      pctCorrect: q.attempts ? q.correct / q.attempts * 100 : 0,
+      wrong: Array.from(q.wrongCounts.entries())
+        .map(([answer, count]) => ({ answer, count }))
+        .sort((x, y) => y.count - x.count || x.answer.localeCompare(y.answer))
+        .slice(0, TOP_WRONG)
+    })).sort((x, y) => x.pctCorrect - y.pctCorrect || x.key.localeCompare(y.key));
+
+    return { overall: scoreStats(attempts), sections, questions };
+  }
+
+  /* ---------- export ---------- */
+
+  function csvCell(v) {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function csv(rows) {
+    return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  function round1(v) {
+    return v === null || v === undefined ? '' : Math.round(v * 10) / 10;
+  }
+
+  // One row per attempt, for the gradebook
+  function gradebookCSV(attempts) {
+    return csv([['name', 'section', 'bank', 'seed', 'score', 'total', 'percent', 'time_taken_s', 'start_time', 'end_time']]
+      .concat(attempts.map(a => [a.name, a.section, a.bank, a.seed, a.score, a.total, a.percent, a.time_s, a.start_time, a.end_time])));
+  }
+
+  function sectionsCSV(summary) {
+    return csv([['section', 'attempts', 'mean_percent', 'median_percent', 'min_percent', 'max_percent', 'avg_time_s']]
+      .concat(summary.sections.map(s => [s.section, s.count, round1(s.mean), round1(s.median), s.min, s.max, round1(s.avgTimeS)])));
+  }
+
+  function questionsCSV(summary) {
+    return csv([['bank', 'question', 'topic', 'prompt', 'attempts', 'correct', 'percent_correct', 'most_chosen_wrong']]
+      .concat(summary.questions.map(q => [
+        q.bank, q.id, q.topic, q.prompt, q.attempts, q.correct, round1(q.pctCorrect),
+        q.wrong.map(w => `${w.answer} (${w.count})`).join('; ')
+      ])));
+  }
+
+  return {
+    BINS,
+    NO_SECTION,
+    parseCSV,
+    parseAnswersText,
+    normalizeAttempt,
+    parseAttemptFile,
+    mergeAttempts,
+    summarize,
+    gradebookCSV,
+    sectionsCSV,
+    questionsCSV
+  };
+});
@@ -0,0 +1,224 @@
+/* experiments.js
+   Guided "predict, run, explain" experiments for the simulation (used by 1.js).
+   - An experiment is plain data, so teachers can write new ones as JSON:
+       {
+         id, title, intro,
+         scenario: { ...scenario.js format },
+         predict: { type: 'winner' }
+                | { type: 'finish_time', racer: 'A', tolerance_pct?: 10 },
+         prompt,
+         followUp?: { q, o: [options], a: index of the right option, e?: explanation }
+       }
+     (followUp uses the same q / o / a / e keys as the quiz data in 6.js)
+   - parseExperiments() validates a list; errors are readable sentences
+   - raceOutcome() reads a motion-engine.js raceResults() summary; checkPrediction() grades
+     (finish times are in seconds; the message shows them in the page's time unit)
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./scenario.js'), require('./units.js'));
+  else root.Experiments = factory(root.Scenario, root.Units);
+})(typeof self !== 'undefined' ? self : this, function (Scenario, Units) {
+  'use strict';
+
+  const PREDICTION_TYPES = ['winner', 'finish_time'];
+  const DEFAULT_TOLERANCE_PCT = 10;
+  const MAX_EXPERIMENTS = 50;
+
+  const ONE_ZONE = [{ name: 'normal', color: '#00e6ff', multiplier: 1, start: 0, end: 1 }];
+
+  // Built-in worksheet; teachers can load more from a JSON file
+  const BUILT_IN = [
+    {
+      id: 'double-mass',
+      title: 'B has twice the mass',
+      intro: 'Physics model: both objects are pushed with the same 50 N force on a frictionless, zone-free track. B has twice the mass of A.',
+      scenario: {
+        distance_m: 100, time_s: 10, units: 'm_s', integrator: 'semi-implicit',
+        model: 'physics', force_N: 50, mu_k: 0, air_drag: false,
+        zones: ONE_ZONE,
+        racers: [
+          { id: 'A', color: '#ff4dff', mass: 10, friction: 0, offset: 0 },
+          { id: 'B', color: '#00f0ff', mass: 20, friction: 0, offset: 0 }
+        ]
+      },
+      predict: { type: 'winner' },
+      prompt: 'Which object reaches the finish line first?',
+      followUp: {
+        q: 'B has twice the mass and feels the same force. Compared with A, B\'s acceleration is…',
+        o: ['twice as large', 'the same', 'half as large', 'a quarter as large'],
+        a: 2,
+        e: 'a = F ÷ m. Doubling the mass with the same force halves the acceleration, so B falls behind from the very start.'
+      }
+    },
+    {
+      id: 'finish-time',
+      title: 'Predict the finish time',
+      intro: 'Physics model: a 40 N push on a 10 kg object, no friction, no zones, over 80 m. It starts from rest.',
+      scenario: {
+        distance_m: 80, time_s: 10, units: 'm_s', integrator: 'rk4',
+        model: 'physics', force_N: 40, mu_k: 0, air_drag: false,
+        zones: ONE_ZONE,
+        racers: [{ id: 'A', color: '#ff4dff', mass: 10, friction: 0, offset: 0 }]
+      },
+      predict: { type: 'finish_time', racer: 'A', tolerance_pct: 10 },
+      prompt: 'How long will A take to cover 80 m? (a = F ÷ m, then d = ½·a·t²)',
+      followUp: {
+        q: 'If the force were doubled to 80 N, the finish time would…',
+        o: ['halve', 'shrink by a factor of √2 (to about 71%)', 'stay the same', 'double'],
+        a: 1,
+        e: 't = √(2d ÷ a). Doubling the force doubles a, so t is divided by √2 ≈ 1.41.'
+      }
+    },
+    {
+      id: 'friction-cruise',
+      title: 'Friction and cruising speed',
+      intro: 'Arcade model: both objects have the same mass and offset, but B has much more friction (40% against 5%).',
+      scenario: {
+        distance_m: 100, time_s: 10, units: 'm_s', integrator: 'semi-implicit',
+        model: 'arcade',
+        zones: ONE_ZONE,
+        racers: [
+          { id: 'A', color: '#ff4dff', mass: 10, friction: 5, offset: 0 },
+          { id: 'B', color: '#00f0ff', mass: 10, friction: 40, offset: 0 }
+        ]
+      },
+      predict: { type: 'winner' },
+      prompt: 'Which object wins the race?',
+      followUp: {
+        q: 'On the speed–time graph, where does B\'s line level off?',
+        o: ['Above A\'s line', 'Below A\'s line', 'At the same height as A\'s line'],
+        a: 1,
+        e: 'Friction lowers the speed each object settles at, so B cruises at a lower speed and its distance–time line is less steep.'
+      }
+    }
+  ];
+
+  function fail(where, message) {
+    throw new Error(`${where}: ${message}`);
+  }
+
+  function text(value, where, field, required) {
+    if (value === undefined || value === null || value === '') {
+      if (required) fail(where, `"${field}" is required.`);
+      return '';
+    }
+    if (typeof value !== 'string') fail(where, `"${field}" must be text.`);
+    return value.trim().slice(0, 600);
+  }
+
+  // Validate one experiment and return a clean copy
+  function parseExperiment(data, where = 'Experiment') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail(where, 'must be an object.');
+    const id = text(data.id, where, 'id', true);
+    if (!/^[a-z0-9_-]{1,40}$/i.test(id)) fail(where, '"id" may only use letters, digits, "-" and "_".');
+    where = `Experiment "${id}"`;
+
+    let scenario;
+    try {
+      scenario = Scenario.parseScenario(data.scenario);
+    } catch (e) {
+      fail(where, `scenario: ${e.message}`);
+    }
+    if (!scenario.racers) fail(where, 'the scenario must list its racers.');
+
+    const p = data.predict;
+    if (!p || typeof p !== 'object') fail(where, '"predict" must be an object like { "type": "winner" }.');
+    if (!PREDICTION_TYPES.includes(p.type)) fail(where, `"predict.type" must be one of: ${PREDICTION_TYPES.join(', ')}.`);
+    const predict = { type: p.type };
+    if (p.type === 'finish_time') {
+      predict.racer = String(p.racer || '').toUpperCase();
+      if (!scenario.racers.some(r => r.id === predict.racer)) fail(where, '"predict.racer" must be one of the scenario\'s racers.');
+      const tol = p.tolerance_pct === undefined ? DEFAULT_TOLERANCE_PCT : Number(p.tolerance_pct);
+      if (!Number.isFinite(tol) || tol <= 0 || tol > 100) fail(where, '"predict.tolerance_pct" must be a number from 0 to 100.');
+      predict.tolerance_pct = tol;
+    }
+
+    let followUp = null;
+    if (data.followUp != null) {
+      const f = data.followUp;
+      if (typeof f !== 'object') fail(where, '"followUp" must be an object with q, o, a and e.');
+      const q = text(f.q, where, 'followUp.q', true);
+      if (!Array.isArray(f.o) || f.o.length < 2 || f.o.some(o => typeof o !== 'string')) {
+        fail(where, '"followUp.o" must be a list of at least two options.');
+      }
+      if (!Number.isInteger(f.a) || f.a < 0 || f.a >= f.o.length) {
+        fail(where, `"followUp.a" must be the index (0 to ${f.o.length - 1}) of the right option.`);
+      }
+      followUp = { q, o: f.o.map(o => o.trim()), a: f.a, e: text(f.e, where, 'followUp.e', false) };
+    }
+
+    return {
+      id,
+      title: text(data.title, where, 'title', true),
+      intro: text(data.intro, where, 'intro', false),
+      scenario,
+      predict,
+      prompt: text(data.prompt, where, 'prompt', false) ||
+        (predict.type === 'winner' ? 'Which object wins?' : `What will ${predict.racer}'s finish time be?`),
+      followUp
+    };
+  }
+
+  // A list (or { experiments: [...] }, or its JSON text) -> validated experiments
+  function parseExperiments(data) {
+    if (typeof data === 'string') {
+      try { data = JSON.parse(data); } catch (e) { throw new Error('Experiment file is not valid JSON.'); }
+    }
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.experiments) ? data.experiments : null);
+    if (!list) throw new Error('Experiment file must be a list of experiments (or { "experiments": [...] }).');
+    if (!list.length) throw new Error('Experiment file has no experiments.');
+    if (list.length > MAX_EXPERIMENTS) throw new Error(`At most ${MAX_EXPERIMENTS} experiments per file.`);
+    const seen = new Set();
+    return list.map((item, i) => {
+      const exp = parseExperiment(item, `experiments[${i}]`);
+      if (seen.has(exp.id)) throw new Error(`Experiment id "${exp.id}" appears twice.`);
+      seen.add(exp.id);
+      return exp;
+    });
+  }
+
+  /* Winner and (interpolated) finish times from MotionEngine.raceResults()
+     -> { finish: { id: seconds | null }, winner: id | 'tie' | null } */
+  function raceOutcome(results) {
+    const finish = {};
+    results.rows.forEach(r => { finish[r.id] = r.finished ? r.finishTime : null; });
+    return { finish, winner: results.winner };
+  }
+
+  function describeWinner(w) {
+    if (w === 'tie') return 'a tie';
+    return w ? `object ${w}` : 'nobody (no one finished)';
+  }
+
+  // Grade a prediction against the outcome: { correct, message }; timeUnit is a units.js time unit
+  function checkPrediction(exp, prediction, outcome, timeUnit = 's') {
+    if (exp.predict.type === 'winner') {
+      const correct = prediction === outcome.winner;
+      return {
+        correct,
+        message: `You predicted ${describeWinner(prediction)}; the winner was ${describeWinner(outcome.winner)}.`
+      };
+    }
+    const actual = outcome.finish[exp.predict.racer];
+    if (actual === null || actual === undefined) {
+      return { correct: false, message: `Object ${exp.predict.racer} did not finish, so there is no finish time to compare.` };
+    }
+    const errorPct = Math.abs(prediction - actual) / actual * 100;
+    return {
+      correct: errorPct <= exp.predict.tolerance_pct,
+      message: `You predicted ${Units.format('time', prediction, timeUnit)}; ` +
+        `${exp.predict.racer} finished in ${Units.format('time', actual, timeUnit)} ` +
+        `(${errorPct.toFixed(1)}% off, within ${exp.predict.tolerance_pct}% counts).`
+    };
+  }
+
+  return {
+    PREDICTION_TYPES,
+    BUILT_IN: parseExperiments(BUILT_IN),
+    parseExperiment,
+    parseExperiments,
+    raceOutcome,
+    checkPrediction
+  };
+});
@@ -0,0 +1,183 @@
+/* expression.js
+   A small, safe arithmetic evaluator for parameterized quiz questions (used by question-bank.js).
+   - Numbers, named values, + − × ÷ ^, parentheses and unary minus:
+       "d / (t / 60)", "2 * (1.5 + 3) ^ 2", "-v * t"
+   - Functions: sqrt, abs, round(x, places?), min, max, and the constant pi
+   - Parsed by hand into a tree; nothing is passed to eval() or Function(), so a bank file
+     can only ever compute a number
+   - compile() checks the names up front; errors are readable sentences
+   - Loads as window.Expression or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Expression = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MAX_LENGTH = 200;
+  const CONSTANTS = { pi: Math.PI };
+  // name -> [min args, max args, fn]
+  const FUNCTIONS = {
+    sqrt: [1, 1, Math.sqrt],
+    abs: [1, 1, Math.abs],
+    round: [1, 2, (x, places = 0) => {
+      const f = Math.pow(10, places);
+      return Math.round(x * f) / f;
+    }],
+    min: [2, 8, Math.min],
+    max: [2, 8, Math.max]
+  };
+
+  const has = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+  function tokenize(src) {
+    const tokens = [];
+    const re = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/^(),×÷−]))/iy;
+    let pos = 0;
+    while (pos < src.length) {
+      if (/^\s*$/.test(src.slice(pos))) break;
+      re.lastIndex = pos;
+      const m = re.exec(src);
+      if (!m) throw new Error(`Unexpected "${src.slice(pos).trim()[0]}" at position ${pos + 1} in "${src}".`);
+      if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+      else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2] });
+      else tokens.push({ type: 'op', value: ({ '×': '*', '÷': '/', '−': '-', '**': '^' })[m[3]] || m[3] });
+      pos = re.lastIndex;
+    }
+    return tokens;
+  }
+
+  /* Grammar (lowest precedence first):
+       sum     = product (('+' | '-') product)*
+       product = unary (('*' | '/') unary)*
+       unary   = '-' unary | power
+       power   = atom ('^' unary)?          (right-associative: 2^3^2 = 2^9)
+       atom    = number | name | name '(' sum (',' sum)* ')' | '(' sum ')' */
+  function parse(src) {
+    const tokens = tokenize(src);
+    let i = 0;
+    const peek = () => tokens[i];
+    const isOp = (v) => peek() && peek().type === 'op' && peek().value === v;
+    function expect(v) {
+      if (!isOp(v)) throw new Error(`Expected "${v}" in "${src}".`);
+      i++;
+    }
+
+    function sum() {
+      let node = product();
+      while (isOp('+') || isOp('-')) {
+        const op = tokens[i++].value;
+        node = { op, a: node, b: product() };
+      }
+      return node;
+    }
+    function product() {
+      let node = unary();
+      while (isOp('*') || isOp('/')) {
+        const op = tokens[i++].value;
+        node = { op, a: node, b: unary() };
+      }
+      return node;
+    }
+    function unary() {
+      if (isOp('-')) { i++; return { op: 'neg', a: unary() }; }
+      if (isOp('+')) { i++; return unary(); }
+      return power();
+    }
+    function power() {
+      const base = atom();
+      if (isOp('^')) { i++; return { op: '^', a: base, b: unary() }; }
+      return base;
+    }
+    function atom() {
+      const t = peek();
+      if (!t) throw new Error(`"${src}" ends too early.`);
+      i++;
+      if (t.type === 'num') return { num: t.value };
+      if (t.type === 'name') {
+        const lower = t.value.toLowerCase();
+        const name = has(FUNCTIONS, lower) || has(CONSTANTS, lower) ? lower : t.value;
+        if (has(FUNCTIONS, name)) {
+          const [lo, hi] = FUNCTIONS[name];
+          expect('(');
+          const args = [sum()];
+          while (isOp(',')) { i++; args.push(sum()); }
+          expect(')');
+          if (args.length < lo || args.length > hi) {
+            throw new Error(`${name}() takes ${lo === hi ? lo : `${lo} to ${hi}`} value${hi === 1 ? '' : 's'} in "${src}".`);
+          }
+          return { fn: name, args };
+        }
+        if (has(CONSTANTS, name)) return { num: CONSTANTS[name] };
+        if (isOp('(')) throw new Error(`Unknown function "${name}" in "${src}" (use ${Object.keys(FUNCTIONS).join(', ')}).`);
+        return { name };
+      }
+      if (t.value === '(') {
+        const node = sum();
+        expect(')');
+        return node;
+      }
+      throw new Error(`Unexpected "${t.value}" in "${src}".`);
+    }
+
+    const tree = sum();
+    if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].value}" in "${src}".`);
+    return tree;
+  }
+
+  function namesIn(node, out) {
+    if (node.name !== undefined) out.add(node.name);
+    if (node.a) namesIn(node.a, out);
+    if (node.b) namesIn(node.b, out);
+    if (node.args) node.args.forEach(n => namesIn(n, out));
+    return out;
+  }
+
+  function evaluate(node, vars) {
+    if (node.num !== undefined) return node.num;
+    if (node.name !== undefined) return vars[node.name];
+    if (node.fn) return FUNCTIONS[node.fn][2](...node.args.map(n => evaluate(n, vars)));
+    const a = evaluate(node.a, vars);
+    switch (node.op) {
+      case 'neg': return -a;
+      case '+': return a + evaluate(node.b, vars);
+      case '-': return a - evaluate(node.b, vars);
+      case '*': return a * evaluate(node.b, vars);
+      case '/': return a / evaluate(node.b, vars);
+      default: return Math.pow(a, evaluate(node.b, vars));
+    }
+  }
+
+  /* Parse once, evaluate many times.
+     allowedNames (optional) = the names the expression may use; others are an error.
+     -> { source, names: [...], evaluate(vars) -> number } */
+  function compile(src, allowedNames) {
+    if (typeof src !== 'string' || !src.trim()) throw new Error('An expression must be non-empty text.');
+    if (src.length > MAX_LENGTH) throw new Error(`An expression may be at most ${MAX_LENGTH} characters.`);
+    const tree = parse(src);
+    const names = Array.from(namesIn(tree, new Set()));
+    if (allowedNames) {
+      const unknown = names.filter(n => !allowedNames.includes(n));
+      if (unknown.length) {
+        throw new Error(`"${src}" uses ${unknown.map(n => `"${n}"`).join(', ')}, which ${unknown.length === 1 ? 'is' : 'are'} not defined.`);
+      }
+    }
+    return {
+      source: src,
+      names,
+      evaluate(vars = {}) {
+        names.forEach(n => {
+          if (!has(vars, n) || typeof vars[n] !== 'number') throw new Error(`"${src}" needs a value for "${n}".`);
+        });
+        return evaluate(tree, vars);
+      }
+    };
+  }
+
+  return {
+    FUNCTIONS: Object.keys(FUNCTIONS),
+    compile
+  };
+});
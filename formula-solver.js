@@ -0,0 +1,136 @@
+/* formula-solver.js
+   Solves speed = distance ÷ time for whichever quantity is unknown (used by 1.js).
+   - The two known values carry their own units (units.js); the answer comes in
+     the unit asked for
+   - Returns a worked solution in the style of the 3.html guided examples:
+     Given → Step 1 (convert units) → Formula → Substitution → Solution → "This means that"
+   - solve() errors are readable sentences
+   - Pure functions: loads as window.FormulaSolver or with require() in Node
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./units.js'));
+  else root.FormulaSolver = factory(root.Units);
+})(typeof self !== 'undefined' ? self : this, function (Units) {
+  'use strict';
+
+  const UNKNOWNS = ['speed', 'distance', 'time'];
+  const FORMULAS = {
+    speed: 'speed = distance ÷ time',
+    distance: 'distance = speed × time',
+    time: 'time = distance ÷ speed'
+  };
+  const DEFAULT_RESULT_UNITS = { speed: 'm/s', distance: 'm', time: 's' };
+  // "every second", "every hour"...
+  const TIME_SINGULAR = { s: 'second', min: 'minute', h: 'hour' };
+
+  // Five significant digits, without trailing zeros (1800, 0.16667, 1609.3)
+  function num(v) {
+    return String(Number(v.toPrecision(5)));
+  }
+
+  function sym(quantity, unit) { return Units.symbol(quantity, unit); }
+
+  function readGiven(input, quantity) {
+    const g = input[quantity] || {};
+    if (g.value === undefined || g.value === null || g.value === '') throw new Error(`Enter the ${quantity}.`);
+    const value = Number(g.value);
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`The ${quantity} must be a number greater than 0.`);
+    Units.symbol(quantity, g.unit); // throws a readable error for an unknown unit
+    return { value, unit: g.unit };
+  }
+
+  // "30 min = 30 × 60 = 1800 s"; null when the units already match
+  function conversion(quantity, value, from, to) {
+    if (from === to) return null;
+    const factor = Units.convert(quantity, 1, from, to);
+    const result = value * factor;
+    const op = factor >= 1 ? `× ${num(factor)}` : `÷ ${num(1 / factor)}`;
+    return { value: result, text: `${num(value)} ${sym(quantity, from)} = ${num(value)} ${op} = ${num(result)} ${sym(quantity, to)}` };
+  }
+
+  /* input = { unknown: 'speed' | 'distance' | 'time', resultUnit?,
+               distance?: { value, unit }, time?: { value, unit }, speed?: { value, unit } }
+     -> { unknown, value, unit, si: { distance_m, time_s, speed_ms },
+          given, steps: [{ label, text }], solution, meaning } */
+  function solve(input) {
+    const unknown = input && input.unknown;
+    if (!UNKNOWNS.includes(unknown)) throw new Error('Choose what to solve for: speed, distance or time.');
+    const resultUnit = input.resultUnit || DEFAULT_RESULT_UNITS[unknown];
+    Units.symbol(unknown, resultUnit);
+
+    const known = UNKNOWNS.filter(q => q !== unknown);
+    const given = {};
+    known.forEach(q => { given[q] = readGiven(input, q); });
+
+    const conversions = [];
+    const steps = [];
+    let value;
+    let substitution;
+    let answerConversion = null;
+    let meaning;
+
+    if (unknown === 'speed') {
+      // work in the distance and time units the answer's speed unit is made of
+      const parts = Units.speedParts(resultUnit);
+      let d = given.distance.value;
+      let t = given.time.value;
+      const cd = conversion('distance', d, given.distance.unit, parts.distance);
+      const ct = conversion('time', t, given.time.unit, parts.time);
+      if (cd) { conversions.push(cd.text); d = cd.value; }
+      if (ct) { conversions.push(ct.text); t = ct.value; }
+      value = d / t;
+      substitution = `speed = ${num(d)} ${sym('distance', parts.distance)} ÷ ${num(t)} ${sym('time', parts.time)}`;
+      meaning = `the object moves ${num(value)} ${sym('distance', parts.distance)} every ${TIME_SINGULAR[parts.time]}.`;
+    } else {
+      // work in the units of the given speed, then convert the answer if asked
+      const parts = Units.speedParts(given.speed.unit);
+      const v = given.speed.value;
+      const other = unknown === 'distance' ? 'time' : 'distance';
+      let x = given[other].value;
+      const c = conversion(other, x, given[other].unit, parts[other]);
+      if (c) { conversions.push(c.text); x = c.value; }
+      const raw = unknown === 'distance' ? v * x : x / v;
+      substitution = unknown === 'distance'
+        ? `distance = ${num(v)} ${sym('speed', given.speed.unit)} × ${num(x)} ${sym('time', parts.time)}`
+        : `time = ${num(x)} ${sym('distance', parts.distance)} ÷ ${num(v)} ${sym('speed', given.speed.unit)}`;
+      answerConversion = conversion(unknown, raw, parts[unknown], resultUnit);
+      value = answerConversion ? answerConversion.value : raw;
+      meaning = unknown === 'distance'
+        ? `the object travels ${num(value)} ${sym('distance', resultUnit)} in ${num(given.time.value)} ${sym('time', given.time.unit)}.`
+        : `it takes ${num(value)} ${sym('time', resultUnit)} to cover ${num(given.distance.value)} ${sym('distance', given.distance.unit)}.`;
+    }
+
+    let n = 1;
+    if (conversions.length) steps.push({ label: `Step ${n++}`, text: `Convert units so they match. ${conversions.join('. ')}.` });
+    steps.push({ label: `Step ${n++} (Formula)`, text: FORMULAS[unknown] });
+    steps.push({ label: 'Substitution', text: substitution });
+    if (answerConversion) steps.push({ label: `Step ${n++}`, text: `Convert the answer to ${Units.unitName(unknown, resultUnit)}. ${answerConversion.text}.` });
+
+    // the full set in SI, for running a race with these values
+    const all = { ...given, [unknown]: { value, unit: resultUnit } };
+    const si = {
+      distance_m: Units.toBase('distance', all.distance.value, all.distance.unit),
+      time_s: Units.toBase('time', all.time.value, all.time.unit),
+      speed_ms: Units.toBase('speed', all.speed.value, all.speed.unit)
+    };
+
+    return {
+      unknown,
+      value,
+      unit: resultUnit,
+      si,
+      given: `Given: ${known.map(q => `${q} = ${num(given[q].value)} ${sym(q, given[q].unit)}`).join(', ')}. ` +
+        `Required: ${unknown} in ${sym(unknown, resultUnit)}.`,
+      steps,
+      solution: `${unknown} = ${num(value)} ${sym(unknown, resultUnit)}`,
+      meaning: `This means that ${meaning}`
+    };
+  }
+
+  return {
+    UNKNOWNS,
+    FORMULAS,
+    solve
+  };
+});
@@ -0,0 +1,154 @@
+/* graph-export.js
+   Export helpers for the simulation graphs (used by 1.js).
+   - toCSV(): graphData -> CSV text (one row per sample, columns per racer)
+   - toSVG(): a vector version of a graph for printing (same ticks as graph-plot.js)
+   - download helpers for text and canvas PNGs (browser only)
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./graph-plot.js'));
+  else root.GraphExport = factory(root.GraphPlot);
+})(typeof self !== 'undefined' ? self : this, function (GraphPlot) {
+  'use strict';
+
+  function csvCell(v) {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // 4 decimals, or 4 significant digits for tiny values (e.g. a short race in hours)
+  function fmt(n, digits = 4) {
+    if (typeof n !== 'number' || !Number.isFinite(n)) return '';
+    return Number(n !== 0 && Math.abs(n) < 0.01 ? n.toPrecision(digits) : n.toFixed(digits)).toString();
+  }
+
+  /* columns = [{ header, values, convert? }]; time = [] in seconds,
+     written as timeColumn = { header, convert? } (default: seconds, "time_s") */
+  function toCSV(time, columns, timeColumn = { header: 'time_s' }) {
+    const header = [timeColumn.header, ...columns.map(c => c.header)];
+    const lines = [header.map(csvCell).join(',')];
+    for (let i = 0; i < time.length; i++) {
+      const row = [fmt(timeColumn.convert ? timeColumn.convert(time[i]) : time[i])];
+      columns.forEach(c => {
+        const v = c.values[i];
+        row.push(fmt(c.convert ? c.convert(v) : v));
+      });
+      lines.push(row.join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  function escapeXml(s) {
+    return String(s).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+  }
+
+  /* Vector plot with the same layout as the canvas graphs, on a white print theme.
+     plot = a graph-plot.js plot description */
+  function toSVG(plot) {
+    const theme = GraphPlot.THEMES.print;
+    const w = plot.width || 600;
+    const h = plot.height || 200;
+    const L = GraphPlot.layoutPlot({ ...plot, width: w, height: h }, null);
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" font-family="system-ui, Roboto, Arial" font-size="12">`);
+    if (plot.title) parts.push(`<title>${escapeXml(plot.title)}</title>`);
+    parts.push(`<rect width="${w}" height="${h}" fill="${theme.background}"/>`);
+
+    // shaded y bands
+    (plot.bands || []).forEach((b, i) => {
+      const top = Math.max(L.y1, L.sy(b.to)), bottom = Math.min(L.y0, L.sy(b.from));
+      if (bottom <= top) return;
+      const color = escapeXml(b.color);
+      parts.push(`<rect x="${L.x0}" y="${top.toFixed(2)}" width="${L.x1 - L.x0}" height="${(bottom - top).toFixed(2)}" fill="${color}" fill-opacity="${GraphPlot.BAND_ALPHA}"/>`);
+      if (i > 0) parts.push(`<line x1="${L.x0}" y1="${bottom.toFixed(2)}" x2="${L.x1}" y2="${bottom.toFixed(2)}" stroke="${color}" stroke-dasharray="2 3"/>`);
+      if (b.label && bottom - top >= 14) {
+        parts.push(`<text x="${L.x1 - 4}" y="${(top + 12).toFixed(2)}" fill="${color}" text-anchor="end">${escapeXml(b.label)}</text>`);
+      }
+    });
+
+    // gridlines + axes
+    L.xTicks.forEach(t => {
+      const x = L.sx(t.value).toFixed(2);
+      parts.push(`<line x1="${x}" y1="${L.y1}" x2="${x}" y2="${L.y0}" stroke="${theme.grid}"/>`);
+      parts.push(`<text x="${x}" y="${L.y0 + 16}" fill="${theme.text}" text-anchor="middle">${escapeXml(t.label)}</text>`);
+    });
+    L.yTicks.forEach(t => {
+      const y = L.sy(t.value).toFixed(2);
+      parts.push(`<line x1="${L.x0}" y1="${y}" x2="${L.x1}" y2="${y}" stroke="${theme.grid}"/>`);
+      parts.push(`<text x="${L.x0 - 6}" y="${y}" fill="${theme.text}" text-anchor="end" dominant-baseline="middle">${escapeXml(t.label)}</text>`);
+    });
+    parts.push(`<polyline fill="none" stroke="${theme.axis}" points="${L.x0},${L.y1} ${L.x0},${L.y0} ${L.x1},${L.y0}"/>`);
+
+    // axis titles
+    parts.push(`<text x="${(L.x0 + L.x1) / 2}" y="${h - 4}" fill="${theme.text}" text-anchor="middle">${escapeXml(plot.xLabel || '')}</text>`);
+    parts.push(`<text transform="translate(12 ${(L.y0 + L.y1) / 2}) rotate(-90)" fill="${theme.text}" text-anchor="middle" dominant-baseline="middle">${escapeXml(plot.yLabel || '')}</text>`);
+
+    // series and measurement, clipped to the plot area (zoomed views)
+    parts.push(`<clipPath id="plot-area"><rect x="${L.x0}" y="${L.y1 - 2}" width="${L.x1 - L.x0}" height="${L.y0 - L.y1 + 4}"/></clipPath>`);
+    parts.push('<g clip-path="url(#plot-area)">');
+    (plot.series || []).forEach(s => {
+      const pts = [];
+      GraphPlot.tracePoints(plot, s, L, 0, (x, y) => pts.push(`${x.toFixed(2)},${y.toFixed(2)}`));
+      if (pts.length) {
+        parts.push(`<polyline fill="none" stroke="${escapeXml(s.color)}" stroke-width="2.5" stroke-linejoin="round" points="${pts.join(' ')}"/>`);
+      }
+    });
+    if (plot.measure && plot.measure.length) {
+      const pts = plot.measure.map(m => `${L.sx(m.x).toFixed(2)},${L.sy(m.y).toFixed(2)}`);
+      parts.push(`<polyline fill="none" stroke="${theme.measure}" stroke-width="1.5" points="${pts.join(' ')}"/>`);
+      plot.measure.forEach(m => {
+        parts.push(`<circle cx="${L.sx(m.x).toFixed(2)}" cy="${L.sy(m.y).toFixed(2)}" r="4" fill="${theme.measure}"/>`);
+      });
+    }
+    parts.push('</g>');
+
+    // legend
+    let lx = L.x0 + 4;
+    (plot.series || []).forEach(s => {
+      parts.push(`<rect x="${lx}" y="8" width="10" height="6" fill="${escapeXml(s.color)}"/>`);
+      parts.push(`<text x="${lx + 14}" y="16" fill="${theme.text}">${escapeXml(s.name)}</text>`);
+      lx += 14 + String(s.name).length * 7 + 14;
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+  }
+
+  /* ===========================
+     Browser download helpers
+     =========================== */
+
+  function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function downloadText(text, filename, type) {
+    downloadBlob(new Blob([text], { type: type || 'text/plain' }), filename);
+  }
+
+  function downloadCanvasPNG(canvas, filename) {
+    if (canvas.toBlob) {
+      canvas.toBlob(blob => { if (blob) downloadBlob(blob, filename); }, 'image/png');
+    } else {
+      const a = document.createElement('a');
+      a.href = canvas.toDataURL('image/png');
+      a.download = filename;
+      a.click();
+    }
+  }
+
+  return {
+    toCSV,
+    toSVG,
+    downloadBlob,
+    downloadText,
+    downloadCanvasPNG
+  };
+});
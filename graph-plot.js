@@ -0,0 +1,358 @@
+/* graph-plot.js
+   Small plotting layer for the simulation graphs (used by 1.js and graph-export.js).
+   - "Nice" tick generation (1 / 2 / 5 × 10^n steps) for both axes
+   - layoutPlot(): margins, scales and ticks for a plot description
+   - drawPlot(): renders a plot on a 2D canvas context (gridlines, axes, labels, legend)
+   - appendPlot(): draws only the newest samples onto a plot already on the canvas
+   - Long series are decimated to the pixel columns they cover (tracePoints())
+   A plot description looks like:
+     { width, height, xLabel, yLabel, xMin?, xMax, yMin?, yMax, time: [], timeConvert?,
+       series: [{ name, color, values, convert? }],
+       bands?: [{ from, to, color, label }], measure?: [{ x, y }], cursorX?, tight?, theme?: 'dark' | 'print' }
+   time and values may be raw data with timeConvert / convert mapping each point to
+   display units (the same convention as graph-export.js toCSV columns), so a
+   live run never copies its whole history just to draw it
+   bands shade horizontal strips of the y axis (e.g. track zones on the distance graph),
+   measure marks clicked points joined by a line, and tight keeps the axes exactly at
+   xMin..xMax / yMin..yMax (zoomed views) instead of widening them to whole ticks
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.GraphPlot = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FONT = '12px system-ui, Roboto, Arial';
+  // Opacity of shaded bands so gridlines and series stay readable on top
+  const BAND_ALPHA = 0.12;
+  // Series with more points than this per pixel column are decimated
+  const POINTS_PER_COLUMN = 2;
+
+  const THEMES = {
+    dark: { background: '#031018', grid: 'rgba(255,255,255,0.06)', axis: 'rgba(255,255,255,0.25)', text: '#9fb7c8', cursor: 'rgba(255,255,255,0.6)', measure: '#ffffff' },
+    print: { background: '#ffffff', grid: '#e3e8ee', axis: '#8894a0', text: '#334', cursor: '#556', measure: '#111' }
+  };
+
+  /* ===========================
+     Ticks
+     =========================== */
+
+  // Round a range to 1, 2, 5 or 10 × 10^n
+  function niceNumber(range, round) {
+    const exponent = Math.floor(Math.log10(range));
+    const fraction = range / Math.pow(10, exponent);
+    let nice;
+    if (round) {
+      if (fraction < 1.5) nice = 1;
+      else if (fraction < 3) nice = 2;
+      else if (fraction < 7) nice = 5;
+      else nice = 10;
+    } else {
+      if (fraction <= 1) nice = 1;
+      else if (fraction <= 2) nice = 2;
+      else if (fraction <= 5) nice = 5;
+      else nice = 10;
+    }
+    return nice * Math.pow(10, exponent);
+  }
+
+  // Ticks covering [min, max]; the axis is widened to whole steps
+  function niceTicks(min, max, maxTicks = 6) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) { min = 0; max = 1; }
+    if (max <= min) max = min + 1;
+    const range = niceNumber(max - min, false);
+    const step = niceNumber(range / Math.max(1, maxTicks - 1), true);
+    const lo = Math.floor(min / step) * step;
+    const hi = Math.ceil(max / step - 1e-9) * step;
+    const ticks = [];
+    for (let v = lo; v <= hi + step / 2; v += step) ticks.push(Number(v.toPrecision(12)));
+    return { min: lo, max: hi, step, ticks };
+  }
+
+  // Exact axis range with the nice ticks that fall inside it (zoomed views)
+  function tightTicks(min, max, maxTicks) {
+    if (!(max > min)) return niceTicks(min, max, maxTicks);
+    const t = niceTicks(min, max, maxTicks);
+    const eps = t.step * 1e-9;
+    return { min, max, step: t.step, ticks: t.ticks.filter(v => v >= min - eps && v <= max + eps) };
+  }
+
+  // Enough decimals to tell neighbouring ticks apart
+  function formatTick(v, step) {
+    const decimals = step >= 1 ? 0 : Math.min(6, Math.ceil(-Math.log10(step)));
+    const s = v.toFixed(decimals);
+    return Math.abs(v) >= 10000 ? Number(s).toLocaleString('en-US') : s;
+  }
+
+  /* ===========================
+     Layout
+     =========================== */
+
+  function textWidth(ctx, text) {
+    if (ctx && ctx.measureText) {
+      const m = ctx.measureText(text);
+      if (m && Number.isFinite(m.width)) return m.width;
+    }
+    return String(text).length * 7;
+  }
+
+  function layoutPlot(plot, ctx) {
+    const w = plot.width;
+    const h = plot.height;
+    const xCount = Math.max(3, Math.floor(w / 90));
+    const yCount = Math.max(3, Math.floor(h / 45));
+    const xt = plot.tight
+      ? tightTicks(plot.xMin, plot.xMax, xCount)
+      : niceTicks(plot.xMin || 0, Math.max(plot.xMax || 0, 1e-9), xCount);
+    const yt = plot.tight
+      ? tightTicks(plot.yMin, plot.yMax, yCount)
+      : niceTicks(plot.yMin || 0, Math.max(plot.yMax || 0, 1e-9), yCount);
+    const yLabels = yt.ticks.map(v => formatTick(v, yt.step));
+    if (ctx) ctx.font = FONT;
+    let labelW = 0;
+    yLabels.forEach(s => { labelW = Math.max(labelW, textWidth(ctx, s)); });
+
+    const left = 22 + labelW + 6;  // rotated y title + tick labels
+    const right = 12;
+    const top = 24;                // legend row
+    const bottom = 36;             // tick labels + x title
+    const x0 = left, x1 = w - right;
+    const y0 = h - bottom, y1 = top;
+
+    const sx = (t) => x0 + ((t - xt.min) / (xt.max - xt.min)) * (x1 - x0);
+    const sy = (v) => y0 - ((v - yt.min) / (yt.max - yt.min)) * (y0 - y1);
+    const invertX = (px) => xt.min + ((px - x0) / (x1 - x0)) * (xt.max - xt.min);
+    const invertY = (py) => yt.min + ((y0 - py) / (y0 - y1)) * (yt.max - yt.min);
+
+    return {
+      x0, x1, y0, y1, sx, sy, invertX, invertY,
+      xMin: xt.min, xMax: xt.max, yMin: yt.min, yMax: yt.max,
+      xTicks: xt.ticks.map(v => ({ value: v, label: formatTick(v, xt.step) })),
+      yTicks: yt.ticks.map((v, i) => ({ value: v, label: yLabels[i] }))
+    };
+  }
+
+  // Same axes and plot area (an appended segment lines up with what is drawn)
+  function sameLayout(a, b) {
+    return !!a && !!b && ['x0', 'x1', 'y0', 'y1', 'xMin', 'xMax', 'yMin', 'yMax'].every(k => a[k] === b[k]);
+  }
+
+  /* Call fn(x, y) with the pixel position of each point of series `s` from index
+     `from` on. When there are more points than POINTS_PER_COLUMN per pixel column,
+     each column keeps only its first, lowest, highest and last point: the line
+     looks the same, with a few thousand segments instead of every sample. */
+  function tracePoints(plot, s, L, from, fn) {
+    const time = plot.time || [];
+    const tc = plot.timeConvert;
+    const vc = s.convert;
+    const n = Math.min(s.values.length, time.length);
+    const start = Math.max(0, from || 0);
+    const px = (i) => L.sx(tc ? tc(time[i]) : time[i]);
+    const py = (i) => L.sy(vc ? vc(s.values[i]) : s.values[i]);
+
+    if (n - start <= Math.max(1, L.x1 - L.x0) * POINTS_PER_COLUMN) {
+      for (let i = start; i < n; i++) fn(px(i), py(i));
+      return;
+    }
+    let column = NaN, first = -1, low = -1, high = -1, last = -1, lowY = 0, highY = 0;
+    const flush = () => {
+      if (first < 0) return;
+      let prev = -1;
+      [first, low, high, last].sort((a, b) => a - b).forEach(i => {
+        if (i !== prev) fn(px(i), py(i));
+        prev = i;
+      });
+    };
+    for (let i = start; i < n; i++) {
+      const c = Math.floor(px(i));
+      const y = py(i);
+      if (c !== column) {
+        flush();
+        column = c;
+        first = low = high = last = i;
+        lowY = highY = y;
+      } else {
+        last = i;
+        if (y < lowY) { lowY = y; low = i; }
+        if (y > highY) { highY = y; high = i; }
+      }
+    }
+    flush();
+  }
+
+  function strokeSeries(ctx, plot, s, L, from) {
+    let started = false;
+    ctx.beginPath();
+    tracePoints(plot, s, L, from, (x, y) => {
+      if (started) ctx.lineTo(x, y);
+      else { ctx.moveTo(x, y); started = true; }
+    });
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = s.width || 2.5;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+  }
+
+  function clipToPlot(ctx, L) {
+    ctx.beginPath();
+    ctx.rect(L.x0, L.y1 - 2, L.x1 - L.x0, L.y0 - L.y1 + 4);
+    ctx.clip();
+  }
+
+  /* ===========================
+     Canvas renderer
+     =========================== */
+
+  function drawPlot(ctx, plot) {
+    const theme = THEMES[plot.theme] || THEMES.dark;
+    const L = layoutPlot(plot, ctx);
+    const w = plot.width, h = plot.height;
+
+    ctx.save();
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, w, h);
+    ctx.font = FONT;
+
+    // shaded y bands with a boundary line and a label at the right edge
+    if (plot.bands && plot.bands.length) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(L.x0, L.y1, L.x1 - L.x0, L.y0 - L.y1);
+      ctx.clip();
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      plot.bands.forEach((b, i) => {
+        const top = L.sy(b.to), bottom = L.sy(b.from);
+        ctx.globalAlpha = BAND_ALPHA;
+        ctx.fillStyle = b.color;
+        ctx.fillRect(L.x0, top, L.x1 - L.x0, bottom - top);
+        ctx.globalAlpha = 1;
+        if (i > 0) {
+          ctx.strokeStyle = b.color;
+          ctx.setLineDash([2, 3]);
+          ctx.beginPath();
+          ctx.moveTo(L.x0, Math.round(bottom) + 0.5);
+          ctx.lineTo(L.x1, Math.round(bottom) + 0.5);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+        if (b.label && bottom - top >= 14) {
+          ctx.fillStyle = b.color;
+          ctx.fillText(b.label, L.x1 - 4, top + 2);
+        }
+      });
+      ctx.restore();
+    }
+
+    // gridlines
+    ctx.strokeStyle = theme.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    L.xTicks.forEach(t => { const x = Math.round(L.sx(t.value)) + 0.5; ctx.moveTo(x, L.y1); ctx.lineTo(x, L.y0); });
+    L.yTicks.forEach(t => { const y = Math.round(L.sy(t.value)) + 0.5; ctx.moveTo(L.x0, y); ctx.lineTo(L.x1, y); });
+    ctx.stroke();
+
+    // axes
+    ctx.strokeStyle = theme.axis;
+    ctx.beginPath();
+    ctx.moveTo(L.x0 + 0.5, L.y1);
+    ctx.lineTo(L.x0 + 0.5, L.y0 + 0.5);
+    ctx.lineTo(L.x1, L.y0 + 0.5);
+    ctx.stroke();
+
+    // tick labels
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    L.xTicks.forEach(t => ctx.fillText(t.label, L.sx(t.value), L.y0 + 4));
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    L.yTicks.forEach(t => ctx.fillText(t.label, L.x0 - 6, L.sy(t.value)));
+
+    // axis titles
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(plot.xLabel || '', (L.x0 + L.x1) / 2, h - 2);
+    ctx.save();
+    ctx.translate(12, (L.y0 + L.y1) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(plot.yLabel || '', 0, 0);
+    ctx.restore();
+
+    // series and measurement (clipped to the plot area)
+    ctx.save();
+    clipToPlot(ctx, L);
+    (plot.series || []).forEach(s => strokeSeries(ctx, plot, s, L, 0));
+
+    // measurement points and the line between them
+    if (plot.measure && plot.measure.length) {
+      ctx.strokeStyle = theme.measure;
+      ctx.fillStyle = theme.measure;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      plot.measure.forEach((m, i) => {
+        if (i === 0) ctx.moveTo(L.sx(m.x), L.sy(m.y)); else ctx.lineTo(L.sx(m.x), L.sy(m.y));
+      });
+      ctx.stroke();
+      plot.measure.forEach(m => {
+        ctx.beginPath();
+        ctx.arc(L.sx(m.x), L.sy(m.y), 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+    ctx.restore();
+
+    // replay / inspection cursor
+    if (Number.isFinite(plot.cursorX) && plot.cursorX >= L.xMin && plot.cursorX <= L.xMax) {
+      const x = L.sx(plot.cursorX);
+      ctx.strokeStyle = theme.cursor;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, L.y1);
+      ctx.lineTo(x, L.y0);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // legend, generated from the series
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    let lx = L.x0 + 4;
+    (plot.series || []).forEach(s => {
+      ctx.fillStyle = s.color;
+      ctx.fillRect(lx, 8, 10, 6);
+      ctx.fillStyle = theme.text;
+      ctx.fillText(s.name, lx + 14, 16);
+      lx += 14 + textWidth(ctx, s.name) + 14;
+    });
+
+    ctx.restore();
+    return L;
+  }
+
+  /* Draw samples from index `from` on (joined to sample from - 1) onto a plot drawn
+     earlier with layout L. The caller checks the axes haven't moved (sameLayout). */
+  function appendPlot(ctx, plot, L, from) {
+    ctx.save();
+    clipToPlot(ctx, L);
+    (plot.series || []).forEach(s => strokeSeries(ctx, plot, s, L, Math.max(0, from - 1)));
+    ctx.restore();
+    return L;
+  }
+
+  return {
+    THEMES,
+    BAND_ALPHA,
+    niceNumber,
+    niceTicks,
+    formatTick,
+    layoutPlot,
+    sameLayout,
+    tracePoints,
+    drawPlot,
+    appendPlot
+  };
+});
@@ -0,0 +1,179 @@
+/* graph-view.js
+   Zoom / pan / measure interaction for the simulation graphs (used by 1.js).
+   - A view is the visible data window: { xMin, xMax, yMin, yMax }; null = automatic
+   - Range helpers are pure (they return new views) and also load in Node
+   - createGraphInteraction() wires wheel zoom, pinch zoom, drag-to-pan,
+     double-click reset and measure clicks on one graph canvas
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.GraphView = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Smallest visible span per axis (data units) unless opts.minSpan says otherwise
+  const DEFAULT_MIN_SPAN = { x: 1e-6, y: 1e-6 };
+  // Zoom factor per wheel "notch" (100 px of deltaY)
+  const WHEEL_ZOOM = 1.25;
+  // Pointer travel (px) below which a press counts as a click, not a drag
+  const CLICK_SLOP_PX = 4;
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  /* ===========================
+     Pure view helpers
+     =========================== */
+
+  // Scale [min, max] by factor (< 1 zooms in) keeping `center` fixed on screen
+  function zoomRange(min, max, center, factor, minSpan = 0) {
+    const span = Math.max((max - min) * factor, minSpan);
+    const ratio = (max - min) > 0 ? (center - min) / (max - min) : 0.5;
+    const lo = center - span * ratio;
+    return [lo, lo + span];
+  }
+
+  // Zoom a view around a data point; axes = 'x', 'y' or 'xy'
+  function zoomView(view, point, factor, axes = 'xy', minSpan = {}) {
+    const out = { ...view };
+    if (axes.includes('x')) [out.xMin, out.xMax] = zoomRange(view.xMin, view.xMax, point.x, factor, minSpan.x);
+    if (axes.includes('y')) [out.yMin, out.yMax] = zoomRange(view.yMin, view.yMax, point.y, factor, minSpan.y);
+    return out;
+  }
+
+  // Shift a view by a data-space offset
+  function panView(view, dx, dy) {
+    return { xMin: view.xMin + dx, xMax: view.xMax + dx, yMin: view.yMin + dy, yMax: view.yMax + dy };
+  }
+
+  /* ===========================
+     Interaction wiring (browser only)
+     opts = {
+       canvas,
+       getLayout: () => graph-plot.js layout of the last draw (or null),
+       getView, setView(view | null),
+       isMeasuring: () => boolean, onMeasure({ x, y }) in CSS px,
+       onInteract() (e.g. hide a tooltip while dragging),
+       minSpan?: { x, y } smallest zoomed span in data units
+     }
+     =========================== */
+
+  // Pointer position in the canvas' CSS pixel space (the space layouts use)
+  function canvasPoint(canvas, ev) {
+    const rect = canvas.getBoundingClientRect();
+    const cssWidth = canvas.width / ((typeof window !== 'undefined' && window.devicePixelRatio) || 1);
+    const cssHeight = canvas.height / ((typeof window !== 'undefined' && window.devicePixelRatio) || 1);
+    return {
+      x: (ev.clientX - rect.left) * cssWidth / Math.max(rect.width, 1),
+      y: (ev.clientY - rect.top) * cssHeight / Math.max(rect.height, 1)
+    };
+  }
+
+  function createGraphInteraction(opts) {
+    const { canvas, getLayout, getView, setView } = opts;
+    const pointers = new Map(); // pointerId -> { x, y } in CSS px
+    let drag = null;            // { start: {x, y}, view, layout, moved }
+    let pinch = null;           // { distance, view, layout, mid }
+    const minSpan = { ...DEFAULT_MIN_SPAN, ...(opts.minSpan || {}) };
+
+    // Current view; before any zoom this is the automatic axis range of the last draw
+    function currentView(layout) {
+      return getView() || { xMin: layout.xMin, xMax: layout.xMax, yMin: layout.yMin, yMax: layout.yMax };
+    }
+
+    function inPlot(p, layout) {
+      return p.x >= layout.x0 && p.x <= layout.x1 && p.y >= layout.y1 && p.y <= layout.y0;
+    }
+
+    function interacted() { if (opts.onInteract) opts.onInteract(); }
+
+    canvas.addEventListener('wheel', (ev) => {
+      const layout = getLayout();
+      if (!layout) return;
+      const p = canvasPoint(canvas, ev);
+      if (!inPlot(p, layout)) return;
+      ev.preventDefault();
+      const factor = Math.pow(WHEEL_ZOOM, clamp(ev.deltaY / 100, -3, 3));
+      // shift zooms the value axis only, alt the time axis only
+      const axes = ev.shiftKey ? 'y' : (ev.altKey ? 'x' : 'xy');
+      setView(zoomView(currentView(layout), { x: layout.invertX(p.x), y: layout.invertY(p.y) }, factor, axes, minSpan));
+      interacted();
+    }, { passive: false });
+
+    canvas.addEventListener('pointerdown', (ev) => {
+      const layout = getLayout();
+      if (!layout) return;
+      const p = canvasPoint(canvas, ev);
+      pointers.set(ev.pointerId, p);
+      if (canvas.setPointerCapture) canvas.setPointerCapture(ev.pointerId);
+
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), view: currentView(layout), layout, mid };
+        drag = null;
+      } else if (pointers.size === 1) {
+        drag = { start: p, view: currentView(layout), layout, moved: false };
+      }
+    });
+
+    canvas.addEventListener('pointermove', (ev) => {
+      if (!pointers.has(ev.pointerId)) return;
+      const p = canvasPoint(canvas, ev);
+      pointers.set(ev.pointerId, p);
+
+      if (pinch && pointers.size >= 2) {
+        const [a, b] = [...pointers.values()];
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        if (distance < 1 || pinch.distance < 1) return;
+        const L = pinch.layout;
+        const center = { x: L.invertX(pinch.mid.x), y: L.invertY(pinch.mid.y) };
+        setView(zoomView(pinch.view, center, pinch.distance / distance, 'xy', minSpan));
+        interacted();
+        return;
+      }
+
+      if (!drag) return;
+      const dxPx = p.x - drag.start.x;
+      const dyPx = p.y - drag.start.y;
+      if (!drag.moved && Math.hypot(dxPx, dyPx) < CLICK_SLOP_PX) return;
+      drag.moved = true;
+      if (opts.isMeasuring && opts.isMeasuring()) return; // measuring: presses are clicks only
+      const L = drag.layout;
+      const dx = -dxPx * (L.xMax - L.xMin) / Math.max(L.x1 - L.x0, 1);
+      const dy = dyPx * (L.yMax - L.yMin) / Math.max(L.y0 - L.y1, 1);
+      setView(panView(drag.view, dx, dy));
+      canvas.style.cursor = 'grabbing';
+      interacted();
+    });
+
+    function release(ev) {
+      if (!pointers.has(ev.pointerId)) return;
+      pointers.delete(ev.pointerId);
+      if (pointers.size < 2) pinch = null;
+      if (drag && !drag.moved && ev.type === 'pointerup' && opts.isMeasuring && opts.isMeasuring()) {
+        const layout = getLayout();
+        const p = canvasPoint(canvas, ev);
+        if (layout && inPlot(p, layout)) opts.onMeasure(p);
+      }
+      drag = null;
+      canvas.style.cursor = '';
+    }
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    canvas.addEventListener('dblclick', () => {
+      if (opts.isMeasuring && opts.isMeasuring()) return;
+      setView(null);
+    });
+  }
+
+  return {
+    zoomRange,
+    zoomView,
+    panView,
+    canvasPoint,
+    createGraphInteraction
+  };
+});
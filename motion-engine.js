@@ -0,0 +1,538 @@
+/* motion-engine.js
+   Headless simulation engine for the motion race (used by 1.js).
+   - Pure JS, no DOM, no clocks: time only moves when step(dt) / advance(dt) is called
+   - Fixed timestep with selectable integrators (Euler, semi-implicit, RK4):
+     the same settings give the same race on every machine, whatever the frame rate
+   - Positions in meters, speeds in m/s, time in seconds
+   - Zones are fractions of the track distance
+   - Track modes: one-way (finish at the far end), return (turn around at the
+     far end and finish back at the start) and bounce (reflect off both ends
+     for the whole run). Each object keeps a heading (+1 / -1), so velocity is
+     signed; position is its displacement from the start and distance is the
+     total path length it has covered.
+   - Two force models:
+       arcade  - each object eases toward a target speed (distance / time)
+       physics - Newton's second law: a = (F_applied - μk·m·g - k·v²) / m,
+                 with zones scaling the applied force
+   - Finish times are interpolated inside the step that crosses the line;
+     raceResults() turns a state into winner / margin / average and max speeds
+   - createRecorder() keeps every step (position, velocity, distance, zone per object) for replay;
+     with maxFrames it stays bounded by keeping every other frame when full
+   - Loads as a plain <script> (window.MotionEngine) or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.MotionEngine = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Default track layout (fractions of the race distance)
+  const DEFAULT_ZONES = [
+    { name: 'normal', color: '#00e6ff', multiplier: 1.0, start: 0.0, end: 0.45 },
+    { name: 'boost', color: '#39ff7f', multiplier: 1.5, start: 0.45, end: 0.7 },
+    { name: 'slow', color: '#ff7a3d', multiplier: 0.6, start: 0.7, end: 1.0 }
+  ];
+
+  // Fixed physics step (seconds) and the integrators step() understands
+  const DEFAULT_FIXED_DT = 1 / 120;
+  const MAX_FRAME_DT = 0.25;
+  const INTEGRATORS = ['euler', 'semi-implicit', 'rk4'];
+  const MODELS = ['arcade', 'physics'];
+  const TRACK_MODES = ['one-way', 'return', 'bounce'];
+
+  // Gravitational acceleration for the physics model (m/s²)
+  const G = 9.8;
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function safeNumber(n, fallback = 0) { return (typeof n === 'number' && Number.isFinite(n)) ? n : fallback; }
+
+  function computeBaseSpeedMs(distance_m, time_s) {
+    const t = Math.max(0.000001, time_s);
+    return distance_m / t;
+  }
+
+  // First zone containing the fraction, or null outside every zone
+  function zoneAt(zones, fraction) {
+    for (const z of zones) {
+      if (fraction >= z.start && fraction < z.end) return z;
+    }
+    return null;
+  }
+
+  function copyZones(zones) {
+    return (zones || DEFAULT_ZONES).map(z => ({ ...z }));
+  }
+
+  function makeBody(def) {
+    return {
+      id: String(def.id),
+      mass: safeNumber(def.mass, 10),           // kg
+      friction: safeNumber(def.friction, 5),    // %
+      baseOffset: safeNumber(def.baseOffset, 0),
+      position: 0,     // meters from the start line (displacement)
+      speed: 0,        // m/s, always >= 0
+      heading: 1,      // +1 toward the far end, -1 back toward the start
+      distance: 0,     // meters of path covered, whatever the direction
+      turns: 0,        // times the object has turned around at an end
+      targetSpeed: 0,  // m/s
+      zone: null,      // name of the zone under the object
+      finished: false,
+      finishTime: null, // s, interpolated crossing time
+      maxSpeed: 0,      // m/s, highest speed so far
+      stalled: false    // physics model: at rest and the push can't beat friction
+    };
+  }
+
+  /* ===========================
+     Engine factory
+     config = { distance_m, time_s, zones, fixedDt, integrator,
+                model, force_N, mu_k, drag_k, trackMode,
+                objects: [{ id, mass, friction, baseOffset }] }
+     force_N, mu_k and drag_k (air drag coefficient, N per (m/s)²) only
+     matter in the physics model; baseOffset scales the applied force there.
+     Every per-object property (mass, friction, offset) is owned by the object.
+     Speed is the size of the velocity; forces and target speeds act along the
+     object's heading, so turning around keeps the speed and flips the sign.
+     =========================== */
+
+  function createEngine(config = {}) {
+    const params = {
+      distance_m: safeNumber(config.distance_m, 100),
+      time_s: safeNumber(config.time_s, 10),
+      model: MODELS.includes(config.model) ? config.model : 'arcade',
+      force_N: Math.max(0, safeNumber(config.force_N, 50)),
+      mu_k: Math.max(0, safeNumber(config.mu_k, 0.1)),
+      drag_k: Math.max(0, safeNumber(config.drag_k, 0)),
+      trackMode: TRACK_MODES.includes(config.trackMode) ? config.trackMode : 'one-way'
+    };
+    let zones = copyZones(config.zones);
+    let bodies = (config.objects || []).map(makeBody);
+    let time = 0;
+    let stepCount = 0;
+    let accumulator = 0;
+    const fixedDt = clamp(safeNumber(config.fixedDt, DEFAULT_FIXED_DT), 0.0001, 0.1);
+    let integrator = INTEGRATORS.includes(config.integrator) ? config.integrator : 'semi-implicit';
+
+    // Arcade model: friction lowers the cruising speed an object eases toward
+    function computeTargetSpeeds() {
+      const baseMs = computeBaseSpeedMs(params.distance_m, params.time_s);
+      bodies.forEach(b => {
+        const frictionFactor = 1 - clamp(b.friction / 200, 0, 0.9);
+        b.targetSpeed = baseMs * (1.0 + b.baseOffset) * frictionFactor;
+      });
+    }
+
+    function zoneFor(position) {
+      return zoneAt(zones, position / Math.max(params.distance_m, 0.0001));
+    }
+
+    /* Forces (N) on a body in the physics model. Kinetic friction opposes
+       motion; at rest, static friction cancels a push it can hold (net 0). */
+    function forcesAt(b, position, speed) {
+      const zone = zoneFor(position);
+      const applied = params.force_N * (1.0 + b.baseOffset) * (zone ? zone.multiplier : 1.0);
+      const maxFriction = params.mu_k * b.mass * G;
+      const drag = params.drag_k * speed * speed;
+      if (speed <= 0 && applied <= maxFriction) {
+        return { applied, friction: applied, drag: 0, net: 0, acceleration: 0 };
+      }
+      const net = applied - maxFriction - drag;
+      return { applied, friction: maxFriction, drag, net, acceleration: net / b.mass };
+    }
+
+    // dv/dt for a body at a given position and speed
+    function accelAt(b, position, speed) {
+      if (params.model === 'physics') return forcesAt(b, position, speed).acceleration;
+
+      const zone = zoneFor(position);
+      const zoneTarget = b.targetSpeed * (zone ? zone.multiplier : 1.0);
+
+      // mass influences acceleration responsiveness
+      const massFactor = clamp(b.mass / 10, 0.5, 50);
+
+      // acceleration toward target speed
+      const accel = (zoneTarget - speed) / massFactor;
+
+      // friction proportional to object-specific friction slider
+      const frictionResistance = (b.friction / 100) * 0.8 * speed;
+
+      return accel - frictionResistance * 0.01;
+    }
+
+    // Speed changes by accelAt(); position moves along the heading (h = ±1)
+    function integrate(b, dt) {
+      const x = b.position;
+      const v = b.speed;
+      const h = b.heading;
+
+      if (integrator === 'euler') {
+        b.position = x + h * v * dt;
+        b.speed = v + accelAt(b, x, v) * dt;
+      } else if (integrator === 'rk4') {
+        const k1x = v;
+        const k1v = accelAt(b, x, v);
+        const k2x = v + k1v * dt / 2;
+        const k2v = accelAt(b, x + h * k1x * dt / 2, k2x);
+        const k3x = v + k2v * dt / 2;
+        const k3v = accelAt(b, x + h * k2x * dt / 2, k3x);
+        const k4x = v + k3v * dt;
+        const k4v = accelAt(b, x + h * k3x * dt, k4x);
+        b.position = x + h * (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x);
+        b.speed = v + (dt / 6) * (k1v + 2 * k2v + 2 * k3v + k4v);
+      } else {
+        // semi-implicit Euler: new speed first, then move with it
+        b.speed = v + accelAt(b, x, v) * dt;
+        b.position = x + h * b.speed * dt;
+      }
+    }
+
+    // Park a body on the line it just crossed; frac = how far into the step
+    function finishBody(b, line, frac, dt, t0, v0) {
+      b.finishTime = t0 + frac * dt;
+      b.maxSpeed = Math.max(b.maxSpeed, v0 + frac * (b.speed - v0));
+      b.position = line;
+      b.speed = 0;
+      b.finished = true;
+    }
+
+    // t0 = time at the start of this step
+    function stepBody(b, dt, t0) {
+      if (b.finished) return;
+
+      const zone = zoneFor(b.position);
+      b.zone = zone ? zone.name : null;
+
+      const x0 = b.position;
+      const v0 = b.speed;
+      const end = params.distance_m;
+      integrate(b, dt);
+      b.speed = Math.max(0, b.speed);
+      // linear interpolation inside the step: when (and how fast) a line was crossed
+      const crossing = (line) => (b.position !== x0 ? clamp((line - x0) / (b.position - x0), 0, 1) : 1);
+
+      if (b.heading > 0 && b.position >= end) {
+        if (params.trackMode === 'one-way') {
+          b.distance += end - x0;
+          finishBody(b, end, crossing(end), dt, t0, v0);
+        } else {
+          // turn around at the far end: the overshoot is travelled on the way back
+          b.distance += b.position - x0;
+          b.position = Math.max(0, 2 * end - b.position);
+          b.heading = -1;
+          b.turns++;
+          b.maxSpeed = Math.max(b.maxSpeed, b.speed);
+        }
+      } else if (b.heading < 0 && b.position <= 0) {
+        if (params.trackMode === 'return') {
+          b.distance += x0;
+          finishBody(b, 0, crossing(0), dt, t0, v0);
+        } else {
+          b.distance += x0 - b.position;
+          b.position = Math.min(end, -b.position);
+          b.heading = 1;
+          b.turns++;
+          b.maxSpeed = Math.max(b.maxSpeed, b.speed);
+        }
+      } else {
+        b.distance += Math.abs(b.position - x0);
+        b.maxSpeed = Math.max(b.maxSpeed, b.speed);
+      }
+      b.stalled = !b.finished && params.model === 'physics' && b.speed <= 0 &&
+        forcesAt(b, b.position, 0).net <= 0;
+    }
+
+    function getState() {
+      return {
+        time,
+        step: stepCount,
+        objects: bodies.map(b => ({
+          id: b.id,
+          position: b.position,
+          speed: b.speed,
+          velocity: b.heading * b.speed, // m/s, negative on the way back
+          heading: b.heading,
+          distance: b.distance,
+          turns: b.turns,
+          targetSpeed: b.targetSpeed,
+          zone: b.zone,
+          finished: b.finished,
+          finishTime: b.finishTime,
+          maxSpeed: b.maxSpeed,
+          stalled: b.stalled,
+          // physics model only: { applied, friction, drag, net, acceleration }
+          forces: params.model === 'physics' && !b.finished ? forcesAt(b, b.position, b.speed) : null
+        }))
+      };
+    }
+
+    // Advance every object by dt seconds and return the new state
+    function step(dt) {
+      const h = Math.max(0, safeNumber(dt, 0));
+      computeTargetSpeeds();
+      bodies.forEach(b => stepBody(b, h, time));
+      time += h;
+      stepCount++;
+      return getState();
+    }
+
+    /* Feed real frame time; only whole fixed steps are simulated and the
+       remainder carries over, so frame rate never changes the outcome.
+       shouldStop(state) ends the frame early (e.g. race over). */
+    function advance(frameDt, shouldStop) {
+      accumulator += clamp(safeNumber(frameDt, 0), 0, MAX_FRAME_DT);
+      const states = [];
+      while (accumulator >= fixedDt) {
+        accumulator -= fixedDt;
+        const state = step(fixedDt);
+        states.push(state);
+        if (shouldStop && shouldStop(state)) {
+          accumulator = 0;
+          break;
+        }
+      }
+      return states;
+    }
+
+    function reset() {
+      time = 0;
+      stepCount = 0;
+      accumulator = 0;
+      bodies.forEach(b => {
+        b.position = 0;
+        b.speed = 0;
+        b.heading = 1;
+        b.distance = 0;
+        b.turns = 0;
+        b.zone = null;
+        b.finished = false;
+        b.finishTime = null;
+        b.maxSpeed = 0;
+        b.stalled = false;
+      });
+      computeTargetSpeeds();
+      return getState();
+    }
+
+    function setParams(patch = {}) {
+      if (patch.distance_m !== undefined) params.distance_m = Math.max(0.0001, safeNumber(patch.distance_m, params.distance_m));
+      if (patch.time_s !== undefined) params.time_s = Math.max(0.000001, safeNumber(patch.time_s, params.time_s));
+      if (MODELS.includes(patch.model)) params.model = patch.model;
+      if (patch.force_N !== undefined) params.force_N = Math.max(0, safeNumber(patch.force_N, params.force_N));
+      if (patch.mu_k !== undefined) params.mu_k = Math.max(0, safeNumber(patch.mu_k, params.mu_k));
+      if (patch.drag_k !== undefined) params.drag_k = Math.max(0, safeNumber(patch.drag_k, params.drag_k));
+      if (TRACK_MODES.includes(patch.trackMode)) params.trackMode = patch.trackMode;
+      computeTargetSpeeds();
+    }
+
+    function setIntegrator(name) {
+      if (INTEGRATORS.includes(name)) integrator = name;
+    }
+
+    function setZones(list) {
+      zones = copyZones(list);
+    }
+
+    function addObject(def) {
+      if (bodies.some(o => o.id === String(def.id))) return;
+      bodies.push(makeBody(def));
+      computeTargetSpeeds();
+    }
+
+    function removeObject(id) {
+      bodies = bodies.filter(o => o.id !== String(id));
+    }
+
+    function updateObject(id, patch = {}) {
+      const b = bodies.find(o => o.id === String(id));
+      if (!b) return;
+      if (patch.mass !== undefined) b.mass = safeNumber(patch.mass, b.mass);
+      if (patch.friction !== undefined) b.friction = safeNumber(patch.friction, b.friction);
+      if (patch.baseOffset !== undefined) b.baseOffset = safeNumber(patch.baseOffset, b.baseOffset);
+      computeTargetSpeeds();
+    }
+
+    // Run fixed steps until every object finishes (or stalls) or maxTime passes (for tests and tooling)
+    function run(maxTime) {
+      const states = [];
+      while (time < maxTime && !bodies.every(b => b.finished || b.stalled)) {
+        states.push(step(fixedDt));
+      }
+      return states;
+    }
+
+    computeTargetSpeeds();
+
+    return {
+      step,
+      advance,
+      run,
+      reset,
+      getState,
+      setParams,
+      setZones,
+      setIntegrator,
+      addObject,
+      removeObject,
+      updateObject,
+      getIntegrator: () => integrator,
+      fixedDt,
+      getParams: () => ({ ...params }),
+      getZones: () => copyZones(zones)
+    };
+  }
+
+  /* ===========================
+     Race results from an engine state
+     { time, winner: id | 'tie' | null, margin: s between first and second | null,
+       timedOut: true when someone never finished,
+       rows: [{ id, place, finished, stalled, finishTime, distance, displacement,
+                averageSpeed, averageVelocity, maxSpeed }] }
+     averageSpeed = distance ÷ time and averageVelocity = displacement ÷ time
+     (finish time, or race time for unfinished objects); they differ once an
+     object turns around. In bounce mode no one finishes: rows rank by distance.
+     =========================== */
+
+  // Finish times closer than this count as a tie (s)
+  const TIE_EPSILON = 1e-6;
+
+  function raceResults(state) {
+    const rows = state.objects.map(o => {
+      const t = o.finished ? o.finishTime : state.time;
+      return {
+        id: o.id,
+        place: null,
+        finished: !!o.finished,
+        stalled: !!o.stalled,
+        finishTime: o.finished ? o.finishTime : null,
+        distance: o.distance,
+        displacement: o.position,
+        averageSpeed: t > 0 ? o.distance / t : 0,
+        averageVelocity: t > 0 ? o.position / t : 0,
+        maxSpeed: o.maxSpeed || 0
+      };
+    });
+
+    // finishers by time, then the rest by distance covered
+    rows.sort((a, b) => {
+      if (a.finished !== b.finished) return a.finished ? -1 : 1;
+      return a.finished ? a.finishTime - b.finishTime : b.distance - a.distance;
+    });
+    rows.forEach((r, i) => {
+      const prev = rows[i - 1];
+      const tied = prev && r.finished && prev.finished && Math.abs(r.finishTime - prev.finishTime) < TIE_EPSILON;
+      r.place = tied ? prev.place : i + 1;
+    });
+
+    const finishers = rows.filter(r => r.finished);
+    let winner = null;
+    let margin = null;
+    if (finishers.length) {
+      const tiedFirst = finishers.filter(r => r.place === 1);
+      winner = tiedFirst.length > 1 ? 'tie' : tiedFirst[0].id;
+      if (finishers.length > 1) margin = finishers[1].finishTime - finishers[0].finishTime;
+    }
+
+    return { time: state.time, winner, margin, timedOut: rows.some(r => !r.finished), rows };
+  }
+
+  /* ===========================
+     Recorder: one frame per engine step, stored column-wise
+     =========================== */
+
+  /* options = { maxFrames? }. Once maxFrames frames are stored, every other one
+     is dropped and from then on only every `stride`-th pushed state is kept
+     (doubling each time it fills up again), so a long run never outgrows it. */
+  function createRecorder(options = {}) {
+    const maxFrames = options.maxFrames || Infinity;
+    let times = [];
+    let series = {}; // id -> { position: [], velocity: [], distance: [], zone: [] }
+    let stride = 1;
+    let pushed = 0;
+
+    function halve() {
+      const keep = (list) => list.filter((v, i) => i % 2 === 0);
+      times = keep(times);
+      Object.keys(series).forEach(id => {
+        const s = series[id];
+        Object.keys(s).forEach(k => { s[k] = keep(s[k]); });
+      });
+      stride *= 2;
+    }
+
+    // keep = store this state even between strides (e.g. the last one of a run)
+    function push(state, keep) {
+      if (pushed++ % stride !== 0 && !keep) return;
+      if (times.length >= maxFrames) halve();
+      times.push(state.time);
+      state.objects.forEach(o => {
+        if (!series[o.id]) series[o.id] = { position: [], velocity: [], distance: [], zone: [] };
+        const s = series[o.id];
+        s.position.push(o.position);
+        s.velocity.push(o.velocity);
+        s.distance.push(o.distance);
+        s.zone.push(o.zone);
+      });
+    }
+
+    function frameAt(i) {
+      const idx = clamp(Math.round(i), 0, Math.max(0, times.length - 1));
+      return {
+        index: idx,
+        time: times[idx] || 0,
+        objects: Object.keys(series).map(id => ({
+          id,
+          position: series[id].position[idx],
+          velocity: series[id].velocity[idx],
+          speed: Math.abs(series[id].velocity[idx]),
+          distance: series[id].distance[idx],
+          zone: series[id].zone[idx]
+        }))
+      };
+    }
+
+    // Last frame at or before time t (binary search; times are increasing)
+    function indexAtTime(t) {
+      let lo = 0, hi = times.length - 1;
+      if (hi < 0) return 0;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (times[mid] <= t) lo = mid; else hi = mid - 1;
+      }
+      return lo;
+    }
+
+    function clear() {
+      times = [];
+      series = {};
+      stride = 1;
+      pushed = 0;
+    }
+
+    return {
+      push,
+      frameAt,
+      indexAtTime,
+      clear,
+      get length() { return times.length; },
+      // pushed states per stored frame
+      get stride() { return stride; },
+      get duration() { return times.length ? times[times.length - 1] : 0; }
+    };
+  }
+
+  return {
+    DEFAULT_ZONES,
+    DEFAULT_FIXED_DT,
+    INTEGRATORS,
+    MODELS,
+    TRACK_MODES,
+    G,
+    createEngine,
+    createRecorder,
+    raceResults,
+    computeBaseSpeedMs,
+    zoneAt
+  };
+});
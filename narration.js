@@ -0,0 +1,145 @@
+/* narration.js
+   Screen-reader narration of a run (used by 1.js).
+   - createNarrator() compares successive motion-engine.js states and turns them
+     into short sentences: zone entries, overtakes and finishes
+     ("A entered boost zone at 4.2 s."); 1.js adds the final summary
+   - Throttled: at most one announcement every `minInterval` ms. Messages that
+     pile up in between are spoken together, and when there are too many the
+     least important (zone entries, then overtakes) are dropped first
+   - No DOM: the caller passes speak(text); loads as window.Narration or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Narration = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Higher is more important; 'summary' is never dropped
+  const PRIORITY = { zone: 0, overtake: 1, finish: 2, summary: 3 };
+  const DEFAULT_MIN_INTERVAL = 1500;
+  const DEFAULT_MAX_BATCH = 3;
+  // Two objects count as level until one is this far (m) ahead, so a near-tie doesn't flicker
+  const OVERTAKE_GAP_M = 0.05;
+
+  function ordinal(n) {
+    const tens = n % 100;
+    const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+  }
+
+  /* options = { speak(text), minInterval?, maxBatch?, formatTime?(seconds), now?() }
+     -> { observe(state), announce(text, kind), reset(), setEnabled(on), pending() } */
+  function createNarrator(options) {
+    const speak = options.speak;
+    const minInterval = options.minInterval === undefined ? DEFAULT_MIN_INTERVAL : options.minInterval;
+    const maxBatch = options.maxBatch || DEFAULT_MAX_BATCH;
+    const formatTime = options.formatTime || (t => `${t.toFixed(1)} s`);
+    const now = options.now || (() => Date.now());
+
+    let enabled = true;
+    let queue = [];        // [{ text, priority, seq }]
+    let seq = 0;
+    let lastSpoken = -Infinity;
+    let timer = null;
+    let previous = null;   // id -> { zone, finished, distance }
+    let ahead = {};        // 'A|B' -> 1 when A leads B, -1 when B leads A
+    let finishedCount = 0;
+
+    function flush() {
+      timer = null;
+      if (!queue.length) return;
+      const wait = lastSpoken + minInterval - now();
+      if (wait > 0) {
+        timer = setTimeout(flush, wait);
+        return;
+      }
+      // keep the most important messages, then read them in the order they happened
+      const chosen = queue.slice()
+        .sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq))
+        .filter((m, i) => i < maxBatch || m.priority === PRIORITY.summary)
+        .sort((a, b) => a.seq - b.seq);
+      const dropped = queue.length - chosen.length;
+      queue = [];
+      lastSpoken = now();
+      let text = chosen.map(m => m.text).join(' ');
+      if (dropped > 0) text += ` (${dropped} more event${dropped === 1 ? '' : 's'} skipped.)`;
+      speak(text);
+    }
+
+    function announce(text, kind = 'summary') {
+      if (!enabled || !text) return;
+      queue.push({ text, priority: PRIORITY[kind] === undefined ? PRIORITY.summary : PRIORITY[kind], seq: seq++ });
+      if (!timer) flush();
+    }
+
+    // Look for events between the last state and this one
+    function observe(state) {
+      const objects = state.objects;
+      const first = previous === null;
+      const next = {};
+      objects.forEach(o => {
+        next[o.id] = { zone: o.zone, finished: o.finished, distance: o.distance };
+        const before = previous && previous[o.id];
+        if (first || !before) return;
+        if (o.finished && !before.finished) {
+          finishedCount++;
+          announce(`${o.id} finished ${ordinal(finishedCount)} at ${formatTime(o.finishTime)}.`, 'finish');
+        } else if (!o.finished && o.zone && o.zone !== before.zone && (before.zone || before.distance > 0)) {
+          // (the zone under the start line is set on the first step, not entered)
+          announce(`${o.id} entered ${o.zone} zone at ${formatTime(state.time)}.`, 'zone');
+        }
+      });
+
+      // overtakes: the order of distance travelled changes for a pair still racing
+      for (let i = 0; i < objects.length; i++) {
+        for (let j = i + 1; j < objects.length; j++) {
+          const a = objects[i], b = objects[j];
+          const gap = a.distance - b.distance;
+          if (Math.abs(gap) < OVERTAKE_GAP_M) continue;
+          const key = `${a.id}|${b.id}`;
+          const order = gap > 0 ? 1 : -1;
+          if (ahead[key] && ahead[key] !== order && !a.finished && !b.finished) {
+            const [passer, passed] = order > 0 ? [a, b] : [b, a];
+            announce(`${passer.id} overtook ${passed.id} at ${formatTime(state.time)}.`, 'overtake');
+          }
+          ahead[key] = order;
+        }
+      }
+      previous = next;
+    }
+
+    // Forget the run (and anything not yet spoken)
+    function reset() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      queue = [];
+      previous = null;
+      ahead = {};
+      finishedCount = 0;
+    }
+
+    function setEnabled(on) {
+      enabled = !!on;
+      if (!enabled) {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        queue = [];
+      }
+    }
+
+    return {
+      observe,
+      announce,
+      reset,
+      setEnabled,
+      pending: () => queue.map(m => m.text)
+    };
+  }
+
+  return {
+    PRIORITY,
+    createNarrator
+  };
+});
@@ -0,0 +1,612 @@
+/* question-bank.js
+   Quiz question banks (used by 6.js).
+   - A bank is plain JSON, so one quiz page can serve every topic:
+       {
+         id, title, description?,
+         settings?: {
+           shuffle_questions?: true, shuffle_options?: true,
+           draw_per_topic?: N,          // draw N random questions from each topic's pool
+           draw?: { topic: N, ... }     // per-topic counts (override draw_per_topic; 0 skips a topic)
+         },
+         questions: [
+           { id, topic, difficulty?: 'easy' | 'medium' | 'hard',
+             prompt, options: [text, ...], answer: index of the right option,
+             explanation, shuffle_options?: true },
+           { id, topic, difficulty?, type: 'numeric',
+             prompt: 'A tricycle goes {d} km in {t} minutes. What is its speed?',
+             quantity: 'distance' | 'time' | 'speed',
+             params?: { d: { min, max, step }, t: [5, 10, 15] },   // drawn per student
+             answer: 12 | 'd / (t / 60)',     // a number, or a formula of the params (expression.js)
+             unit: 'km/h',                    // unit of the answer (units.js)
+             units?: ['km/h', 'm/s'],         // units the student may pick (default: all)
+             tolerance_pct?: 2,
+             explanation: 'speed = {d} km ÷ ({t} ÷ 60) h = {answer} km/h.' }
+         ]
+       }
+   - parseBank() validates a bank and returns a clean copy; errors are readable sentences
+   - bankUrl() turns a ?bank= name into a file under banks/ (names only, no paths or URLs)
+   - buildQuiz(bank, seed) draws, orders and shuffles with a seeded mulberry32 generator,
+     remaps each answer index and picks the numbers of parameterized questions, so the
+     same bank + seed always gives the same quiz
+   - grade() marks a response; numeric answers are compared in SI units, so 3.33 m/s
+     counts for an answer of 12 km/h (within tolerance_pct)
+   - BUILT_IN is the Grade 7 motion & speed set; 6.js falls back to it
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./units.js'), require('./expression.js'));
+  else root.QuestionBank = factory(root.Units, root.Expression);
+})(typeof self !== 'undefined' ? self : this, function (Units, Expression) {
+  'use strict';
+
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+  const DEFAULT_DIFFICULTY = 'medium';
+  const MAX_QUESTIONS = 200;
+  const MAX_OPTIONS = 8;
+  const BANK_DIR = 'banks/';
+  const NAME_RE = /^[a-z0-9_-]{1,40}$/i;
+  const MAX_SEED = 0xffffffff;
+  const TYPES = ['choice', 'numeric'];
+  const QUANTITIES = ['distance', 'time', 'speed'];
+  const DEFAULT_TOLERANCE_PCT = 2;
+  const MAX_PARAM_VALUES = 1000;
+  const PARAM_RE = /^[a-z_][a-z0-9_]{0,19}$/i;
+  const PLACEHOLDER_RE = /\{([a-z_][a-z0-9_]*)\}/gi;
+
+  const BUILT_IN = {
+    id: 'motion-speed',
+    title: 'Motion & Speed Quiz',
+    description: 'K–12 DepEd PH — Physics',
+    questions: [
+      {
+        id: 'motion-definition',
+        topic: 'motion',
+        difficulty: 'easy',
+        prompt: 'Which of the following best describes motion?',
+        options: [
+          'A change in direction only',
+          'A change in speed only',
+          'A change in position relative to a reference point',
+          'Staying in the same place over time'
+        ],
+        answer: 2,
+        explanation: 'Motion is a change in position relative to a reference point.'
+      },
+      {
+        id: 'motion-example',
+        topic: 'motion',
+        difficulty: 'easy',
+        prompt: 'Which situation shows that an object is in motion?',
+        options: [
+          'A parked car beside a tree',
+          'A book sitting on a table',
+          'A student walking past a stationary pole',
+          'A chair in the classroom'
+        ],
+        answer: 2,
+        explanation: 'The student changes position relative to the pole, showing motion.'
+      },
+      {
+        id: 'speed-quantities',
+        topic: 'speed',
+        difficulty: 'easy',
+        prompt: 'What two quantities are needed to determine speed?',
+        options: [
+          'Mass and time',
+          'Distance and time',
+          'Force and distance',
+          'Distance and direction'
+        ],
+        answer: 1,
+        explanation: 'Speed is calculated using distance divided by time.'
+      },
+      {
+        id: 'constant-speed-runner',
+        topic: 'speed-changes',
+        difficulty: 'easy',
+        prompt: 'A runner travels the same distance every second. This means the runner is moving with…',
+        options: [
+          'Speeding up',
+          'Slowing down',
+          'Constant speed',
+          'Changing direction'
+        ],
+        answer: 2,
+        explanation: 'Covering equal distances per second means constant speed.'
+      },
+      {
+        id: 'speed-more-distance',
+        topic: 'speed',
+        difficulty: 'medium',
+        prompt: 'If an object covers a greater distance in less time, what can we say about its speed?',
+        options: [
+          'It decreases',
+          'It increases',
+          'It becomes zero',
+          'It stays the same'
+        ],
+        answer: 1,
+        explanation: 'Greater distance in shorter time means the object is moving faster.'
+      },
+      {
+        id: 'constant-speed-jogger',
+        topic: 'speed-changes',
+        difficulty: 'easy',
+        prompt: 'Which situation shows constant speed?',
+        options: [
+          'A jogger who keeps the same pace while running around the park',
+          'A jeepney that keeps stopping to pick up passengers',
+          'A bicycle going downhill faster and faster',
+          'A student sprinting, then slowing down to rest'
+        ],
+        answer: 0,
+        explanation: 'Keeping the same pace means the speed remains constant.'
+      },
+      {
+        id: 'speed-compare',
+        topic: 'speed',
+        difficulty: 'medium',
+        prompt: 'Which situation shows that an object is moving faster than another?',
+        options: [
+          'Two students walking side by side at the same pace',
+          'A car that reaches the school gate earlier than a motorcycle that starts at the same time',
+          'A teacher standing in front of the class',
+          'Two tricycles parked in front of a store'
+        ],
+        answer: 1,
+        explanation: 'Arriving earlier with the same start time means greater speed.'
+      },
+      {
+        id: 'changing-speed-example',
+        topic: 'speed-changes',
+        difficulty: 'easy',
+        prompt: 'Which of the following situations shows changing speed?',
+        options: [
+          'A jeepney cruising steadily on a highway',
+          'A tricycle stopped at a red light',
+          'A motorcycle slowing down before a turn',
+          'A person sitting in a classroom'
+        ],
+        answer: 2,
+        explanation: 'Slowing down means the speed is changing.'
+      },
+      {
+        id: 'constant-speed-bicycle',
+        topic: 'speed-changes',
+        difficulty: 'medium',
+        prompt: 'A bicycle moves 10 meters every second. What does this tell us?',
+        options: [
+          'Its speed is changing',
+          'It moves with constant speed',
+          'It is not moving',
+          'It moves only for one second'
+        ],
+        answer: 1,
+        explanation: 'Covering equal distance every second indicates constant speed.'
+      },
+      {
+        id: 'reference-point',
+        topic: 'motion',
+        difficulty: 'medium',
+        prompt: 'Which statement best explains why a reference point is important?',
+        options: [
+          'It measures force',
+          'It helps determine the direction of gravity',
+          'It shows whether an object has mass',
+          'It helps us know if an object is moving'
+        ],
+        answer: 3,
+        explanation: 'A reference point allows us to see changes in position to detect motion.'
+      }
+    ]
+  };
+
+  function fail(where, message) {
+    throw new Error(`${where}: ${message}`);
+  }
+
+  function text(value, where, field, required) {
+    if (value === undefined || value === null || value === '') {
+      if (required) fail(where, `"${field}" is required.`);
+      return '';
+    }
+    if (typeof value !== 'string') fail(where, `"${field}" must be text.`);
+    return value.trim().slice(0, 600);
+  }
+
+  function flag(value, where, field) {
+    if (value === undefined) return true;
+    if (typeof value !== 'boolean') fail(where, `"${field}" must be true or false.`);
+    return value;
+  }
+
+  function count(value, where, field) {
+    if (!Number.isInteger(value) || value < 0) fail(where, `"${field}" must be a whole number (0 or more).`);
+    return value;
+  }
+
+  function identifier(value, where, field) {
+    const id = text(value, where, field, true);
+    if (!NAME_RE.test(id)) fail(where, `"${field}" may only use letters, digits, "-" and "_" (at most 40).`);
+    return id;
+  }
+
+  // Numbers in prompts and feedback: at most 4 significant digits, no trailing zeros
+  function formatNumber(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '—';
+    return String(parseFloat(value.toPrecision(4)));
+  }
+
+  // '{d} km' -> '2 km'
+  function fillText(str, vars) {
+    return str.replace(PLACEHOLDER_RE, (m, name) => (name in vars ? formatNumber(vars[name]) : m));
+  }
+
+  function checkPlaceholders(str, names, where, field) {
+    (str.match(PLACEHOLDER_RE) || []).forEach(m => {
+      const name = m.slice(1, -1);
+      if (!names.includes(name)) fail(where, `"${field}" uses {${name}}, which is not one of the params.`);
+    });
+  }
+
+  // params -> { name: [values...] }
+  function parseParams(data, where) {
+    if (data === undefined || data === null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) fail(where, '"params" must be an object like { "d": { "min": 1, "max": 5, "step": 1 } }.');
+    const params = {};
+    Object.keys(data).forEach(name => {
+      const field = `params.${name}`;
+      if (!PARAM_RE.test(name) || name === 'answer' || Expression.FUNCTIONS.includes(name.toLowerCase()) || name.toLowerCase() === 'pi') {
+        fail(where, `"${field}": a param name must be a short word (letters, digits, "_") and not answer, pi or a function name.`);
+      }
+      const p = data[name];
+      let values;
+      if (Array.isArray(p)) {
+        values = p;
+      } else if (p && typeof p === 'object') {
+        const { min, max, step } = p;
+        if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+          fail(where, `"${field}" needs numbers "min" ≤ "max" and a "step" above 0.`);
+        }
+        const n = Math.floor((max - min) / step + 1e-9) + 1;
+        if (n > MAX_PARAM_VALUES) fail(where, `"${field}" has more than ${MAX_PARAM_VALUES} possible values; use a bigger step.`);
+        values = Array.from({ length: n }, (v, i) => Number((min + i * step).toFixed(10)));
+      } else {
+        fail(where, `"${field}" must be a list of values or { "min", "max", "step" }.`);
+      }
+      if (!values.length || values.length > MAX_PARAM_VALUES || !values.every(Number.isFinite)) {
+        fail(where, `"${field}" must list 1 to ${MAX_PARAM_VALUES} numbers.`);
+      }
+      params[name] = values.slice();
+    });
+    return params;
+  }
+
+  function parseNumeric(data, where, common) {
+    if (!QUANTITIES.includes(data.quantity)) fail(where, `"quantity" must be one of: ${QUANTITIES.join(', ')}.`);
+    const quantity = data.quantity;
+    const known = Object.keys(Units[quantity.toUpperCase()]);
+    const checkUnit = (u, field) => {
+      if (!known.includes(u)) fail(where, `"${field}" must be a ${quantity} unit (${known.join(', ')}).`);
+      return u;
+    };
+    const unit = checkUnit(data.unit, 'unit');
+    let units = known;
+    if (data.units !== undefined) {
+      if (!Array.isArray(data.units) || !data.units.length) fail(where, '"units" must be a list of units the student may pick.');
+      units = data.units.map((u, i) => checkUnit(u, `units[${i}]`));
+    }
+    const tolerance = data.tolerance_pct === undefined ? DEFAULT_TOLERANCE_PCT : data.tolerance_pct;
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 100) fail(where, '"tolerance_pct" must be a number from 0 to 100.');
+
+    const params = parseParams(data.params, where);
+    const names = Object.keys(params);
+    let formula;
+    if (typeof data.answer === 'number' && Number.isFinite(data.answer)) {
+      formula = Expression.compile(String(data.answer));
+    } else if (typeof data.answer === 'string') {
+      try {
+        formula = Expression.compile(data.answer, names);
+      } catch (e) {
+        fail(where, `"answer": ${e.message}`);
+      }
+    } else {
+      fail(where, '"answer" must be a number or a formula of the params, like "d / t".');
+    }
+    // the smallest and largest params must give a usable answer
+    [0, 1].forEach(end => {
+      const vars = {};
+      names.forEach(n => { vars[n] = end ? params[n][params[n].length - 1] : params[n][0]; });
+      const v = formula.evaluate(vars);
+      if (!Number.isFinite(v)) fail(where, `"answer" is not a number when ${names.map(n => `${n} = ${vars[n]}`).join(', ') || 'evaluated'}.`);
+    });
+    checkPlaceholders(common.prompt, names, where, 'prompt');
+    checkPlaceholders(common.explanation, names.concat('answer'), where, 'explanation');
+
+    return Object.assign(common, {
+      type: 'numeric',
+      quantity,
+      params,
+      answer: data.answer,
+      unit,
+      units,
+      tolerance_pct: tolerance
+    });
+  }
+
+  // Validate one question and return a clean copy
+  function parseQuestion(data, where = 'Question') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail(where, 'must be an object.');
+    const id = identifier(data.id, where, 'id');
+    where = `${where} ("${id}")`;
+
+    const type = data.type === undefined ? 'choice' : data.type;
+    if (!TYPES.includes(type)) fail(where, `"type" must be one of: ${TYPES.join(', ')}.`);
+    const difficulty = data.difficulty === undefined ? DEFAULT_DIFFICULTY : String(data.difficulty).toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) fail(where, `"difficulty" must be one of: ${DIFFICULTIES.join(', ')}.`);
+    const common = {
+      id,
+      type,
+      topic: identifier(data.topic, where, 'topic').toLowerCase(),
+      difficulty,
+      prompt: text(data.prompt, where, 'prompt', true),
+      explanation: text(data.explanation, where, 'explanation', true)
+    };
+    if (type === 'numeric') return parseNumeric(data, where, common);
+
+    if (!Array.isArray(data.options) || data.options.length < 2 || data.options.length > MAX_OPTIONS) {
+      fail(where, `"options" must be a list of 2 to ${MAX_OPTIONS} answers.`);
+    }
+    const options = data.options.map((o, i) => text(o, where, `options[${i}]`, true));
+    if (new Set(options).size !== options.length) fail(where, 'two of the "options" are the same.');
+    if (!Number.isInteger(data.answer) || data.answer < 0 || data.answer >= options.length) {
+      fail(where, `"answer" must be the index (0 to ${options.length - 1}) of the right option.`);
+    }
+
+    return Object.assign(common, {
+      options,
+      answer: data.answer,
+      shuffle_options: flag(data.shuffle_options, where, 'shuffle_options')
+    });
+  }
+
+  // A bank object (or its JSON text) -> validated bank
+  function parseBank(data) {
+    if (typeof data === 'string') {
+      try { data = JSON.parse(data); } catch (e) { throw new Error('Question bank is not valid JSON.'); }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Question bank must be an object like { "id": ..., "title": ..., "questions": [...] }.');
+    }
+    const id = identifier(data.id, 'Question bank', 'id');
+    const where = `Question bank "${id}"`;
+    const list = data.questions;
+    if (!Array.isArray(list) || !list.length) fail(where, '"questions" must be a list with at least one question.');
+    if (list.length > MAX_QUESTIONS) fail(where, `at most ${MAX_QUESTIONS} questions per bank.`);
+
+    const seen = new Set();
+    const questions = list.map((item, i) => {
+      const q = parseQuestion(item, `questions[${i}]`);
+      if (seen.has(q.id)) fail(where, `question id "${q.id}" appears twice.`);
+      seen.add(q.id);
+      return q;
+    });
+
+    return {
+      id,
+      title: text(data.title, where, 'title', true),
+      description: text(data.description, where, 'description', false),
+      settings: parseSettings(data.settings, where, questions),
+      questions
+    };
+  }
+
+  // Shuffle and draw settings, checked against the topics the bank really has
+  function parseSettings(data, where, questions) {
+    if (data === undefined || data === null) data = {};
+    if (typeof data !== 'object' || Array.isArray(data)) fail(where, '"settings" must be an object.');
+    const pools = {};
+    questions.forEach(q => { pools[q.topic] = (pools[q.topic] || 0) + 1; });
+
+    const settings = {
+      shuffle_questions: flag(data.shuffle_questions, where, 'settings.shuffle_questions'),
+      shuffle_options: flag(data.shuffle_options, where, 'settings.shuffle_options'),
+      draw_per_topic: null,
+      draw: {}
+    };
+    if (data.draw_per_topic !== undefined && data.draw_per_topic !== null) {
+      settings.draw_per_topic = count(data.draw_per_topic, where, 'settings.draw_per_topic');
+    }
+    if (data.draw !== undefined && data.draw !== null) {
+      if (typeof data.draw !== 'object' || Array.isArray(data.draw)) {
+        fail(where, '"settings.draw" must be an object like { "speed": 2 }.');
+      }
+      Object.keys(data.draw).forEach(key => {
+        const topic = key.toLowerCase();
+        if (!pools[topic]) fail(where, `"settings.draw" names topic "${key}", but no question has that topic.`);
+        const n = count(data.draw[key], where, `settings.draw.${key}`);
+        if (n > pools[topic]) {
+          fail(where, `"settings.draw" asks for ${n} "${topic}" questions, but the pool only has ${pools[topic]}.`);
+        }
+        settings.draw[topic] = n;
+      });
+    }
+    if (!Object.keys(pools).some(t => drawCount(settings, t, pools[t]) > 0)) {
+      fail(where, 'the draw settings leave no questions in the quiz.');
+    }
+    return settings;
+  }
+
+  // How many questions a quiz takes from a topic's pool of `available`
+  function drawCount(settings, topic, available) {
+    if (topic in settings.draw) return settings.draw[topic];
+    if (settings.draw_per_topic !== null) return Math.min(settings.draw_per_topic, available);
+    return available;
+  }
+
+  // Seeded 32-bit generator (mulberry32): returns () -> number in [0, 1)
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Fisher–Yates on a copy
+  function shuffle(list, random) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = out[i];
+      out[i] = out[j];
+      out[j] = tmp;
+    }
+    return out;
+  }
+
+  // A fresh seed for a new attempt
+  function randomSeed() {
+    const c = typeof crypto !== 'undefined' && crypto.getRandomValues ? crypto : null;
+    if (c) return c.getRandomValues(new Uint32Array(1))[0];
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+  }
+
+  // ?seed= text -> seed, or null when it isn't a whole number from 0 to 4294967295
+  function parseSeed(value) {
+    const s = String(value === undefined || value === null ? '' : value).trim();
+    if (!/^\d{1,10}$/.test(s)) return null;
+    const n = Number(s);
+    return n <= MAX_SEED ? n : null;
+  }
+
+  /* The quiz one student sees: topics are drawn in alphabetical order, then the questions
+     and each question's options are shuffled (when the settings allow it), and numeric
+     questions get their params.
+     -> { seed, questions: [{ ...question, options, answer, order }
+                            | { ...question, prompt, explanation, values, answer }] }
+     order[i] is the bank index of displayed option i, so answers can be mapped back;
+     a numeric answer is the number in the question's unit */
+  function buildQuiz(bank, seed) {
+    seed = seed >>> 0;
+    const random = mulberry32(seed);
+    const settings = bank.settings;
+    const byTopic = {};
+    bank.questions.forEach(q => { (byTopic[q.topic] = byTopic[q.topic] || []).push(q); });
+
+    const picked = new Set();
+    topics(bank).forEach(topic => {
+      const pool = byTopic[topic];
+      const n = drawCount(settings, topic, pool.length);
+      const chosen = n < pool.length ? shuffle(pool, random).slice(0, n) : pool;
+      chosen.forEach(q => picked.add(q));
+    });
+
+    // bank order unless shuffling
+    let list = bank.questions.filter(q => picked.has(q));
+    if (settings.shuffle_questions) list = shuffle(list, random);
+
+    const questions = list.map(q => {
+      if (q.type === 'numeric') return numericInstance(q, random);
+      let order = q.options.map((o, i) => i);
+      if (settings.shuffle_options && q.shuffle_options) order = shuffle(order, random);
+      return Object.assign({}, q, {
+        options: order.map(i => q.options[i]),
+        answer: order.indexOf(q.answer),
+        order
+      });
+    });
+    return { seed, questions };
+  }
+
+  function numericInstance(q, random) {
+    const values = {};
+    Object.keys(q.params).forEach(name => {
+      const list = q.params[name];
+      values[name] = list[Math.floor(random() * list.length)];
+    });
+    const answer = Expression.compile(String(q.answer), Object.keys(q.params)).evaluate(values);
+    return Object.assign({}, q, {
+      prompt: fillText(q.prompt, values),
+      explanation: fillText(q.explanation, Object.assign({ answer }, values)),
+      values,
+      answer
+    });
+  }
+
+  /* Mark one response to a question from buildQuiz():
+     choice -> the option index; numeric -> { value, unit }
+     -> { correct, errorPct? } (errorPct: how far off, in percent, for numeric answers) */
+  function grade(q, response) {
+    if (q.type !== 'numeric') return { correct: response === q.answer };
+    if (!response || !Number.isFinite(response.value) || !q.units.includes(response.unit)) {
+      return { correct: false, errorPct: null };
+    }
+    const expected = Units.toBase(q.quantity, q.answer, q.unit);
+    const given = Units.toBase(q.quantity, response.value, response.unit);
+    const errorPct = expected === 0 ? (given === 0 ? 0 : Infinity) : Math.abs(given - expected) / Math.abs(expected) * 100;
+    return { correct: errorPct <= q.tolerance_pct + 1e-9, errorPct };
+  }
+
+  // What the student answered, as text ('—' when unanswered)
+  function responseText(q, response) {
+    if (q.type !== 'numeric') return q.options[response] || '—';
+    if (!response || !Number.isFinite(response.value)) return '—';
+    return `${response.value} ${Units.symbol(q.quantity, response.unit)}`;
+  }
+
+  // The right answer as text; numeric answers also in `inUnit` when that differs
+  function answerText(q, inUnit) {
+    if (q.type !== 'numeric') return q.options[q.answer];
+    let out = `${formatNumber(q.answer)} ${Units.symbol(q.quantity, q.unit)}`;
+    if (inUnit && inUnit !== q.unit && q.units.includes(inUnit)) {
+      out += ` (= ${formatNumber(Units.convert(q.quantity, q.answer, q.unit, inUnit))} ${Units.symbol(q.quantity, inUnit)})`;
+    }
+    return out;
+  }
+
+  // '3.33', ' 3,33 ', '1e3' -> number; anything else -> NaN
+  function parseNumber(str) {
+    let s = String(str === undefined || str === null ? '' : str).trim();
+    if (/^[-+]?\d+,\d+$/.test(s)) s = s.replace(',', '.');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return NaN;
+    return Number(s);
+  }
+
+  // ?bank=<name> -> 'banks/<name>.json'; throws on anything that isn't a plain name
+  function bankUrl(name) {
+    const n = String(name || '').trim();
+    if (!NAME_RE.test(n)) {
+      throw new Error(`"${n}" is not a question bank name (use letters, digits, "-" and "_" only).`);
+    }
+    return `${BANK_DIR}${n}.json`;
+  }
+
+  // Sorted list of the topics a bank covers
+  function topics(bank) {
+    return Array.from(new Set(bank.questions.map(q => q.topic))).sort();
+  }
+
+  return {
+    DIFFICULTIES,
+    TYPES,
+    BUILT_IN: parseBank(BUILT_IN),
+    parseQuestion,
+    parseBank,
+    bankUrl,
+    topics,
+    mulberry32,
+    shuffle,
+    randomSeed,
+    parseSeed,
+    buildQuiz,
+    grade,
+    responseText,
+    answerText,
+    parseNumber,
+    formatNumber
+  };
+});
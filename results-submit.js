@@ -0,0 +1,333 @@
+/* results-submit.js
+   Sending quiz results somewhere a teacher can read them (used by 6.js).
+   - Adapters share one shape, { name, label, send(record) -> Promise }:
+       createEmailJsAdapter()  the EmailJS template (name, section, score, answers text...)
+       createHttpAdapter()     POSTs the record as JSON to any endpoint
+                               (tools/results-server.js is a local stand-in)
+       createDownloadAdapter() saves the record as a .json file
+   - createQueue() keeps every submission in localStorage until the adapter accepts it and
+     retries failures with exponential backoff, so a result survives flaky Wi-Fi or a reload;
+     each entry is 'sending', 'pending' (waiting to retry), 'sent' or 'failed' (gave up)
+   - Tabs share the stored list: every write re-reads it and merges by id, and each entry
+     names the queue that owns it with a lease that queue keeps renewing, so only one tab
+     sends it; a sent entry stays behind for a day as { id, status: 'sent' } so a tab that
+     was asleep doesn't send it again; release() leaves a closing tab's entries for another
+     tab or the next visit
+   - A record is plain JSON: { id, name, section, bank, seed, score, total, percent,
+     start_time, end_time (ISO), time_taken_s, answers: [{ n, id, topic, type, prompt,
+     response, given, correct_answer, correct }] }
+   - Loads as window.ResultsSubmit or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ResultsSubmit = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const STORAGE_KEY = 'quizResultsQueue';
+  const DEFAULT_BASE_DELAY = 5000;       // ms before the first retry
+  const DEFAULT_MAX_DELAY = 5 * 60000;   // backoff stops growing here
+  const DEFAULT_MAX_ATTEMPTS = 8;        // then the entry is 'failed' until retried by hand
+  const DEFAULT_LEASE = 3 * 60000;       // an owner that stops renewing for this long is gone
+  const SENT_KEEP = 24 * 3600000;        // how long other tabs are told an entry was sent
+  const STATUSES = ['sending', 'pending', 'sent', 'failed'];
+
+  function timeTakenText(seconds) {
+    const s = Math.max(0, Math.round(seconds || 0));
+    return `${Math.floor(s / 60)} min ${s % 60} sec`;
+  }
+
+  // "Q1 [speed-def]: Distance and time | Correct: Distance and time" lines
+  function answersText(record) {
+    return record.answers.map(a => `Q${a.n} [${a.id}]: ${a.given} | Correct: ${a.correct_answer}`).join('\n');
+  }
+
+  function localTime(iso) {
+    const d = new Date(iso);
+    return isNaN(d) ? String(iso || '') : d.toLocaleString();
+  }
+
+  // A short file-name-safe id: time + random
+  function newId(now = Date.now()) {
+    return `${now.toString(36)}-${Math.floor(Math.random() * 0x100000000).toString(36)}`;
+  }
+
+  /* options = { getEmailjs() -> the emailjs library, publicKey, serviceId, templateId }
+     The library is looked up on every send, so a page that loaded offline still works later. */
+  function createEmailJsAdapter(options) {
+    let initialised = false;
+    return {
+      name: 'emailjs',
+      label: 'email',
+      send(record) {
+        const lib = options.getEmailjs();
+        if (!lib || typeof lib.send !== 'function') {
+          return Promise.reject(new Error('The email service did not load (are you offline?).'));
+        }
+        if (!initialised && typeof lib.init === 'function') {
+          lib.init(options.publicKey);
+          initialised = true;
+        }
+        return Promise.resolve(lib.send(options.serviceId, options.templateId, {
+          name: record.name,
+          section: record.section,
+          bank: record.bank,
+          seed: record.seed,
+          score: record.score,
+          percent: record.percent,
+          answers: answersText(record),
+          start_time: localTime(record.start_time),
+          end_time: localTime(record.end_time),
+          time_taken: timeTakenText(record.time_taken_s),
+          date: localTime(record.end_time),
+          // the whole record, for the teacher dashboard's JSON import
+          record: JSON.stringify(record)
+        })).catch(err => {
+          const detail = err && (err.text || err.message);
+          throw new Error(detail ? `The email service refused it: ${detail}` : 'The email service could not be reached.');
+        });
+      }
+    };
+  }
+
+  // options = { url, fetch, headers? }
+  function createHttpAdapter(options) {
+    if (!options.url) throw new Error('The HTTP results backend needs a "url".');
+    return {
+      name: 'http',
+      label: 'results server',
+      send(record) {
+        let request;
+        try {
+          request = options.fetch(options.url, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, options.headers || {}),
+            body: JSON.stringify(record)
+          });
+        } catch (e) {
+          return Promise.reject(new Error('Could not reach the results server (are you offline?).'));
+        }
+        return Promise.resolve(request).then(
+          res => {
+            if (!res.ok) throw new Error(`The results server answered ${res.status}.`);
+          },
+          () => { throw new Error('Could not reach the results server (are you offline?).'); }
+        );
+      }
+    };
+  }
+
+  // options = { download(text, filename) }
+  function createDownloadAdapter(options) {
+    return {
+      name: 'download',
+      label: 'file',
+      send(record) {
+        const who = String(record.name || 'student').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'student';
+        options.download(JSON.stringify(record, null, 2), `quiz-result-${who}-${record.id}.json`);
+        return Promise.resolve();
+      }
+    };
+  }
+
+  /* options = { adapter, storage? (localStorage), key?, baseDelay?, maxDelay?, maxAttempts?,
+                 lease?, onChange?(entries), now?(), random?(), schedule?(fn, ms), cancel?(timer) }
+     -> { submit(record) -> entry id, retry(id?), items(), resume(), release() }
+     resume() takes over stored entries that no live queue owns: ones left by an earlier page
+     load or released by another tab (call it again when another tab changes the list). */
+  function createQueue(options) {
+    const adapter = options.adapter;
+    const storage = options.storage || null;
+    const key = options.key || STORAGE_KEY;
+    const baseDelay = options.baseDelay || DEFAULT_BASE_DELAY;
+    const maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+    const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    const lease = options.lease || DEFAULT_LEASE;
+    const onChange = options.onChange || (() => {});
+    const now = options.now || (() => Date.now());
+    const random = options.random || Math.random;
+    const schedule = options.schedule || ((fn, ms) => setTimeout(fn, ms));
+    const cancel = options.cancel || (t => clearTimeout(t));
+
+    const owner = newId(now());
+    let entries = [];   // the ones this queue owns: [{ id, record, status, attempts, nextAttempt, error }]
+    let timer = null;
+
+    function load() {
+      if (!storage) return [];
+      try {
+        const list = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(list)
+          ? list.filter(e => e && e.id && STATUSES.includes(e.status) && (e.record || e.status === 'sent'))
+          : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function ownedElsewhere(stored) {
+      return !!stored.owner && stored.owner !== owner && stored.lease > now();
+    }
+
+    function toStored(e) {
+      if (e.status === 'sent') return { id: e.id, status: 'sent', owner, lease: e.sentAt + SENT_KEEP };
+      const { id, record, status, attempts, nextAttempt, error } = e;
+      return { id, record, status, attempts, nextAttempt, error, owner, lease: now() + lease };
+    }
+
+    /* Write this queue's entries into the stored list, keeping every other tab's. Entries
+       another live queue has taken over (or sent) are dropped here instead of overwritten.
+       Sent entries keep only their id; the record stays in memory for the status line. */
+    function save() {
+      if (!storage) return;
+      const list = load().filter(e => e.lease > now() || e.status !== 'sent');
+      const taken = new Set(list.filter(ownedElsewhere).map(e => e.id));
+      entries = entries.filter(e => e.status === 'sent' || !taken.has(e.id));
+      const mine = new Set(entries.map(e => e.id));
+      const written = list.filter(e => !mine.has(e.id))
+        .concat(entries.filter(e => e.status !== 'sent' || e.sentAt + SENT_KEEP > now()).map(toStored));
+      try {
+        storage.setItem(key, JSON.stringify(written));
+      } catch (e) { /* storage full or blocked: the queue still works for this page */ }
+    }
+
+    function changed() {
+      save();
+      onChange(items());
+    }
+
+    function backoff(attempts) {
+      const d = Math.min(maxDelay, baseDelay * Math.pow(2, attempts - 1));
+      return Math.round(d * (0.8 + 0.4 * random())); // ±20% so a class doesn't retry in step
+    }
+
+    // Wake up for the next retry, and in time to renew the lease while anything is unsent
+    function plan() {
+      if (timer !== null) cancel(timer);
+      timer = null;
+      const waiting = entries.filter(e => e.status === 'pending');
+      let next = waiting.length ? Math.min(...waiting.map(e => e.nextAttempt)) : Infinity;
+      if (storage && entries.some(e => e.status !== 'sent')) next = Math.min(next, now() + lease / 2);
+      if (next === Infinity) return;
+      timer = schedule(run, Math.max(0, next - now()));
+    }
+
+    function attempt(entry) {
+      entry.status = 'sending';
+      entry.attempts++;
+      changed();
+      // another tab took it over (this one stopped renewing for too long): leave it to them
+      if (!entries.includes(entry)) return Promise.resolve();
+      return adapter.send(entry.record).then(
+        () => {
+          entry.status = 'sent';
+          entry.error = null;
+          entry.nextAttempt = null;
+          entry.sentAt = now();
+        },
+        err => {
+          entry.error = (err && err.message) || String(err);
+          if (entry.attempts >= maxAttempts) {
+            entry.status = 'failed';
+            entry.nextAttempt = null;
+          } else {
+            entry.status = 'pending';
+            entry.nextAttempt = now() + backoff(entry.attempts);
+          }
+        }
+      ).then(() => {
+        changed();
+        plan();
+      });
+    }
+
+    function run() {
+      timer = null;
+      const due = entries.filter(e => e.status === 'pending' && e.nextAttempt <= now());
+      due.forEach(attempt);
+      if (due.length) return;
+      changed(); // renews the lease
+      plan();
+    }
+
+    function submit(record) {
+      const entry = { id: record.id || newId(now()), record, status: 'pending', attempts: 0, nextAttempt: now(), error: null };
+      entries.push(entry);
+      attempt(entry);
+      return entry.id;
+    }
+
+    // Try again now: one entry, or everything not yet sent
+    function retry(id) {
+      entries.forEach(e => {
+        if ((id === undefined || e.id === id) && (e.status === 'pending' || e.status === 'failed')) {
+          if (e.status === 'failed') e.attempts = 0;
+          e.status = 'pending';
+          e.nextAttempt = now();
+        }
+      });
+      run();
+    }
+
+    function resume() {
+      const mine = new Set(entries.map(e => e.id));
+      const adopted = load().filter(e => e.status !== 'sent' && !mine.has(e.id) && !ownedElsewhere(e)).map(e => ({
+        id: e.id,
+        record: e.record,
+        // a page closed mid-send never heard back, so send again
+        status: e.status === 'sending' ? 'pending' : e.status,
+        attempts: e.attempts,
+        nextAttempt: e.status === 'failed' ? null : now(),
+        error: e.error
+      }));
+      // nothing new: no write, so tabs don't wake each other up forever
+      if (!adopted.length) return;
+      entries = entries.concat(adopted);
+      changed();
+      run();
+    }
+
+    // The page is going away: stop, and mark this queue's unsent entries as nobody's
+    // (sent ones keep their owner, so the "sent" note still counts for the other tabs)
+    function release() {
+      if (timer !== null) cancel(timer);
+      timer = null;
+      if (!storage) return;
+      const mine = new Set(entries.map(e => e.id));
+      const list = load().map(e => (mine.has(e.id) && e.owner === owner && e.status !== 'sent'
+        ? Object.assign({}, e, { status: e.status === 'sending' ? 'pending' : e.status, owner: null, lease: 0 })
+        : e));
+      entries = [];
+      try {
+        storage.setItem(key, JSON.stringify(list));
+      } catch (e) { /* nothing more to do for a page that is closing */ }
+    }
+
+    function items() {
+      return entries.map(e => ({
+        id: e.id,
+        status: e.status,
+        attempts: e.attempts,
+        nextAttempt: e.nextAttempt,
+        error: e.error,
+        record: e.record
+      }));
+    }
+
+    return { submit, retry, items, resume, release };
+  }
+
+  return {
+    STORAGE_KEY,
+    STATUSES,
+    newId,
+    answersText,
+    timeTakenText,
+    createEmailJsAdapter,
+    createHttpAdapter,
+    createDownloadAdapter,
+    createQueue
+  };
+});
@@ -0,0 +1,210 @@
+/* scenario.js
+   Save / load / share format for a full simulation setup (used by 1.js).
+   - A scenario is plain JSON: sliders, units, integrator, force model, track mode,
+     2D path (preset shape, or path_points for a drawn one), zone layout and racers
+   - parseScenario() validates and fills defaults; errors are readable sentences
+   - encodeHash()/decodeHash() turn a scenario into a URL fragment (#scenario=...)
+   - Older files with a global mass_kg / friction_pct still load: mass_kg was never
+     used, and friction_pct becomes the friction of racers that don't set their own
+   - units is { distance, time, speed } (units.js); older files say 'm_s' or 'km_h'
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./track-paths.js'), require('./units.js'));
+  else root.Scenario = factory(root.TrackPaths, root.Units);
+})(typeof self !== 'undefined' ? self : this, function (TrackPaths, Units) {
+  'use strict';
+
+  const SCENARIO_VERSION = 1;
+  const HASH_KEY = 'scenario';
+  const MAX_RACERS = 8;
+  // Racer properties the inspector can link ("same for all racers")
+  const LINKABLE = ['mass', 'friction', 'offset'];
+  // Same list as MotionEngine.TRACK_MODES (this file loads without the engine)
+  const TRACK_MODES = ['one-way', 'return', 'bounce'];
+
+  const DEFAULTS = {
+    distance_m: 100,
+    time_s: 10,
+    friction: 5,
+    units: Units.DEFAULT_UNITS,
+    integrator: 'semi-implicit',
+    model: 'arcade',
+    force_N: 50,
+    mu_k: 0.1,
+    air_drag: false,
+    drag_k: 0.05,
+    track_mode: 'one-way',
+    path: 'straight'
+  };
+  // Decimals kept for drawn path points (keeps share links short)
+  const PATH_PRECISION = 1e4;
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  function num(value, field, min, max, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`"${field}" must be a number (got ${JSON.stringify(value)}).`);
+    return clamp(n, min, max);
+  }
+
+  function color(value, field, fallback) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+      throw new Error(`"${field}" must be a color like #ff4dff.`);
+    }
+    return value;
+  }
+
+  // Snapshot of the page state -> scenario object
+  function createScenario({ params, racers, zones, linked }) {
+    const round = (v) => Math.round(v * PATH_PRECISION) / PATH_PRECISION;
+    return {
+      version: SCENARIO_VERSION,
+      distance_m: params.distance_m,
+      time_s: params.time_s,
+      units: { ...params.units },
+      integrator: params.integrator,
+      model: params.model,
+      force_N: params.force_N,
+      mu_k: params.mu_k,
+      air_drag: params.air_drag,
+      drag_k: params.drag_k,
+      track_mode: params.track_mode,
+      path: params.path,
+      path_points: params.path === 'custom' && params.path_points
+        ? params.path_points.map(p => [round(p[0]), round(p[1])])
+        : undefined,
+      zones: zones.map(z => ({ name: z.name, color: z.color, multiplier: z.multiplier, start: z.start, end: z.end })),
+      racers: racers.map(r => ({ id: r.id, color: r.color, mass: r.mass, friction: r.friction, offset: r.baseOffset })),
+      linked: (linked || []).filter(k => LINKABLE.includes(k))
+    };
+  }
+
+  // Validate untrusted data (file, URL) and return a complete scenario
+  function parseScenario(data) {
+    if (typeof data === 'string') {
+      try { data = JSON.parse(data); } catch (e) { throw new Error('Scenario is not valid JSON.'); }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Scenario must be a JSON object.');
+    if (data.version !== undefined && data.version > SCENARIO_VERSION) {
+      throw new Error(`Scenario version ${data.version} is newer than this page supports (${SCENARIO_VERSION}).`);
+    }
+
+    const out = {
+      version: SCENARIO_VERSION,
+      distance_m: num(data.distance_m, 'distance_m', 1, 10000, DEFAULTS.distance_m),
+      time_s: num(data.time_s, 'time_s', 1, 3600, DEFAULTS.time_s),
+      units: null,
+      integrator: ['euler', 'semi-implicit', 'rk4'].includes(data.integrator) ? data.integrator : DEFAULTS.integrator,
+      model: data.model === 'physics' ? 'physics' : DEFAULTS.model,
+      force_N: num(data.force_N, 'force_N', 0, 500, DEFAULTS.force_N),
+      mu_k: num(data.mu_k, 'mu_k', 0, 1, DEFAULTS.mu_k),
+      air_drag: data.air_drag === true,
+      drag_k: num(data.drag_k, 'drag_k', 0, 5, DEFAULTS.drag_k),
+      track_mode: TRACK_MODES.includes(data.track_mode) ? data.track_mode : DEFAULTS.track_mode,
+      path: TrackPaths.SHAPES.includes(data.path) ? data.path : DEFAULTS.path,
+      path_points: null,
+      zones: null,
+      racers: null,
+      linked: Array.isArray(data.linked) ? LINKABLE.filter(k => data.linked.includes(k)) : []
+    };
+    try {
+      out.units = Units.normalizeUnits(data.units);
+    } catch (e) {
+      throw new Error(`"units": ${e.message}`);
+    }
+    if (out.path === 'custom') {
+      if (data.path_points == null) throw new Error('A "custom" path needs its "path_points".');
+      try {
+        out.path_points = TrackPaths.normalizePoints(data.path_points);
+      } catch (e) {
+        throw new Error(`"path_points": ${e.message}`);
+      }
+    }
+    // legacy global friction (before friction belonged to each racer)
+    const defaultFriction = num(data.friction_pct, 'friction_pct', 0, 100, DEFAULTS.friction);
+
+    if (data.zones != null) {
+      if (!Array.isArray(data.zones) || !data.zones.length) throw new Error('"zones" must be a non-empty list.');
+      out.zones = data.zones.map((z, i) => {
+        const where = `zones[${i}]`;
+        if (!z || typeof z !== 'object') throw new Error(`${where} must be an object.`);
+        const start = num(z.start, `${where}.start`, 0, 1, NaN);
+        const end = num(z.end, `${where}.end`, 0, 1, NaN);
+        if (!(end > start)) throw new Error(`${where} must end after it starts.`);
+        return {
+          name: String(z.name || 'zone').slice(0, 20),
+          color: color(z.color, `${where}.color`, '#00e6ff'),
+          multiplier: num(z.multiplier, `${where}.multiplier`, 0, 5, 1),
+          start,
+          end
+        };
+      });
+    }
+
+    if (data.racers != null) {
+      if (!Array.isArray(data.racers) || !data.racers.length) throw new Error('"racers" must be a non-empty list.');
+      if (data.racers.length > MAX_RACERS) throw new Error(`At most ${MAX_RACERS} racers are supported.`);
+      const seen = new Set();
+      out.racers = data.racers.map((r, i) => {
+        const where = `racers[${i}]`;
+        if (!r || typeof r !== 'object') throw new Error(`${where} must be an object.`);
+        const id = String(r.id || '').toUpperCase();
+        if (!/^[A-H]$/.test(id)) throw new Error(`${where}.id must be a letter from A to H.`);
+        if (seen.has(id)) throw new Error(`Racer ${id} appears twice.`);
+        seen.add(id);
+        return {
+          id,
+          color: color(r.color, `${where}.color`, undefined),
+          mass: num(r.mass, `${where}.mass`, 1, 200, 10),
+          friction: num(r.friction, `${where}.friction`, 0, 100, defaultFriction),
+          offset: num(r.offset, `${where}.offset`, -0.5, 0.5, 0)
+        };
+      });
+    }
+
+    return out;
+  }
+
+  /* ===========================
+     URL fragment encoding (base64url of UTF-8 JSON)
+     =========================== */
+
+  function toBase64Url(text) {
+    const b64 = typeof btoa === 'function'
+      ? btoa(unescape(encodeURIComponent(text)))
+      : Buffer.from(text, 'utf8').toString('base64');
+    return b64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    return typeof atob === 'function'
+      ? decodeURIComponent(escape(atob(b64)))
+      : Buffer.from(b64, 'base64').toString('utf8');
+  }
+
+  function encodeHash(scenario) {
+    return `#${HASH_KEY}=${toBase64Url(JSON.stringify(scenario))}`;
+  }
+
+  // Returns a parsed scenario, or null when the hash holds none
+  function decodeHash(hash) {
+    const match = String(hash || '').match(new RegExp(`[#&]${HASH_KEY}=([A-Za-z0-9_-]+)`));
+    if (!match) return null;
+    let text;
+    try { text = fromBase64Url(match[1]); } catch (e) { throw new Error('The scenario link is damaged or incomplete.'); }
+    return parseScenario(text);
+  }
+
+  return {
+    SCENARIO_VERSION,
+    LINKABLE,
+    createScenario,
+    parseScenario,
+    encodeHash,
+    decodeHash
+  };
+});
@@ -0,0 +1,98 @@
+/* sonification.js
+   Hear each object's speed (used by 1.js), with the Web Audio API.
+   - One quiet oscillator per object; its pitch rises with speed, from 220 Hz at
+     rest to 880 Hz at the top speed (two octaves). Pitch is exponential in
+     speed, so equal speed steps sound like equal musical steps
+   - Objects are spread left to right in stereo (when the browser can pan)
+   - Every update keeps a voice sounding for a moment only, so the sound fades
+     out by itself when updates stop (pause, finish, reset)
+   - speedToFrequency() is pure; loads as window.Sonification or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Sonification = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LOW_HZ = 220;
+  const HIGH_HZ = 880;
+  // Total loudness shared by all voices (0–1)
+  const MASTER_GAIN = 0.15;
+  // Seconds a voice keeps sounding after its last update
+  const HOLD_S = 0.2;
+  const WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  // Pitch for a speed, given the speed that should sound highest
+  function speedToFrequency(speed, topSpeed, low = LOW_HZ, high = HIGH_HZ) {
+    const f = topSpeed > 0 ? clamp(Math.abs(speed) / topSpeed, 0, 1) : 0;
+    return low * Math.pow(high / low, f);
+  }
+
+  /* AudioContextClass = window.AudioContext || window.webkitAudioContext.
+     Create it from a click or key press: browsers keep audio muted until then.
+     -> { supported, update([{ id, speed, moving }], topSpeed), stop() } */
+  function createSonifier(AudioContextClass) {
+    if (typeof AudioContextClass !== 'function') {
+      return { supported: false, update() {}, stop() {} };
+    }
+    const ctx = new AudioContextClass();
+    const master = ctx.createGain();
+    master.gain.value = MASTER_GAIN;
+    master.connect(ctx.destination);
+    const voices = new Map(); // id -> { osc, gain }
+
+    function voiceFor(id, index, count) {
+      if (voices.has(id)) return voices.get(id);
+      const osc = ctx.createOscillator();
+      osc.type = WAVEFORMS[index % WAVEFORMS.length];
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      osc.connect(gain);
+      if (typeof ctx.createStereoPanner === 'function') {
+        const pan = ctx.createStereoPanner();
+        pan.pan.value = count > 1 ? -0.8 + 1.6 * index / (count - 1) : 0;
+        gain.connect(pan);
+        pan.connect(master);
+      } else {
+        gain.connect(master);
+      }
+      osc.start();
+      const voice = { osc, gain };
+      voices.set(id, voice);
+      return voice;
+    }
+
+    // Call once per frame while the run is going
+    function update(objects, topSpeed) {
+      if (ctx.state === 'suspended' && typeof ctx.resume === 'function') ctx.resume();
+      const t = ctx.currentTime;
+      const level = 1 / Math.max(1, objects.length);
+      objects.forEach((o, i) => {
+        const v = voiceFor(o.id, i, objects.length);
+        v.osc.frequency.setTargetAtTime(speedToFrequency(o.speed, topSpeed), t, 0.03);
+        v.gain.gain.cancelScheduledValues(t);
+        v.gain.gain.setTargetAtTime(o.moving ? level : 0, t, 0.02);
+        v.gain.gain.setTargetAtTime(0, t + HOLD_S, 0.05);
+      });
+    }
+
+    function stop() {
+      voices.forEach(v => { try { v.osc.stop(); } catch (e) { /* already stopped */ } });
+      voices.clear();
+      if (typeof ctx.close === 'function') ctx.close();
+    }
+
+    return { supported: true, update, stop };
+  }
+
+  return {
+    LOW_HZ,
+    HIGH_HZ,
+    speedToFrequency,
+    createSonifier
+  };
+});
@@ -0,0 +1,28 @@
+/* tools/check-all.js
+   Runs every tools/check-*.js script and lists the ones that failed.
+   - node tools/check-all.js      (Node only, no packages; exit code 1 if any failed)
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const scripts = fs.readdirSync(__dirname)
+  .filter(f => /^check-.+\.js$/.test(f) && f !== path.basename(__filename))
+  .sort();
+
+const failed = scripts.filter(file => {
+  console.log(`\n== ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  return result.status !== 0;
+});
+
+console.log('');
+if (failed.length) {
+  console.error(`Failed: ${failed.join(', ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`All ${scripts.length} check scripts passed.`);
+}
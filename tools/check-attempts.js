@@ -0,0 +1,131 @@
+/* tools/check-attempts.js
+   Checks attempts.js, the teacher dashboard's reading and statistics.
+   - node tools/check-attempts.js
+   - Every format the quiz can produce must import; bad rows are skipped with a
+     sentence that names the file and the row
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Attempts = require('../attempts.js');
+const { check, near, run } = require('./check.js');
+
+// A results-submit.js record, as the quiz sends it
+function record(id, name, section, answers, patch) {
+  return Object.assign({
+    id,
+    name,
+    section,
+    bank: 'motion-speed',
+    seed: 7,
+    score: answers.filter(a => a.correct).length,
+    total: answers.length,
+    percent: Math.round(answers.filter(a => a.correct).length / answers.length * 100),
+    start_time: '2024-06-01T08:00:00.000Z',
+    end_time: '2024-06-01T08:05:00.000Z',
+    time_taken_s: 300,
+    answers: answers.map((a, i) => Object.assign({ n: i + 1, topic: 'speed', prompt: `Prompt ${a.id}` }, a))
+  }, patch);
+}
+
+const RIGHT = { id: 'q1', given: 'Distance and time', correct_answer: 'Distance and time', correct: true };
+const WRONG = { id: 'q2', given: 'Mass and time', correct_answer: 'Distance and time', correct: false };
+const RECORDS = [
+  record('a', 'Ana', '7-A', [RIGHT, WRONG]),
+  record('b', 'Ben', '7-A', [RIGHT, Object.assign({}, WRONG, { given: 'Force' })]),
+  record('c', 'Cai', '7-B', [RIGHT, Object.assign({}, WRONG, { given: 'Distance and time', correct: true })], { end_time: '2024-06-01T08:10:00.000Z' })
+];
+
+check('JSON, a JSON list, the results server list and JSON lines all import', () => {
+  const one = Attempts.parseAttemptFile(JSON.stringify(RECORDS[0]), 'one.json');
+  assert.deepStrictEqual([one.attempts.length, one.errors], [1, []]);
+  const list = Attempts.parseAttemptFile(JSON.stringify(RECORDS), 'list.json');
+  assert.deepStrictEqual(list.attempts.map(a => a.name), ['Ana', 'Ben', 'Cai']);
+  const server = Attempts.parseAttemptFile(JSON.stringify({ attempts: RECORDS }), 'results');
+  assert.strictEqual(server.attempts.length, 3);
+  const lines = Attempts.parseAttemptFile('\uFEFF' + RECORDS.map(r => JSON.stringify(r)).join('\n'), 'results.jsonl');
+  assert.deepStrictEqual(lines.attempts.map(a => a.id), ['a', 'b', 'c']);
+  assert.strictEqual(lines.attempts[2].time_s, 600, 'time_s should come from start_time and end_time.');
+});
+
+check('a CSV of the email fields imports, with the answers text parsed', () => {
+  const csv = [
+    'Name,Section,Score,Percent,Answers,Time Taken',
+    'Ana,7-A,1,50%,"Q1 [q1]: Distance and time | Correct: Distance and time',
+    'Q2 [q2]: Mass and time | Correct: Distance and time",3 min 20 sec',
+    '"Dela Cruz, Juan",,2,100,"Q1: A | Correct: A"""',
+    ''
+  ].join('\r\n');
+  const { attempts, errors } = Attempts.parseAttemptFile(csv, 'emails.csv');
+  assert.deepStrictEqual(errors, []);
+  const [ana, juan] = attempts;
+  assert.deepStrictEqual([ana.score, ana.percent, ana.time_s, ana.total], [1, 50, 200, 2]);
+  assert.deepStrictEqual(ana.answers.map(a => [a.id, a.correct]), [['q1', true], ['q2', false]]);
+  assert.strictEqual(juan.name, 'Dela Cruz, Juan');
+  assert.strictEqual(juan.section, Attempts.NO_SECTION);
+  assert.strictEqual(juan.answers[0].id, 'Q1', 'Older emails without [id] use the question number.');
+});
+
+check('a CSV "record" column carries the whole result', () => {
+  const csv = `name,record\nAna,"${JSON.stringify(RECORDS[0]).replace(/"/g, '""')}"\n`;
+  const { attempts } = Attempts.parseAttemptFile(csv, 'export.csv');
+  assert.strictEqual(attempts[0].id, 'a');
+  assert.strictEqual(attempts[0].answers[1].given, 'Mass and time');
+});
+
+check('bad rows are skipped with a readable sentence, the rest still import', () => {
+  const rows = [RECORDS[0], { section: '7-A', score: 1 }, { name: 'Dan' }, { name: 'Eve', score: 3 }, { name: 'Fay', score: 1, percent: 120 }];
+  const { attempts, errors } = Attempts.parseAttemptFile(JSON.stringify(rows), 'mixed.json');
+  assert.deepStrictEqual(attempts.map(a => a.name), ['Ana']);
+  assert.deepStrictEqual(errors, [
+    'mixed.json, Attempt 2: the student\'s name is missing.',
+    'mixed.json, Attempt 3 (Dan): there is no score and no answers to count.',
+    'mixed.json, Attempt 4 (Eve): the score needs a total or a percent.',
+    'mixed.json, Attempt 5 (Fay): the percent (120) must be from 0 to 100.'
+  ]);
+});
+
+check('a file that cannot be read at all fails with a readable sentence', () => {
+  assert.throws(() => Attempts.parseAttemptFile('  ', 'empty.json'), /"empty.json" is empty/);
+  assert.throws(() => Attempts.parseAttemptFile('{oops', 'bad.json'), /"bad.json" is not valid JSON, JSON lines or CSV/);
+  assert.throws(() => Attempts.parseAttemptFile('score,percent\n1,50\n', 'x.csv'), /needs a "name" column/);
+  assert.throws(() => Attempts.parseAttemptFile('name\n', 'x.csv'), /needs a header row and at least one attempt/);
+});
+
+check('a retried submission is only counted once', () => {
+  const list = Attempts.parseAttemptFile(JSON.stringify(RECORDS.slice(0, 2)), 'a.json').attempts;
+  const again = Attempts.parseAttemptFile(JSON.stringify(RECORDS), 'b.json').attempts;
+  assert.strictEqual(Attempts.mergeAttempts(list, again), 1);
+  assert.deepStrictEqual(list.map(a => a.id), ['a', 'b', 'c']);
+});
+
+check('summarize() gives section stats and the hardest questions first', () => {
+  const attempts = Attempts.parseAttemptFile(JSON.stringify(RECORDS), 'r.json').attempts;
+  const s = Attempts.summarize(attempts);
+  assert.strictEqual(s.overall.count, 3);
+  near(s.overall.mean, (50 + 50 + 100) / 3, 'the mean percent');
+  assert.strictEqual(s.overall.median, 50);
+  near(s.overall.avgTimeS, (300 + 300 + 600) / 3, 'the average time');
+  assert.strictEqual(s.overall.bins.length, Attempts.BINS);
+  assert.deepStrictEqual([s.overall.bins[5], s.overall.bins[9]], [2, 1], '100% belongs in the last bin.');
+  assert.deepStrictEqual(s.sections.map(x => [x.section, x.count]), [['7-A', 2], ['7-B', 1]]);
+  const [hardest, easiest] = s.questions;
+  assert.strictEqual(hardest.id, 'q2');
+  near(hardest.pctCorrect, 100 / 3, 'q2 percent correct');
+  assert.deepStrictEqual(hardest.wrong, [{ answer: 'Force', count: 1 }, { answer: 'Mass and time', count: 1 }]);
+  assert.strictEqual(easiest.pctCorrect, 100);
+});
+
+check('CSV exports quote what needs quoting', () => {
+  const attempts = Attempts.parseAttemptFile(JSON.stringify([record('z', 'Dela Cruz, Juan', '7-A', [RIGHT])]), 'r.json').attempts;
+  const gradebook = Attempts.gradebookCSV(attempts).split('\n');
+  assert.strictEqual(gradebook[0], 'name,section,bank,seed,score,total,percent,time_taken_s,start_time,end_time');
+  assert.ok(gradebook[1].startsWith('"Dela Cruz, Juan",7-A,motion-speed,7,1,1,100,300,'), gradebook[1]);
+  const summary = Attempts.summarize(attempts);
+  assert.strictEqual(Attempts.sectionsCSV(summary).split('\n')[1], '7-A,1,100,100,100,100,300');
+  assert.deepStrictEqual(Attempts.parseCSV(Attempts.questionsCSV(summary))[1],
+    ['motion-speed', 'q1', 'speed', 'Prompt q1', '1', '1', '100', '']);
+});
+
+run();
@@ -0,0 +1,58 @@
+/* tools/check-expression.js
+   Checks expression.js, the formula evaluator behind numeric quiz questions.
+   - node tools/check-expression.js
+   - Formulas come from bank files, so anything that isn't arithmetic must fail
+     with a readable sentence instead of running
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Expression = require('../expression.js');
+const { check, near, run } = require('./check.js');
+
+const value = (src, vars) => Expression.compile(src).evaluate(vars);
+
+check('arithmetic follows the usual precedence', () => {
+  assert.strictEqual(value('1 + 2 * 3'), 7);
+  assert.strictEqual(value('(1 + 2) * 3'), 9);
+  assert.strictEqual(value('2 ^ 3 ^ 2'), 512);
+  assert.strictEqual(value('-2 ^ 2'), -4);
+  assert.strictEqual(value('2 ** 3'), 8);
+  assert.strictEqual(value('6 ÷ 3 × 2 − 1'), 3);
+  assert.strictEqual(value('1.5e2 + .5'), 150.5);
+});
+
+check('names, functions and pi', () => {
+  assert.strictEqual(value('d / (t / 60)', { d: 3, t: 30 }), 6);
+  assert.strictEqual(value('round(2 / 3, 2)'), 0.67);
+  assert.strictEqual(value('max(1, 5, 3) + min(4, 2) + abs(-1) + sqrt(9)'), 11);
+  near(value('PI * 2'), 2 * Math.PI, 'pi');
+});
+
+check('compile() lists the names and checks them up front', () => {
+  const f = Expression.compile('(b - a) * t', ['a', 'b', 't']);
+  assert.deepStrictEqual(f.names.sort(), ['a', 'b', 't']);
+  assert.strictEqual(f.evaluate({ a: 1, b: 3, t: 5 }), 10);
+  assert.throws(() => Expression.compile('d / x', ['d']), /"d \/ x" uses "x", which is not defined/);
+  assert.throws(() => f.evaluate({ a: 1, b: 3 }), /needs a value for "t"/);
+  assert.throws(() => f.evaluate({ a: 1, b: 3, t: '5' }), /needs a value for "t"/);
+});
+
+check('anything that is not arithmetic fails with a readable sentence', () => {
+  assert.throws(() => Expression.compile(''), /must be non-empty text/);
+  assert.throws(() => Expression.compile('1'.repeat(201)), /at most 200 characters/);
+  assert.throws(() => Expression.compile('alert(1)'), /Unknown function "alert"/);
+  assert.throws(() => Expression.compile('x; y'), /Unexpected ";" at position 2/);
+  assert.throws(() => Expression.compile('(1 + 2'), /Expected "\)"/);
+  assert.throws(() => Expression.compile('1 +'), /ends too early/);
+  assert.throws(() => Expression.compile('sqrt(1, 2)'), /sqrt\(\) takes 1 value/);
+  assert.throws(() => Expression.compile('1 2'), /Unexpected "2"/);
+});
+
+check('names only read the values they were given', () => {
+  const f = Expression.compile('constructor + toString');
+  assert.throws(() => f.evaluate({}), /needs a value for "constructor"/);
+});
+
+run();
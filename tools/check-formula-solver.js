@@ -0,0 +1,62 @@
+/* tools/check-formula-solver.js
+   Checks formula-solver.js: answers, unit conversions and the worked steps.
+   - node tools/check-formula-solver.js
+*/
+
+'use strict';
+
+const assert = require('assert');
+const FormulaSolver = require('../formula-solver.js');
+const { check, near, run } = require('./check.js');
+
+check('speed in km/h from kilometers and minutes', () => {
+  const r = FormulaSolver.solve({
+    unknown: 'speed',
+    resultUnit: 'km/h',
+    distance: { value: 3, unit: 'km' },
+    time: { value: 30, unit: 'min' }
+  });
+  near(r.value, 6, 'The speed');
+  assert.strictEqual(r.solution, 'speed = 6 km/h');
+  assert.strictEqual(r.steps[0].text, 'Convert units so they match. 30 min = 30 ÷ 60 = 0.5 h.');
+  assert.strictEqual(r.steps[2].text, 'speed = 3 km ÷ 0.5 h');
+  assert.strictEqual(r.meaning, 'This means that the object moves 6 km every hour.');
+  near(r.si.speed_ms, 6000 / 3600, 'The speed in m/s');
+});
+
+check('distance with the answer converted to the unit asked for', () => {
+  const r = FormulaSolver.solve({
+    unknown: 'distance',
+    resultUnit: 'km',
+    speed: { value: 10, unit: 'm/s' },
+    time: { value: 2, unit: 'min' }
+  });
+  near(r.value, 1.2, 'The distance');
+  assert.deepStrictEqual(r.steps.map(s => s.label), ['Step 1', 'Step 2 (Formula)', 'Substitution', 'Step 3']);
+  assert.strictEqual(r.steps[3].text, 'Convert the answer to kilometers. 1200 m = 1200 ÷ 1000 = 1.2 km.');
+  near(r.si.distance_m, 1200, 'The distance in m');
+});
+
+check('time without any conversion', () => {
+  const r = FormulaSolver.solve({
+    unknown: 'time',
+    distance: { value: 100, unit: 'm' },
+    speed: { value: 5, unit: 'm/s' }
+  });
+  near(r.value, 20, 'The time');
+  assert.strictEqual(r.unit, 's');
+  assert.deepStrictEqual(r.steps.map(s => s.label), ['Step 1 (Formula)', 'Substitution']);
+  assert.strictEqual(r.given, 'Given: speed = 5 m/s, distance = 100 m. Required: time in s.');
+});
+
+check('bad input fails with a readable sentence', () => {
+  const ok = { distance: { value: 1, unit: 'm' }, time: { value: 1, unit: 's' } };
+  assert.throws(() => FormulaSolver.solve({}), /Choose what to solve for/);
+  assert.throws(() => FormulaSolver.solve({ unknown: 'speed', distance: ok.distance }), /Enter the time\./);
+  assert.throws(() => FormulaSolver.solve(Object.assign({ unknown: 'speed' }, ok, { time: { value: -2, unit: 's' } })),
+    /The time must be a number greater than 0\./);
+  assert.throws(() => FormulaSolver.solve(Object.assign({ unknown: 'speed' }, ok, { distance: { value: 1, unit: 'yd' } })),
+    /Unknown distance unit "yd"/);
+});
+
+run();
@@ -0,0 +1,85 @@
+/* tools/check-frame-rate.js
+   Checks that motion-engine.js gives the same race whatever the frame rate.
+   - node tools/check-frame-rate.js [seed]
+   - For every integrator, force model and track mode the same race is fed to advance()
+     as ~30 Hz and ~144 Hz frames, each frame jittered by up to ±40%; raceResults()
+     must give the same winner, margin, (interpolated) finish times and distances
+   - Bounce races never finish, so like 1.js they stop at time_s
+   - The jitter is seeded (default 1), so a failure can be rerun with the same frames
+*/
+
+'use strict';
+
+const assert = require('assert');
+const MotionEngine = require('../motion-engine.js');
+const { check, near, run } = require('./check.js');
+
+const SEED = process.argv[2] === undefined ? 1 : Number(process.argv[2]) >>> 0;
+const RATES = [30, 144];
+const JITTER = 0.4;
+const MAX_TIME_S = 120;
+
+const RACE = {
+  distance_m: 100,
+  time_s: 10,
+  force_N: 60,
+  mu_k: 0.1,
+  drag_k: 0.02,
+  objects: [
+    { id: 'A', mass: 10, friction: 5, baseOffset: 0.05 },
+    { id: 'B', mass: 14, friction: 2, baseOffset: 0.1 },
+    { id: 'C', mass: 8, friction: 12, baseOffset: 0 }
+  ]
+};
+
+// mulberry32: small and seedable, good enough for frame jitter
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Same stop rule as isRaceOver() in 1.js
+function raceOver(trackMode) {
+  return state => state.objects.every(o => o.finished || o.stalled) ||
+    state.time >= (trackMode === 'bounce' ? RACE.time_s : MAX_TIME_S);
+}
+
+// Feeds jittered frames at about `hz` until the race is over -> raceResults()
+function raceAt(hz, settings, random) {
+  const engine = MotionEngine.createEngine(Object.assign({}, RACE, settings));
+  const stop = raceOver(settings.trackMode);
+  let state = engine.getState();
+  while (!stop(state)) {
+    const frameDt = (1 / hz) * (1 + JITTER * (2 * random() - 1));
+    const states = engine.advance(frameDt, stop);
+    if (states.length) state = states[states.length - 1];
+  }
+  return MotionEngine.raceResults(state);
+}
+
+MotionEngine.MODELS.forEach(model => {
+  MotionEngine.INTEGRATORS.forEach(integrator => {
+    MotionEngine.TRACK_MODES.forEach(trackMode => {
+      check(`${model} / ${integrator} / ${trackMode}: same race at ${RATES.join(' Hz and ')} Hz`, () => {
+        const random = seededRandom(SEED);
+        const [slow, fast] = RATES.map(hz => raceAt(hz, { model, integrator, trackMode }, random));
+        assert.strictEqual(slow.timedOut, trackMode === 'bounce', 'The race ended the wrong way.');
+        assert.strictEqual(fast.winner, slow.winner, 'The winner changed.');
+        if (slow.margin !== null || fast.margin !== null) near(fast.margin, slow.margin, 'The winning margin');
+        assert.deepStrictEqual(fast.rows.map(r => r.id), slow.rows.map(r => r.id), 'The order changed.');
+        slow.rows.forEach((r, i) => {
+          if (r.finished || fast.rows[i].finished) near(fast.rows[i].finishTime, r.finishTime, `${r.id}'s finish time`);
+          near(fast.rows[i].distance, r.distance, `${r.id}'s distance`);
+        });
+      });
+    });
+  });
+});
+
+run();
@@ -0,0 +1,130 @@
+/* tools/check-headless-race.js
+   Races motion-engine.js in Node: no browser, no DOM, no clock.
+   - node tools/check-headless-race.js
+   - Engines are built from plain data (params, zones, objects) and run to the finish
+*/
+
+'use strict';
+
+const assert = require('assert');
+const MotionEngine = require('../motion-engine.js');
+const { check, run } = require('./check.js');
+
+const RACE = {
+  distance_m: 100,
+  time_s: 10,
+  objects: [
+    { id: 'A', mass: 10, friction: 5, baseOffset: 0.1 },
+    { id: 'B', mass: 20, friction: 10, baseOffset: 0 }
+  ]
+};
+
+// id -> time of the first state in which that object had finished
+function finishTimes(states) {
+  const out = {};
+  states.forEach(s => s.objects.forEach(o => {
+    if (o.finished && !(o.id in out)) out[o.id] = s.time;
+  }));
+  return out;
+}
+
+check('a race from plain data runs to the finish', () => {
+  const engine = MotionEngine.createEngine(RACE);
+  const states = engine.run(60);
+  assert.ok(states.length > 0, 'run() took no steps.');
+  engine.getState().objects.forEach(o => {
+    assert.ok(o.finished, `${o.id} did not finish within 60 s.`);
+    assert.strictEqual(o.position, 100, `${o.id} stopped at ${o.position} m instead of on the line.`);
+  });
+});
+
+check('the lighter object with the bigger offset wins', () => {
+  const times = finishTimes(MotionEngine.createEngine(RACE).run(60));
+  assert.ok(times.A < times.B, `A finished at ${times.A} s, B at ${times.B} s.`);
+});
+
+check('raceResults() ranks by interpolated finish time', () => {
+  const engine = MotionEngine.createEngine(RACE);
+  engine.run(60);
+  const state = engine.getState();
+  const results = MotionEngine.raceResults(state);
+  assert.strictEqual(results.winner, 'A');
+  assert.strictEqual(results.timedOut, false);
+  assert.deepStrictEqual(results.rows.map(r => [r.id, r.place]), [['A', 1], ['B', 2]]);
+  const [a, b] = results.rows;
+  assert.ok(Math.abs(results.margin - (b.finishTime - a.finishTime)) < 1e-12, 'The margin is not the gap between the first two.');
+  // inside the step that crossed the line, not rounded up to its end
+  state.objects.forEach(o => {
+    assert.ok(o.finishTime > 0 && o.finishTime <= state.time, `${o.id} has an impossible finish time.`);
+  });
+  assert.ok(a.finishTime % engine.fixedDt > 1e-9, 'The finish time sits exactly on a step.');
+});
+
+check('raceResults() of an unfinished race ranks by distance', () => {
+  const engine = MotionEngine.createEngine(RACE);
+  engine.run(3);
+  const results = MotionEngine.raceResults(engine.getState());
+  assert.strictEqual(results.winner, null);
+  assert.strictEqual(results.margin, null);
+  assert.strictEqual(results.timedOut, true);
+  assert.ok(results.rows[0].distance > results.rows[1].distance, 'The leader is not ranked first.');
+});
+
+check('a return trip finishes back at the start after twice the distance', () => {
+  const engine = MotionEngine.createEngine(Object.assign({}, RACE, { trackMode: 'return' }));
+  engine.run(60);
+  const results = MotionEngine.raceResults(engine.getState());
+  assert.strictEqual(results.winner, 'A');
+  results.rows.forEach(r => {
+    assert.ok(r.finished, `${r.id} did not come back.`);
+    assert.ok(Math.abs(r.distance - 200) < 1e-9, `${r.id} covered ${r.distance} m instead of 200 m.`);
+    assert.strictEqual(r.displacement, 0);
+    assert.strictEqual(r.averageVelocity, 0);
+  });
+});
+
+check('bounce mode keeps going and velocity changes sign at each end', () => {
+  const engine = MotionEngine.createEngine(Object.assign({}, RACE, { trackMode: 'bounce', objects: [RACE.objects[0]] }));
+  const states = engine.run(25);
+  const velocities = states.map(s => s.objects[0].velocity);
+  assert.ok(velocities.some(v => v < 0), 'The object never turned around.');
+  const o = engine.getState().objects[0];
+  assert.ok(!o.finished && o.turns >= 1, 'Nobody finishes in bounce mode.');
+  assert.ok(o.distance > 100, `Only ${o.distance} m covered.`);
+});
+
+check('the same data gives the same race after reset()', () => {
+  const engine = MotionEngine.createEngine(RACE);
+  const first = finishTimes(engine.run(60));
+  engine.reset();
+  assert.deepStrictEqual(finishTimes(engine.run(60)), first);
+});
+
+check('a boost zone over the whole track makes the race shorter', () => {
+  const normal = finishTimes(MotionEngine.createEngine(RACE).run(60));
+  const zones = [{ name: 'boost', color: '#39ff7f', multiplier: 2, start: 0, end: 1 }];
+  const boosted = finishTimes(MotionEngine.createEngine(Object.assign({}, RACE, { zones })).run(60));
+  assert.ok(boosted.A < normal.A && boosted.B < normal.B, 'The boost zone did not speed anyone up.');
+});
+
+check('the physics model: the same push moves the lighter object faster', () => {
+  const engine = MotionEngine.createEngine(Object.assign({}, RACE, { model: 'physics', force_N: 60, mu_k: 0.1 }));
+  const times = finishTimes(engine.run(60));
+  assert.ok(times.A < times.B, `A finished at ${times.A} s, B at ${times.B} s.`);
+  // a = (F - μk·m·g) / m at rest, before any drag
+  const a = engine.reset().objects[0].forces.acceleration;
+  const expected = (60 * 1.1 - 0.1 * 10 * MotionEngine.G) / 10;
+  assert.ok(Math.abs(a - expected) < 1e-9, `A accelerates at ${a} m/s² instead of ${expected}.`);
+});
+
+check('the physics model: a push that cannot beat friction stalls the race', () => {
+  const engine = MotionEngine.createEngine(Object.assign({}, RACE, { model: 'physics', force_N: 5, mu_k: 0.5 }));
+  const states = engine.run(60);
+  assert.ok(states.length < 10, `run() kept going for ${states.length} steps.`);
+  engine.getState().objects.forEach(o => {
+    assert.ok(o.stalled && !o.finished, `${o.id} should be stalled at the start.`);
+    assert.strictEqual(o.position, 0);
+  });
+});
+
+run();
@@ -0,0 +1,75 @@
+/* tools/check-narration.js
+   Checks narration.js: which race events are announced, and the throttling.
+   - node tools/check-narration.js
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Narration = require('../narration.js');
+const { check, run } = require('./check.js');
+
+// A motion-engine.js-like state; objects = [[id, distance, zone, finishTime?], ...]
+function state(time, objects) {
+  return {
+    time,
+    objects: objects.map(([id, distance, zone, finishTime]) => ({
+      id, distance, zone, finished: finishTime !== undefined, finishTime
+    }))
+  };
+}
+
+function narrator(options = {}) {
+  const spoken = [];
+  const n = Narration.createNarrator(Object.assign({ speak: t => spoken.push(t), minInterval: 0 }, options));
+  return { n, spoken };
+}
+
+check('zone entries, overtakes and finishes become sentences', () => {
+  const { n, spoken } = narrator();
+  n.observe(state(0, [['A', 0, 'normal'], ['B', 0, 'normal']]));
+  n.observe(state(1, [['A', 5, 'normal'], ['B', 4, 'normal']]));
+  n.observe(state(2, [['A', 9, 'normal'], ['B', 10, 'boost']]));
+  n.observe(state(3, [['A', 100, 'slow', 2.6], ['B', 90, 'slow']]));
+  assert.deepStrictEqual(spoken, [
+    'B entered boost zone at 2.0 s.',
+    'B overtook A at 2.0 s.',
+    'A finished 1st at 2.6 s.',
+    'B entered slow zone at 3.0 s.'
+    // A passing B at the line is its finish, not an overtake
+  ]);
+});
+
+check('the zone under the start line is not an event', () => {
+  const { n, spoken } = narrator();
+  n.observe(state(0, [['A', 0, null]]));
+  n.observe(state(0.1, [['A', 0, 'normal']]));
+  assert.deepStrictEqual(spoken, []);
+});
+
+check('near-ties do not flicker between overtakes', () => {
+  const { n, spoken } = narrator();
+  n.observe(state(0, [['A', 1, 'normal'], ['B', 0, 'normal']]));
+  n.observe(state(1, [['A', 2, 'normal'], ['B', 2.01, 'normal']]));
+  assert.deepStrictEqual(spoken, []);
+});
+
+check('messages that pile up are spoken together, least important dropped first', async () => {
+  const { n, spoken } = narrator({ minInterval: 30, maxBatch: 2 });
+  n.announce('Race started.');
+  n.announce('A entered boost zone.', 'zone');
+  n.announce('B overtook A.', 'overtake');
+  n.announce('B finished 1st.', 'finish');
+  assert.deepStrictEqual(n.pending(), ['A entered boost zone.', 'B overtook A.', 'B finished 1st.']);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.deepStrictEqual(spoken, ['Race started.', 'B overtook A. B finished 1st. (1 more event skipped.)']);
+});
+
+check('nothing is queued once narration is off', () => {
+  const { n, spoken } = narrator();
+  n.setEnabled(false);
+  n.announce('Race started.');
+  assert.deepStrictEqual([spoken, n.pending()], [[], []]);
+});
+
+run();
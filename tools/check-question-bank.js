@@ -0,0 +1,182 @@
+/* tools/check-question-bank.js
+   Checks question-bank.js and the bank files under banks/.
+   - node tools/check-question-bank.js
+   - Every shipped bank must load; a broken bank must fail with a sentence that
+     says which question and which field is wrong
+   - buildQuiz() must be repeatable for a seed and never lose track of the right answer
+   - Numeric answers are graded in SI units, so any allowed unit works
+*/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const QuestionBank = require('../question-bank.js');
+const { check, run } = require('./check.js');
+
+const BANK_DIR = path.join(__dirname, '..', 'banks');
+
+function question(patch) {
+  return Object.assign({
+    id: 'q1',
+    topic: 'speed',
+    prompt: 'Which is faster?',
+    options: ['The car', 'The bike'],
+    answer: 0,
+    explanation: 'The car covers more distance each second.'
+  }, patch);
+}
+
+function bank(questions, patch) {
+  return Object.assign({ id: 'test', title: 'Test bank', questions }, patch);
+}
+
+function rejects(data, pattern) {
+  assert.throws(() => QuestionBank.parseBank(data), pattern);
+}
+
+check('the built-in bank is valid', () => {
+  const b = QuestionBank.BUILT_IN;
+  assert.strictEqual(b.id, 'motion-speed');
+  assert.strictEqual(b.questions.length, 10);
+  assert.deepStrictEqual(QuestionBank.topics(b), ['motion', 'speed', 'speed-changes']);
+});
+
+check('every bank under banks/ loads', () => {
+  const files = fs.readdirSync(BANK_DIR).filter(f => f.endsWith('.json'));
+  assert.ok(files.length > 0, 'No bank files found.');
+  files.forEach(f => {
+    const b = QuestionBank.parseBank(fs.readFileSync(path.join(BANK_DIR, f), 'utf8'));
+    assert.strictEqual(QuestionBank.bankUrl(b.id), `banks/${f}`, `${f} does not match its id "${b.id}".`);
+  });
+});
+
+check('a question gets the default difficulty and a trimmed copy', () => {
+  const q = QuestionBank.parseQuestion(question({ prompt: '  Which is faster?  ', topic: 'Speed' }));
+  assert.strictEqual(q.difficulty, 'medium');
+  assert.strictEqual(q.prompt, 'Which is faster?');
+  assert.strictEqual(q.topic, 'speed');
+});
+
+check('a broken bank fails with a readable sentence', () => {
+  rejects('{oops', /not valid JSON/);
+  rejects([], /must be an object like/);
+  rejects(bank([]), /^Error: Question bank "test": "questions" must be a list/);
+  rejects(bank([question(), question()]), /question id "q1" appears twice/);
+  rejects(bank([question({ options: ['Only one'] })]), /questions\[0\] \("q1"\): "options" must be a list of 2 to 8 answers/);
+  rejects(bank([question({ options: ['Same', 'Same'] })]), /two of the "options" are the same/);
+  rejects(bank([question({ answer: 2 })]), /"answer" must be the index \(0 to 1\)/);
+  rejects(bank([question({ difficulty: 'extreme' })]), /"difficulty" must be one of: easy, medium, hard/);
+  rejects(bank([question({ explanation: '' })]), /"explanation" is required/);
+  rejects(bank([question({ id: 'has space' })]), /"id" may only use letters/);
+});
+
+check('draw settings are checked against the bank\'s topics', () => {
+  const two = [question(), question({ id: 'q2', topic: 'time' })];
+  rejects(bank(two, { settings: { draw: { distance: 1 } } }), /names topic "distance", but no question has that topic/);
+  rejects(bank(two, { settings: { draw: { speed: 2 } } }), /asks for 2 "speed" questions, but the pool only has 1/);
+  rejects(bank(two, { settings: { draw_per_topic: 0 } }), /leave no questions in the quiz/);
+  rejects(bank(two, { settings: { shuffle_options: 'yes' } }), /"settings.shuffle_options" must be true or false/);
+});
+
+check('the same bank and seed always build the same quiz', () => {
+  const b = QuestionBank.BUILT_IN;
+  const first = QuestionBank.buildQuiz(b, 12345);
+  assert.deepStrictEqual(QuestionBank.buildQuiz(b, 12345), first);
+  assert.notDeepStrictEqual(QuestionBank.buildQuiz(b, 54321).questions.map(q => q.id), first.questions.map(q => q.id));
+});
+
+check('shuffled options keep the right answer', () => {
+  const b = QuestionBank.BUILT_IN;
+  for (let seed = 0; seed < 20; seed++) {
+    QuestionBank.buildQuiz(b, seed).questions.forEach(q => {
+      const original = b.questions.find(o => o.id === q.id);
+      assert.strictEqual(q.options[q.answer], original.options[original.answer], `Seed ${seed}, "${q.id}": the answer moved.`);
+      q.order.forEach((from, i) => assert.strictEqual(q.options[i], original.options[from]));
+    });
+  }
+});
+
+check('draw_per_topic and draw pick that many questions from each topic', () => {
+  const b = QuestionBank.parseBank(Object.assign({}, QuestionBank.BUILT_IN, {
+    settings: { draw_per_topic: 2, draw: { motion: 1 } }
+  }));
+  const quiz = QuestionBank.buildQuiz(b, 7);
+  const per = {};
+  quiz.questions.forEach(q => { per[q.topic] = (per[q.topic] || 0) + 1; });
+  assert.deepStrictEqual(per, { motion: 1, speed: 2, 'speed-changes': 2 });
+});
+
+check('parseSeed() takes whole numbers from 0 to 4294967295 only', () => {
+  assert.strictEqual(QuestionBank.parseSeed(' 42 '), 42);
+  assert.strictEqual(QuestionBank.parseSeed('4294967295'), 4294967295);
+  ['4294967296', '-1', '1.5', 'abc', '', undefined].forEach(v => {
+    assert.strictEqual(QuestionBank.parseSeed(v), null, `${v} was accepted.`);
+  });
+  const seed = QuestionBank.randomSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 4294967295);
+});
+
+// A parameterized speed question like the ones in banks/speed-calculations.json
+function numeric(patch) {
+  return question(Object.assign({
+    type: 'numeric',
+    prompt: 'A tricycle goes {d} km in {t} minutes. What is its speed?',
+    quantity: 'speed',
+    params: { d: { min: 1, max: 3, step: 1 }, t: [10, 30] },
+    answer: 'd / (t / 60)',
+    unit: 'km/h',
+    units: ['km/h', 'm/s'],
+    explanation: 'speed = {d} km ÷ ({t} ÷ 60) h = {answer} km/h.',
+    options: undefined
+  }, patch));
+}
+
+check('a numeric question gets its numbers from the seed', () => {
+  const b = QuestionBank.parseBank(bank([numeric()]));
+  const q = QuestionBank.buildQuiz(b, 3).questions[0];
+  assert.deepStrictEqual(QuestionBank.buildQuiz(b, 3).questions[0], q);
+  assert.ok([1, 2, 3].includes(q.values.d) && [10, 30].includes(q.values.t), `Values out of range: ${JSON.stringify(q.values)}.`);
+  assert.strictEqual(q.answer, q.values.d / (q.values.t / 60));
+  assert.strictEqual(q.prompt, `A tricycle goes ${q.values.d} km in ${q.values.t} minutes. What is its speed?`);
+  assert.ok(q.explanation.endsWith(`= ${QuestionBank.formatNumber(q.answer)} km/h.`), q.explanation);
+});
+
+check('numeric answers are graded in SI units within the tolerance', () => {
+  const q = { type: 'numeric', quantity: 'speed', answer: 12, unit: 'km/h', units: ['km/h', 'm/s'], tolerance_pct: 2 };
+  assert.strictEqual(QuestionBank.grade(q, { value: 12, unit: 'km/h' }).correct, true);
+  assert.strictEqual(QuestionBank.grade(q, { value: 3.33, unit: 'm/s' }).correct, true);
+  assert.strictEqual(QuestionBank.grade(q, { value: 3, unit: 'm/s' }).correct, false);
+  assert.strictEqual(QuestionBank.grade(q, { value: 12, unit: 'mph' }).correct, false, 'A unit the student may not pick was accepted.');
+  assert.deepStrictEqual(QuestionBank.grade(q, null), { correct: false, errorPct: null });
+  assert.strictEqual(QuestionBank.answerText(q, 'm/s'), '12 km/h (= 3.333 m/s)');
+  assert.strictEqual(QuestionBank.responseText(q, { value: 3.33, unit: 'm/s' }), '3.33 m/s');
+});
+
+check('parseNumber() reads what students type', () => {
+  assert.strictEqual(QuestionBank.parseNumber(' 3,33 '), 3.33);
+  assert.strictEqual(QuestionBank.parseNumber('1e3'), 1000);
+  assert.strictEqual(QuestionBank.parseNumber('.5'), 0.5);
+  ['', '3 m/s', '1,000,000', 'twelve'].forEach(v => assert.ok(Number.isNaN(QuestionBank.parseNumber(v)), `"${v}" was read as a number.`));
+});
+
+check('a broken numeric question fails with a readable sentence', () => {
+  rejects(bank([numeric({ quantity: 'mass' })]), /"quantity" must be one of: distance, time, speed/);
+  rejects(bank([numeric({ unit: 'kg' })]), /"unit" must be a speed unit/);
+  rejects(bank([numeric({ answer: 'd / x' })]), /"answer": "d \/ x" uses "x", which is not defined/);
+  rejects(bank([numeric({ answer: 'd / (t - 10)' })]), /"answer" is not a number when d = 1, t = 10/);
+  rejects(bank([numeric({ prompt: 'Go {v} km.' })]), /"prompt" uses \{v\}, which is not one of the params/);
+  rejects(bank([numeric({ params: { d: { min: 1, max: 1e6, step: 1 } } })]), /more than 1000 possible values/);
+  rejects(bank([numeric({ params: { pi: [1] } })]), /a param name must be a short word/);
+  rejects(bank([question({ type: 'essay' })]), /"type" must be one of: choice, numeric/);
+});
+
+check('bankUrl() accepts plain names only', () => {
+  assert.strictEqual(QuestionBank.bankUrl(' speed-calc_2 '), 'banks/speed-calc_2.json');
+  ['../secret', 'https://example.com/x', 'a/b', ''].forEach(name => {
+    assert.throws(() => QuestionBank.bankUrl(name), /is not a question bank name/, `"${name}" was accepted.`);
+  });
+});
+
+run();
@@ -0,0 +1,262 @@
+/* tools/check-results-submit.js
+   Checks results-submit.js: the adapters and the retry queue.
+   - node tools/check-results-submit.js
+   - The queue runs on a fake clock, timer and storage, so backoff, reloads and
+     several tabs sharing one stored list are checked without waiting or a browser
+*/
+
+'use strict';
+
+const assert = require('assert');
+const ResultsSubmit = require('../results-submit.js');
+const { check, run } = require('./check.js');
+
+const RECORD = {
+  id: 'r1',
+  name: 'Juan dela Cruz',
+  section: '7-A',
+  score: 1,
+  total: 2,
+  percent: 50,
+  start_time: '2024-06-01T08:00:00.000Z',
+  end_time: '2024-06-01T08:05:30.000Z',
+  time_taken_s: 330,
+  answers: [
+    { n: 1, id: 'speed-quantities', given: 'Distance and time', correct_answer: 'Distance and time', correct: true },
+    { n: 2, id: 'reference-point', given: 'It measures force', correct_answer: 'It helps us know if an object is moving', correct: false }
+  ]
+};
+
+// Promise callbacks run before this resolves
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function fakeStorage() {
+  const data = {};
+  return {
+    data,
+    getItem: k => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); }
+  };
+}
+
+const LEASE = 60000;
+
+/* A page whose queue's adapter fails the first `failures` sends. Pages made with the
+   same `world` are tabs: they share its clock, storage and list of sent ids. The clock
+   only moves with tick(), which also fires the timer that page's queue asked for. */
+function harness(failures, extra, world = { time: 0, sent: [], storage: fakeStorage() }) {
+  const page = { world, timer: null, sent: world.sent, storage: world.storage };
+  const adapter = {
+    name: 'test',
+    label: 'test',
+    send(record) {
+      if (failures-- > 0) return Promise.reject(new Error('offline'));
+      world.sent.push(record.id);
+      return Promise.resolve();
+    }
+  };
+  page.queue = ResultsSubmit.createQueue(Object.assign({
+    adapter,
+    storage: world.storage,
+    baseDelay: 1000,
+    maxDelay: 4000,
+    maxAttempts: 4,
+    lease: LEASE,
+    now: () => world.time,
+    random: () => 0.5,
+    schedule: (fn, ms) => (page.timer = { fn, at: world.time + ms }),
+    cancel: t => { if (page.timer === t) page.timer = null; }
+  }, extra));
+  page.tick = async () => {
+    const t = page.timer;
+    assert.ok(t, 'Nothing is scheduled.');
+    page.timer = null;
+    world.time = Math.max(world.time, t.at);
+    t.fn();
+    await settle();
+    return t.at;
+  };
+  page.stored = () => JSON.parse(world.storage.getItem(ResultsSubmit.STORAGE_KEY) || '[]');
+  return page;
+}
+
+check('the EmailJS adapter fills the template and explains failures', async () => {
+  const calls = [];
+  const lib = { init: key => calls.push(['init', key]), send: (...args) => { calls.push(args); return Promise.resolve(); } };
+  const adapter = ResultsSubmit.createEmailJsAdapter({ getEmailjs: () => lib, publicKey: 'pk', serviceId: 'svc', templateId: 'tpl' });
+  await adapter.send(RECORD);
+  await adapter.send(RECORD);
+  assert.deepStrictEqual(calls.filter(c => c[0] === 'init'), [['init', 'pk']], 'init() should run once.');
+  const params = calls[1][2];
+  assert.deepStrictEqual(calls[1].slice(0, 2), ['svc', 'tpl']);
+  assert.strictEqual(params.time_taken, '5 min 30 sec');
+  assert.strictEqual(params.answers.split('\n')[0], 'Q1 [speed-quantities]: Distance and time | Correct: Distance and time');
+  assert.deepStrictEqual(JSON.parse(params.record), RECORD);
+
+  const offline = ResultsSubmit.createEmailJsAdapter({ getEmailjs: () => undefined });
+  await assert.rejects(offline.send(RECORD), /did not load \(are you offline\?\)/);
+  const refusing = ResultsSubmit.createEmailJsAdapter({ getEmailjs: () => ({ send: () => Promise.reject({ text: 'Bad template' }) }) });
+  await assert.rejects(refusing.send(RECORD), /The email service refused it: Bad template/);
+});
+
+check('the HTTP adapter POSTs JSON and turns failures into sentences', async () => {
+  let request = null;
+  const ok = ResultsSubmit.createHttpAdapter({ url: 'http://localhost:8787/results', fetch: (url, init) => { request = { url, init }; return Promise.resolve({ ok: true }); } });
+  await ok.send(RECORD);
+  assert.strictEqual(request.init.method, 'POST');
+  assert.strictEqual(request.init.headers['Content-Type'], 'application/json');
+  assert.deepStrictEqual(JSON.parse(request.init.body), RECORD);
+
+  const refused = ResultsSubmit.createHttpAdapter({ url: 'x', fetch: () => Promise.resolve({ ok: false, status: 503 }) });
+  await assert.rejects(refused.send(RECORD), /The results server answered 503/);
+  const unreachable = ResultsSubmit.createHttpAdapter({ url: 'x', fetch: () => Promise.reject(new TypeError('Failed to fetch')) });
+  await assert.rejects(unreachable.send(RECORD), /Could not reach the results server/);
+  assert.throws(() => ResultsSubmit.createHttpAdapter({}), /needs a "url"/);
+});
+
+check('the download adapter names the file after the student', async () => {
+  let saved = null;
+  const adapter = ResultsSubmit.createDownloadAdapter({ download: (text, filename) => { saved = { text, filename }; } });
+  await adapter.send(RECORD);
+  assert.strictEqual(saved.filename, 'quiz-result-Juan-dela-Cruz-r1.json');
+  assert.deepStrictEqual(JSON.parse(saved.text), RECORD);
+});
+
+check('a result that sends at once leaves only a "sent" note in storage', async () => {
+  const w = harness(0);
+  w.queue.submit(RECORD);
+  assert.strictEqual(w.stored()[0].status, 'sending', 'The entry should be stored while it is sent.');
+  await settle();
+  assert.deepStrictEqual(w.sent, ['r1']);
+  const [note] = w.stored();
+  assert.deepStrictEqual([note.id, note.status, note.record], ['r1', 'sent', undefined]);
+  assert.strictEqual(w.queue.items()[0].status, 'sent');
+  assert.strictEqual(w.timer, null);
+});
+
+check('failures back off exponentially, then give up', async () => {
+  const w = harness(10);
+  w.queue.submit(RECORD);
+  await settle();
+  const retries = [];
+  for (let i = 0; i < 3; i++) {
+    const before = w.world.time;
+    retries.push((await w.tick()) - before);
+  }
+  // random() = 0.5 -> exactly the nominal delay; capped at maxDelay
+  assert.deepStrictEqual(retries, [1000, 2000, 4000]);
+  const [entry] = w.queue.items();
+  assert.strictEqual(entry.status, 'failed');
+  assert.strictEqual(entry.attempts, 4);
+  assert.strictEqual(entry.error, 'offline');
+  assert.strictEqual(w.stored()[0].status, 'failed');
+  // the only wake-up left renews the lease; it sends nothing
+  const failedAt = w.world.time;
+  assert.strictEqual(await w.tick(), failedAt + LEASE / 2);
+  assert.strictEqual(w.queue.items()[0].attempts, 4, 'A failed entry should not be retried on its own.');
+  assert.strictEqual(w.stored()[0].lease, failedAt + LEASE / 2 + LEASE);
+});
+
+check('retry() sends a failed entry again from the first attempt', async () => {
+  const w = harness(4);
+  w.queue.submit(RECORD);
+  await settle();
+  while (w.queue.items()[0].status !== 'failed') await w.tick();
+  w.queue.retry('r1');
+  await settle();
+  assert.deepStrictEqual(w.sent, ['r1']);
+  assert.strictEqual(w.queue.items()[0].attempts, 1);
+});
+
+check('resume() picks up what an earlier page load left behind', async () => {
+  const w = harness(0);
+  w.storage.setItem(ResultsSubmit.STORAGE_KEY, JSON.stringify([
+    { id: 'a', record: Object.assign({}, RECORD, { id: 'a' }), status: 'sending', attempts: 1, nextAttempt: 0, error: null },
+    { id: 'b', record: Object.assign({}, RECORD, { id: 'b' }), status: 'pending', attempts: 2, nextAttempt: 99999, error: 'offline' },
+    { id: 'c', record: Object.assign({}, RECORD, { id: 'c' }), status: 'failed', attempts: 4, nextAttempt: null, error: 'offline' },
+    { id: 'd', status: 'pending' }
+  ]));
+  const changes = [];
+  const queue = ResultsSubmit.createQueue({ adapter: { send: r => { w.sent.push(r.id); return Promise.resolve(); } }, storage: w.storage, onChange: list => changes.push(list.length), now: () => 0, schedule: () => null, cancel: () => {} });
+  queue.resume();
+  await settle();
+  assert.deepStrictEqual(w.sent, ['a', 'b'], 'Interrupted and waiting entries are sent; failed ones wait for a retry.');
+  assert.deepStrictEqual(w.stored().map(e => [e.id, e.status]), [['a', 'sent'], ['b', 'sent'], ['c', 'failed']]);
+  assert.ok(changes.length > 0, 'onChange was never called.');
+});
+
+check('two tabs keep each other\'s entries in the stored list', async () => {
+  const a = harness(10);
+  const b = harness(10, {}, a.world);
+  a.queue.submit(Object.assign({}, RECORD, { id: 'from-a' }));
+  b.queue.submit(Object.assign({}, RECORD, { id: 'from-b' }));
+  await settle();
+  await a.tick();
+  assert.deepStrictEqual(a.stored().map(e => e.id).sort(), ['from-a', 'from-b']);
+  assert.notStrictEqual(a.stored()[0].owner, a.stored()[1].owner, 'Each tab should own its own entry.');
+});
+
+check('only one tab sends an entry; the other takes over when the owner goes quiet', async () => {
+  const a = harness(1);
+  const b = harness(0, {}, a.world);
+  a.queue.submit(RECORD);
+  await settle();
+  b.queue.resume();
+  await settle();
+  assert.deepStrictEqual(a.sent, [], 'Tab B sent an entry tab A owns.');
+  assert.deepStrictEqual(b.queue.items(), []);
+
+  // tab A's timers stop (a frozen background tab) until its lease runs out
+  a.world.time += LEASE + 1;
+  b.queue.resume();
+  await settle();
+  assert.deepStrictEqual(b.sent, ['r1']);
+  // tab A wakes up long after tab B sent it
+  a.world.time += 10 * LEASE;
+  await a.tick();
+  assert.deepStrictEqual(a.world.sent, ['r1'], 'Tab A sent it again after tab B had sent it.');
+  assert.deepStrictEqual(a.queue.items(), []);
+});
+
+check('release() hands a closing tab\'s entries to the next resume()', async () => {
+  const a = harness(1);
+  const b = harness(0, {}, a.world);
+  a.queue.submit(RECORD);
+  await settle();
+  a.queue.release();
+  assert.strictEqual(a.timer, null);
+  assert.deepStrictEqual(a.stored().map(e => [e.id, e.status, e.owner]), [['r1', 'pending', null]]);
+  b.queue.resume();
+  await settle();
+  assert.deepStrictEqual(b.sent, ['r1']);
+  assert.deepStrictEqual(b.stored().map(e => [e.id, e.status]), [['r1', 'sent']]);
+});
+
+check('"sent" notes are dropped after a day', async () => {
+  const w = harness(0);
+  w.queue.submit(RECORD);
+  await settle();
+  w.world.time += 24 * 3600000 + 1;
+  w.queue.submit(Object.assign({}, RECORD, { id: 'r2' }));
+  await settle();
+  assert.deepStrictEqual(w.stored().map(e => e.id), ['r2']);
+});
+
+check('resume() without anything new writes nothing', () => {
+  const a = harness(0);
+  let writes = 0;
+  const setItem = a.storage.setItem;
+  a.storage.setItem = (k, v) => { writes++; setItem(k, v); };
+  a.queue.resume();
+  assert.strictEqual(writes, 0, 'A write would wake the other tabs, which would write back.');
+});
+
+check('a broken or blocked storage does not stop the queue', async () => {
+  const w = harness(0, { storage: { getItem: () => '{oops', setItem: () => { throw new Error('QuotaExceededError'); } } });
+  w.queue.resume();
+  w.queue.submit(RECORD);
+  await settle();
+  assert.deepStrictEqual(w.sent, ['r1']);
+});
+
+run();
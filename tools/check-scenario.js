@@ -0,0 +1,129 @@
+/* tools/check-scenario.js
+   Checks scenario.js, the save / load / share format of the motion sim.
+   - node tools/check-scenario.js
+   - Untrusted files and #scenario= links must either load as a complete scenario
+     or fail with a readable sentence
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Scenario = require('../scenario.js');
+const { check, run } = require('./check.js');
+
+// What 1.js passes to createScenario()
+const PAGE = {
+  params: { distance_m: 250, time_s: 30, units: { distance: 'km', time: 'min', speed: 'km/h' }, integrator: 'rk4',
+    model: 'physics', force_N: 80, mu_k: 0.2, air_drag: true, drag_k: 0.1, track_mode: 'bounce' },
+  racers: [
+    { id: 'A', color: '#ff4dff', mass: 12, friction: 4, baseOffset: 0.1 },
+    { id: 'B', color: '#4dd2ff', mass: 9, friction: 7, baseOffset: -0.05 }
+  ],
+  zones: [
+    { name: 'normal', color: '#00e6ff', multiplier: 1, start: 0, end: 0.5 },
+    { name: 'boost', color: '#39ff7f', multiplier: 1.5, start: 0.5, end: 1 }
+  ],
+  linked: ['mass', 'zone']
+};
+
+function rejects(data, pattern) {
+  assert.throws(() => Scenario.parseScenario(data), pattern);
+}
+
+check('an empty object loads with every default', () => {
+  const s = Scenario.parseScenario({});
+  assert.strictEqual(s.version, Scenario.SCENARIO_VERSION);
+  assert.strictEqual(s.distance_m, 100);
+  assert.strictEqual(s.time_s, 10);
+  assert.strictEqual(s.integrator, 'semi-implicit');
+  assert.deepStrictEqual(s.units, { distance: 'm', time: 's', speed: 'm/s' });
+  assert.strictEqual(s.model, 'arcade');
+  assert.strictEqual(s.air_drag, false);
+  assert.strictEqual(s.track_mode, 'one-way');
+  assert.strictEqual(s.path, 'straight');
+  assert.strictEqual(s.path_points, null);
+  assert.strictEqual(s.zones, null);
+  assert.strictEqual(s.racers, null);
+  assert.deepStrictEqual(s.linked, []);
+});
+
+check('a saved scenario loads back as it was saved', () => {
+  const saved = Scenario.createScenario(PAGE);
+  const loaded = Scenario.parseScenario(JSON.stringify(saved));
+  assert.strictEqual(loaded.distance_m, 250);
+  assert.strictEqual(loaded.integrator, 'rk4');
+  assert.deepStrictEqual(loaded.units, PAGE.params.units);
+  assert.strictEqual(loaded.track_mode, 'bounce');
+  assert.deepStrictEqual([loaded.model, loaded.force_N, loaded.mu_k, loaded.air_drag, loaded.drag_k], ['physics', 80, 0.2, true, 0.1]);
+  assert.deepStrictEqual(loaded.zones, PAGE.zones);
+  assert.deepStrictEqual(loaded.racers.map(r => [r.id, r.mass, r.friction, r.offset]), [['A', 12, 4, 0.1], ['B', 9, 7, -0.05]]);
+  assert.deepStrictEqual(loaded.linked, ['mass'], 'Only linkable properties are kept.');
+});
+
+check('a drawn path is saved with rounded points and loads back', () => {
+  const params = Object.assign({}, PAGE.params, { path: 'custom', path_points: [[0, 0], [0.123456789, 0.5], [1, 1]] });
+  const saved = Scenario.createScenario(Object.assign({}, PAGE, { params }));
+  assert.deepStrictEqual(saved.path_points, [[0, 0], [0.1235, 0.5], [1, 1]]);
+  const loaded = Scenario.parseScenario(saved);
+  assert.strictEqual(loaded.path, 'custom');
+  assert.deepStrictEqual(loaded.path_points, saved.path_points);
+  assert.strictEqual(Scenario.createScenario(PAGE).path_points, undefined, 'Preset paths should not carry points.');
+});
+
+check('out-of-range numbers are clamped', () => {
+  const s = Scenario.parseScenario({ distance_m: 1e9, time_s: 0, force_N: 1e4, mu_k: -1, racers: [{ id: 'a', mass: 1000, offset: 3 }] });
+  assert.strictEqual(s.distance_m, 10000);
+  assert.strictEqual(s.time_s, 1);
+  assert.strictEqual(s.force_N, 500);
+  assert.strictEqual(s.mu_k, 0);
+  assert.deepStrictEqual([s.racers[0].id, s.racers[0].mass, s.racers[0].offset], ['A', 200, 0.5]);
+});
+
+check('an older file\'s units string becomes a units object', () => {
+  assert.deepStrictEqual(Scenario.parseScenario({ units: 'km_h' }).units, { distance: 'km', time: 'h', speed: 'km/h' });
+  assert.deepStrictEqual(Scenario.parseScenario({ units: 'm_s' }).units, { distance: 'm', time: 's', speed: 'm/s' });
+});
+
+check('an older file\'s global friction_pct becomes each racer\'s friction', () => {
+  const s = Scenario.parseScenario({ mass_kg: 10, friction_pct: 12, racers: [{ id: 'A' }, { id: 'B', friction: 3 }] });
+  assert.deepStrictEqual(s.racers.map(r => r.friction), [12, 3]);
+  assert.ok(!('mass_kg' in s) && !('friction_pct' in s), 'The old global fields are still there.');
+});
+
+check('an unknown force model or track mode falls back to the default', () => {
+  assert.strictEqual(Scenario.parseScenario({ model: 'quantum' }).model, 'arcade');
+  assert.strictEqual(Scenario.parseScenario({ track_mode: 'loop' }).track_mode, 'one-way');
+});
+
+check('bad data fails with a readable sentence', () => {
+  rejects('{oops', /not valid JSON/);
+  rejects([], /must be a JSON object/);
+  rejects({ version: Scenario.SCENARIO_VERSION + 1 }, /newer than this page supports/);
+  rejects({ distance_m: 'far' }, /"distance_m" must be a number/);
+  rejects({ force_N: 'strong' }, /"force_N" must be a number/);
+  rejects({ zones: [{ start: 0.5, end: 0.2 }] }, /zones\[0\] must end after it starts/);
+  rejects({ zones: [{ start: 0, end: 1, color: 'red' }] }, /"zones\[0\]\.color" must be a color/);
+  rejects({ path: 'custom' }, /A "custom" path needs its "path_points"/);
+  rejects({ path: 'custom', path_points: 'zigzag' }, /^Error: "path_points": /);
+  rejects({ units: { distance: 'furlong' } }, /^Error: "units": /);
+  rejects({ version: 1, units: { distance: 'constructor' } }, /"units": Unknown distance unit "constructor"/);
+  rejects({ racers: [{ id: 'Z' }] }, /racers\[0\]\.id must be a letter from A to H/);
+  rejects({ racers: [{ id: 'A' }, { id: 'a' }] }, /Racer A appears twice/);
+  rejects({ racers: 'ABCDEFGHI'.split('').map(id => ({ id })) }, /At most 8 racers/);
+});
+
+check('a share link decodes to the same scenario', () => {
+  const saved = Scenario.createScenario(PAGE);
+  const hash = Scenario.encodeHash(saved);
+  assert.match(hash, /^#scenario=[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(Scenario.decodeHash(hash), Scenario.parseScenario(saved));
+  assert.deepStrictEqual(Scenario.decodeHash(`#other=1&${hash.slice(1)}`), Scenario.parseScenario(saved));
+});
+
+check('links without a scenario or with a damaged one', () => {
+  assert.strictEqual(Scenario.decodeHash(''), null);
+  assert.strictEqual(Scenario.decodeHash('#section=3'), null);
+  assert.throws(() => Scenario.decodeHash('#scenario=bm90IGpzb24'), /not valid JSON/);
+});
+
+run();
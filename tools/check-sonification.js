@@ -0,0 +1,67 @@
+/* tools/check-sonification.js
+   Checks sonification.js: the speed -> pitch mapping, and the voices it builds
+   on a stand-in for the Web Audio API.
+   - node tools/check-sonification.js
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Sonification = require('../sonification.js');
+const { check, near, run } = require('./check.js');
+
+// Just enough of AudioContext to record what createSonifier() does with it
+function FakeAudioContext() {
+  const param = () => ({ value: 0, targets: [], setTargetAtTime(v) { this.targets.push(v); }, cancelScheduledValues() {} });
+  const node = extra => Object.assign({ connect() {} }, extra);
+  this.state = 'running';
+  this.currentTime = 0;
+  this.destination = node();
+  this.oscillators = [];
+  this.panners = [];
+  this.createGain = () => node({ gain: param() });
+  this.createOscillator = () => {
+    const osc = node({ type: 'sine', frequency: param(), started: false, start() { this.started = true; }, stop() {} });
+    this.oscillators.push(osc);
+    return osc;
+  };
+  this.createStereoPanner = () => {
+    const pan = node({ pan: param() });
+    this.panners.push(pan);
+    return pan;
+  };
+  this.close = () => { this.closed = true; };
+  FakeAudioContext.last = this;
+}
+
+check('pitch runs from 220 Hz at rest to 880 Hz at the top speed', () => {
+  near(Sonification.speedToFrequency(0, 10), 220, 'The pitch at rest');
+  near(Sonification.speedToFrequency(5, 10), 440, 'The pitch at half speed');
+  near(Sonification.speedToFrequency(10, 10), 880, 'The pitch at top speed');
+  near(Sonification.speedToFrequency(-10, 10), 880, 'The pitch going backwards');
+  near(Sonification.speedToFrequency(30, 10), 880, 'The pitch above top speed');
+  near(Sonification.speedToFrequency(3, 0), 220, 'The pitch with no top speed');
+});
+
+check('without Web Audio the sonifier does nothing', () => {
+  const s = Sonification.createSonifier(undefined);
+  assert.strictEqual(s.supported, false);
+  s.update([{ id: 'A', speed: 1, moving: true }], 2);
+  s.stop();
+});
+
+check('one voice per object, spread left to right', () => {
+  const s = Sonification.createSonifier(FakeAudioContext);
+  const ctx = FakeAudioContext.last;
+  s.update([{ id: 'A', speed: 0, moving: false }, { id: 'B', speed: 10, moving: true }], 10);
+  s.update([{ id: 'A', speed: 5, moving: true }, { id: 'B', speed: 10, moving: true }], 10);
+  assert.strictEqual(ctx.oscillators.length, 2);
+  assert.ok(ctx.oscillators.every(o => o.started), 'A voice was never started.');
+  assert.deepStrictEqual(ctx.panners.map(p => p.pan.value), [-0.8, 0.8]);
+  near(ctx.oscillators[1].frequency.targets[0], 880, "B's pitch");
+  near(ctx.oscillators[0].frequency.targets[1], 440, "A's pitch after speeding up");
+  s.stop();
+  assert.strictEqual(ctx.closed, true);
+});
+
+run();
@@ -0,0 +1,73 @@
+/* tools/check-track-paths.js
+   Checks track-paths.js, the 2D path geometry of the motion sim.
+   - node tools/check-track-paths.js
+*/
+
+'use strict';
+
+const assert = require('assert');
+const TrackPaths = require('../track-paths.js');
+const { check, near, run } = require('./check.js');
+
+const BOX = { x: 10, y: 20, w: 200, h: 100 };
+
+check('a straight path is measured in pixels of its box', () => {
+  const path = TrackPaths.createPath([[0, 0.5], [1, 0.5]], BOX);
+  near(path.length, 200, 'The length');
+  assert.strictEqual(path.closed, false);
+  const p = path.pointAt(0.25);
+  near(p.x, 60, 'x at a quarter');
+  near(p.y, 70, 'y at a quarter');
+  near(p.tx, 1, 'The tangent x');
+  near(p.ty, 0, 'The tangent y');
+});
+
+check('fractions outside 0..1 stay on the path', () => {
+  const path = TrackPaths.createPath([[0, 0], [1, 0]], BOX);
+  near(path.pointAt(-1).x, 10, 'x before the start');
+  near(path.pointAt(2).x, 210, 'x after the end');
+});
+
+check('the tangent follows each segment of a corner', () => {
+  const path = TrackPaths.createPath([[0, 0], [0.5, 0], [0.5, 1]], { x: 0, y: 0, w: 100, h: 100 });
+  near(path.length, 150, 'The length');
+  const before = path.pointAt(0.2);
+  const after = path.pointAt(0.8);
+  assert.deepStrictEqual([before.tx, before.ty], [1, 0]);
+  assert.deepStrictEqual([after.tx, after.ty], [0, 1]);
+  const between = path.pointsBetween(0.2, 0.8);
+  assert.ok(between.some(p => p.x === 50 && p.y === 0), 'pointsBetween() skipped the corner.');
+});
+
+check('the preset shapes are valid paths; the oval is a closed lap', () => {
+  ['oval', 's-curve'].forEach(shape => {
+    const points = TrackPaths.presetPoints(shape);
+    assert.ok(TrackPaths.normalizePoints(points).length > 2, `${shape} has too few points.`);
+  });
+  assert.strictEqual(TrackPaths.presetPoints('straight'), null);
+  const oval = TrackPaths.createPath(TrackPaths.presetPoints('oval'), BOX);
+  assert.strictEqual(oval.closed, true);
+  const start = oval.pointAt(0);
+  const end = oval.pointAt(1);
+  near(end.x, start.x, 'x after one lap', 1e-6);
+  near(end.y, start.y, 'y after one lap', 1e-6);
+  near(Math.hypot(start.tx, start.ty), 1, 'The tangent length');
+});
+
+check('drawn points are clamped, thinned and capped', () => {
+  assert.deepStrictEqual(TrackPaths.normalizePoints([[-1, 0.5], { x: 2, y: 0.5 }]), [[0, 0.5], [1, 0.5]]);
+  assert.strictEqual(TrackPaths.normalizePoints([[0, 0], [0.001, 0], [1, 0]]).length, 2);
+  const many = Array.from({ length: 1000 }, (v, i) => [i / 999, i % 2]); // a zigzag, so none are merged
+  const capped = TrackPaths.normalizePoints(many);
+  assert.strictEqual(capped.length, TrackPaths.MAX_POINTS);
+  assert.deepStrictEqual([capped[0], capped[capped.length - 1]], [[0, 0], [1, 1]]);
+});
+
+check('bad points fail with a readable sentence', () => {
+  assert.throws(() => TrackPaths.normalizePoints('0,0 1,1'), /must be a list of \[x, y\] pairs/);
+  assert.throws(() => TrackPaths.normalizePoints([[0, 0], ['a', 1]]), /Path point 2 must be two numbers/);
+  assert.throws(() => TrackPaths.normalizePoints([[0.5, 0.5]]), /at least two points/);
+  assert.throws(() => TrackPaths.normalizePoints([[0.5, 0.5], [0.55, 0.5]]), /too short/);
+});
+
+run();
@@ -0,0 +1,68 @@
+/* tools/check-units.js
+   Checks units.js: conversions, unit choices and how values are shown.
+   - node tools/check-units.js
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Units = require('../units.js');
+const { check, near, run } = require('./check.js');
+
+check('values convert to and from the base units', () => {
+  near(Units.toBase('distance', 1.5, 'km'), 1500, '1.5 km in m');
+  near(Units.toBase('time', 2, 'h'), 7200, '2 h in s');
+  near(Units.fromBase('speed', 10, 'km/h'), 36, '10 m/s in km/h');
+  near(Units.convert('distance', 1, 'mi', 'ft'), 5280, '1 mi in ft', 1e-6);
+  near(Units.convert('speed', 60, 'mph', 'km/h'), 96.56064, '60 mph in km/h', 1e-9);
+});
+
+check('a unit choice from legacy names, objects or nothing', () => {
+  assert.deepStrictEqual(Units.normalizeUnits('km_h'), { distance: 'km', time: 'h', speed: 'km/h' });
+  assert.deepStrictEqual(Units.normalizeUnits('m_s'), Units.DEFAULT_UNITS);
+  assert.deepStrictEqual(Units.normalizeUnits(undefined), Units.DEFAULT_UNITS);
+  assert.deepStrictEqual(Units.normalizeUnits('constructor'), Units.DEFAULT_UNITS);
+  assert.deepStrictEqual(Units.normalizeUnits({ time: 'min' }), { distance: 'm', time: 'min', speed: 'm/s' });
+  assert.notStrictEqual(Units.normalizeUnits(undefined), Units.DEFAULT_UNITS, 'The defaults must be a copy.');
+});
+
+check('unit names and the parts of a speed unit', () => {
+  assert.strictEqual(Units.unitName('distance', 'km'), 'kilometers');
+  assert.deepStrictEqual(Units.speedParts('mph'), { distance: 'mi', time: 'h' });
+  assert.deepStrictEqual(Units.speedParts('ft/s'), { distance: 'ft', time: 's' });
+  Object.keys(Units.SPEED).forEach(u => {
+    const parts = Units.speedParts(u);
+    near(Units.toBase('distance', 1, parts.distance) / Units.toBase('time', 1, parts.time), Units.toBase('speed', 1, u),
+      `${u} built from its parts`);
+  });
+});
+
+check('unknown units and quantities fail with a readable sentence', () => {
+  assert.throws(() => Units.normalizeUnits({ distance: 'yd' }), /Unknown distance unit "yd" \(use m, km, cm, mi, ft\)\./);
+  assert.throws(() => Units.toBase('speed', 1, 'knots'), /Unknown speed unit "knots"/);
+  assert.throws(() => Units.symbol('mass', 'kg'), /Unknown quantity "mass"/);
+  // names every object inherits are not units either
+  assert.throws(() => Units.normalizeUnits({ distance: 'constructor' }), /Unknown distance unit "constructor"/);
+  assert.throws(() => Units.toBase('time', 1, 'toString'), /Unknown time unit "toString"/);
+  assert.throws(() => Units.format('__proto__', 1, 'm'), /Unknown quantity "__proto__"/);
+});
+
+check('acceleration in the chosen speed unit per time unit', () => {
+  const kmh = { distance: 'km', time: 's', speed: 'km/h' };
+  near(Units.accelerationFromBase(1, kmh), 3.6, '1 m/s² in km/h per s');
+  near(Units.accelerationToBase(3.6, kmh), 1, '3.6 km/h per s in m/s²');
+  assert.strictEqual(Units.accelerationSymbol(Units.DEFAULT_UNITS), 'm/s²');
+  assert.strictEqual(Units.accelerationSymbol(kmh), 'km/h/s');
+});
+
+check('values are shown with enough digits to read', () => {
+  assert.strictEqual(Units.format('speed', 10, 'km/h'), '36.00 km/h');
+  assert.strictEqual(Units.format('time', 100, 'h', 2), '0.028 h');
+  assert.strictEqual(Units.formatValue(NaN), '—');
+  assert.strictEqual(Units.formatValue(0), '0.00');
+  assert.strictEqual(Units.slug('m/s²'), 'm_s2');
+  assert.deepStrictEqual(Units.options('time').map(o => o.value), ['s', 'min', 'h']);
+  assert.strictEqual(Units.options('time')[1].label, 'min (minutes)');
+});
+
+run();
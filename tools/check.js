@@ -0,0 +1,40 @@
+/* tools/check.js
+   What every tools/check-*.js script shares (Node only, no packages).
+   - check(name, fn) adds a check; fn throws (e.g. with assert) to fail and may return a promise
+   - run() runs the checks in order, prints one ok / FAILED line each and sets exit code 1
+     when any failed
+   - near() compares numbers that may differ by rounding
+*/
+
+'use strict';
+
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+function near(actual, expected, what, tolerance = 1e-9) {
+  if (!(Math.abs(actual - expected) <= tolerance)) {
+    throw new Error(`${what} is ${actual}, expected ${expected}.`);
+  }
+}
+
+async function run() {
+  let failures = 0;
+  for (const c of checks) {
+    try {
+      await c.fn();
+      console.log(`ok     ${c.name}`);
+    } catch (err) {
+      failures++;
+      console.error(`FAILED ${c.name}: ${err.message}`);
+    }
+  }
+  if (failures) {
+    console.error(`${failures} of ${checks.length} checks failed.`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { check, near, run };
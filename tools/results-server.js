@@ -0,0 +1,67 @@
+/* tools/results-server.js
+   A tiny stand-in for a school's results endpoint, for trying the quiz's HTTP backend.
+   - node tools/results-server.js [port]      (default 8787, Node only, no packages)
+   - POST /results  with a results-submit.js record (JSON) -> appended to results.jsonl
+   - GET  /results  -> every stored record as a JSON list (the dashboard can import it)
+   - Answers CORS preflights, so 6.html opened from a file or another port can post to it
+   - ?fail=1 on a POST answers 503, to watch the quiz queue and retry
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+const FILE = path.join(process.cwd(), 'results.jsonl');
+const MAX_BODY = 1024 * 1024;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readAll() {
+  if (!fs.existsSync(FILE)) return [];
+  return fs.readFileSync(FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (url.pathname !== '/results') return send(res, 404, { error: 'Use /results.' });
+  if (req.method === 'GET') return send(res, 200, readAll());
+  if (req.method !== 'POST') return send(res, 405, { error: 'Use GET or POST.' });
+  if (url.searchParams.get('fail')) return send(res, 503, { error: 'Failing on purpose (?fail=1).' });
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY) req.destroy();
+  });
+  req.on('end', () => {
+    let record;
+    try {
+      record = JSON.parse(body);
+    } catch (e) {
+      return send(res, 400, { error: 'The body is not valid JSON.' });
+    }
+    if (!record || typeof record !== 'object' || !record.id || !Array.isArray(record.answers)) {
+      return send(res, 400, { error: 'Expected a quiz result with an id and answers.' });
+    }
+    // a retried submission that already arrived is accepted again, but stored once
+    if (!readAll().some(r => r.id === record.id)) fs.appendFileSync(FILE, JSON.stringify(record) + '\n');
+    console.log(`${new Date().toISOString()}  ${record.name} (${record.section}): ${record.score}/${record.total}`);
+    send(res, 201, { ok: true, id: record.id });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Results server on http://localhost:${PORT}/results, saving to ${FILE}`);
+});
@@ -0,0 +1,137 @@
+/* track-paths.js
+   Curved 2D track paths for the simulation (used by 1.js and scenario.js).
+   - A path is a polyline in unit coordinates: (0, 0) is the top-left of the
+     track area and (1, 1) its bottom-right
+   - Preset shapes (oval, S-curve) or a custom polyline drawn by the user
+   - createPath() measures arc length in canvas pixels, so an object is placed
+     by the fraction of the path it has covered (position ÷ race distance),
+     and pointAt() also returns the unit tangent: the direction of its velocity
+   - normalizePoints() validates untrusted points; errors are readable sentences
+   - Pure functions, no DOM: loads as window.TrackPaths or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.TrackPaths = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // 'straight' is the classic lane view; the others are drawn as 2D paths
+  const SHAPES = ['straight', 'oval', 's-curve', 'custom'];
+  const PRESET_SAMPLES = 120;
+  const MAX_POINTS = 400;
+  // Points closer than this (unit coordinates) are merged
+  const MIN_POINT_GAP = 0.004;
+  // A drawn path must be at least this long (unit coordinates)
+  const MIN_PATH_LENGTH = 0.25;
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+
+  // Unit-coordinate points of a preset shape (null for straight / custom)
+  function presetPoints(shape) {
+    const pts = [];
+    if (shape === 'oval') {
+      // one lap, starting at the bottom middle and heading right (anticlockwise on screen)
+      for (let i = 0; i <= PRESET_SAMPLES; i++) {
+        const a = Math.PI / 2 - (i / PRESET_SAMPLES) * Math.PI * 2;
+        pts.push([0.5 + 0.46 * Math.cos(a), 0.5 + 0.4 * Math.sin(a)]);
+      }
+      pts[pts.length - 1] = pts[0].slice(); // close exactly
+      return pts;
+    }
+    if (shape === 's-curve') {
+      for (let i = 0; i <= PRESET_SAMPLES; i++) {
+        const t = i / PRESET_SAMPLES;
+        pts.push([0.03 + 0.94 * t, 0.5 - 0.38 * Math.sin(Math.PI * 2 * t)]);
+      }
+      return pts;
+    }
+    return null;
+  }
+
+  // Validate and tidy a list of [x, y] (or { x, y }) unit points
+  function normalizePoints(list) {
+    if (!Array.isArray(list)) throw new Error('Path points must be a list of [x, y] pairs.');
+    const out = [];
+    list.forEach((p, i) => {
+      const x = Array.isArray(p) ? p[0] : (p && p.x);
+      const y = Array.isArray(p) ? p[1] : (p && p.y);
+      if (typeof x !== 'number' || typeof y !== 'number' || !Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error(`Path point ${i + 1} must be two numbers.`);
+      }
+      const q = [clamp(x, 0, 1), clamp(y, 0, 1)];
+      const last = out[out.length - 1];
+      if (!last || Math.hypot(q[0] - last[0], q[1] - last[1]) >= MIN_POINT_GAP) out.push(q);
+    });
+    if (out.length < 2) throw new Error('A path needs at least two points.');
+    let length = 0;
+    for (let i = 1; i < out.length; i++) length += Math.hypot(out[i][0] - out[i - 1][0], out[i][1] - out[i - 1][1]);
+    if (length < MIN_PATH_LENGTH) throw new Error('The path is too short; draw a longer line across the track.');
+    if (out.length <= MAX_POINTS) return out;
+    // too many points: keep an evenly spread subset (always the two ends)
+    const step = (out.length - 1) / (MAX_POINTS - 1);
+    return Array.from({ length: MAX_POINTS }, (_, i) => out[Math.round(i * step)]);
+  }
+
+  /* Measure a unit-coordinate path inside a pixel box { x, y, w, h }.
+     Returns { length, closed, points, pointAt(fraction), pointsBetween(f0, f1) } */
+  function createPath(unitPoints, box) {
+    const points = unitPoints.map(p => ({ x: box.x + p[0] * box.w, y: box.y + p[1] * box.h }));
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    const length = Math.max(cumulative[cumulative.length - 1], 1e-9);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const closed = Math.hypot(first.x - last.x, first.y - last.y) < 1e-6;
+
+    // Segment holding arc length s (binary search on the cumulative lengths)
+    function segmentAt(s) {
+      let lo = 0, hi = points.length - 2;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (cumulative[mid] <= s) lo = mid; else hi = mid - 1;
+      }
+      return lo;
+    }
+
+    // Point and unit tangent (direction of travel) at a fraction of the length
+    function pointAt(fraction) {
+      const s = clamp(fraction, 0, 1) * length;
+      const i = segmentAt(s);
+      const a = points[i], b = points[i + 1];
+      const seg = Math.max(cumulative[i + 1] - cumulative[i], 1e-9);
+      const k = clamp((s - cumulative[i]) / seg, 0, 1);
+      return {
+        x: a.x + (b.x - a.x) * k,
+        y: a.y + (b.y - a.y) * k,
+        tx: (b.x - a.x) / seg,
+        ty: (b.y - a.y) / seg
+      };
+    }
+
+    // Polyline from fraction f0 to f1 (for drawing zones and trails)
+    function pointsBetween(f0, f1) {
+      const s0 = clamp(Math.min(f0, f1), 0, 1) * length;
+      const s1 = clamp(Math.max(f0, f1), 0, 1) * length;
+      const out = [pointAt(s0 / length)];
+      for (let i = 1; i < points.length - 1; i++) {
+        if (cumulative[i] > s0 && cumulative[i] < s1) out.push(points[i]);
+      }
+      out.push(pointAt(s1 / length));
+      return out;
+    }
+
+    return { length, closed, points, pointAt, pointsBetween };
+  }
+
+  return {
+    SHAPES,
+    MAX_POINTS,
+    presetPoints,
+    normalizePoints,
+    createPath
+  };
+});
@@ -0,0 +1,146 @@
+/* units.js
+   Units of measure for the simulation (used by 1.js and scenario.js).
+   - Every value is stored in base SI units (m, s, m/s, m/s²); units only
+     matter when a value is shown to or typed in by a person
+   - Distance: m, km, cm, mi, ft • Time: s, min, h • Speed: m/s, km/h, mph, ft/s
+   - A unit choice is { distance, time, speed }; the old 'm_s' / 'km_h' names still work
+   - Acceleration is shown as the speed unit per time unit (m/s², km/h per s...)
+   - Pure functions: loads as window.Units or with require() in Node
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Units = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // factor = size of one unit in the base unit
+  const DISTANCE = {
+    m: { symbol: 'm', name: 'meters', factor: 1 },
+    km: { symbol: 'km', name: 'kilometers', factor: 1000 },
+    cm: { symbol: 'cm', name: 'centimeters', factor: 0.01 },
+    mi: { symbol: 'mi', name: 'miles', factor: 1609.344 },
+    ft: { symbol: 'ft', name: 'feet', factor: 0.3048 }
+  };
+  const TIME = {
+    s: { symbol: 's', name: 'seconds', factor: 1 },
+    min: { symbol: 'min', name: 'minutes', factor: 60 },
+    h: { symbol: 'h', name: 'hours', factor: 3600 }
+  };
+  // per = the distance and time units a speed unit is made of
+  const SPEED = {
+    'm/s': { symbol: 'm/s', name: 'meters per second', factor: 1, per: { distance: 'm', time: 's' } },
+    'km/h': { symbol: 'km/h', name: 'kilometers per hour', factor: 1000 / 3600, per: { distance: 'km', time: 'h' } },
+    mph: { symbol: 'mph', name: 'miles per hour', factor: 1609.344 / 3600, per: { distance: 'mi', time: 'h' } },
+    'ft/s': { symbol: 'ft/s', name: 'feet per second', factor: 0.3048, per: { distance: 'ft', time: 's' } }
+  };
+  const QUANTITIES = { distance: DISTANCE, time: TIME, speed: SPEED };
+
+  const DEFAULT_UNITS = { distance: 'm', time: 's', speed: 'm/s' };
+  // Unit choices saved before this module existed
+  const LEGACY = {
+    m_s: { distance: 'm', time: 's', speed: 'm/s' },
+    km_h: { distance: 'km', time: 'h', speed: 'km/h' }
+  };
+
+  // Own keys only: a unit named "constructor" or "toString" is not a unit
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  function table(quantity) {
+    const t = has(QUANTITIES, quantity) ? QUANTITIES[quantity] : null;
+    if (!t) throw new Error(`Unknown quantity "${quantity}" (use distance, time or speed).`);
+    return t;
+  }
+
+  function unitInfo(quantity, unit) {
+    const t = table(quantity);
+    const info = has(t, unit) ? t[unit] : null;
+    if (!info) {
+      throw new Error(`Unknown ${quantity} unit "${unit}" (use ${Object.keys(t).join(', ')}).`);
+    }
+    return info;
+  }
+
+  function toBase(quantity, value, unit) { return value * unitInfo(quantity, unit).factor; }
+  function fromBase(quantity, value, unit) { return value / unitInfo(quantity, unit).factor; }
+  function convert(quantity, value, from, to) { return fromBase(quantity, toBase(quantity, value, from), to); }
+
+  function symbol(quantity, unit) { return unitInfo(quantity, unit).symbol; }
+  function unitName(quantity, unit) { return unitInfo(quantity, unit).name; }
+
+  // Distance and time units a speed unit is built from ('km/h' -> { distance: 'km', time: 'h' })
+  function speedParts(unit) { return { ...unitInfo('speed', unit).per }; }
+
+  /* A unit choice from a legacy name ('m_s', 'km_h') or a { distance, time, speed }
+     object (missing entries use the defaults). Anything else gives the defaults. */
+  function normalizeUnits(value) {
+    if (typeof value === 'string') return { ...(has(LEGACY, value) ? LEGACY[value] : DEFAULT_UNITS) };
+    if (!value || typeof value !== 'object') return { ...DEFAULT_UNITS };
+    const out = {};
+    Object.keys(DEFAULT_UNITS).forEach(q => {
+      const u = value[q] === undefined ? DEFAULT_UNITS[q] : value[q];
+      unitInfo(q, u); // throws a readable error for unknown units
+      out[q] = u;
+    });
+    return out;
+  }
+
+  // Acceleration (m/s²) <-> the chosen speed unit per time unit
+  function accelerationFromBase(value, units) {
+    return value * unitInfo('time', units.time).factor / unitInfo('speed', units.speed).factor;
+  }
+  function accelerationToBase(value, units) {
+    return value * unitInfo('speed', units.speed).factor / unitInfo('time', units.time).factor;
+  }
+  function accelerationSymbol(units) {
+    if (units.time === 's' && (units.speed === 'm/s' || units.speed === 'ft/s')) return `${units.speed}²`;
+    return `${symbol('speed', units.speed)}/${symbol('time', units.time)}`;
+  }
+
+  /* Number for display: `decimals` places, with more for small values so a
+     100 m race in hours doesn't read 0.00 */
+  function formatValue(value, decimals = 2) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return '—';
+    const abs = Math.abs(value);
+    const extra = abs > 0 && abs < 1 ? Math.min(6, Math.max(0, Math.ceil(-Math.log10(abs)) + decimals - 1)) : decimals;
+    return value.toFixed(Math.max(decimals, extra));
+  }
+
+  // "12.50 km/h" style text for a base value
+  function format(quantity, value, unit, decimals = 2) {
+    return `${formatValue(fromBase(quantity, value, unit), decimals)} ${symbol(quantity, unit)}`;
+  }
+
+  // Unit symbol safe for file names and CSV headers ('km/h' -> 'km_h')
+  function slug(unitSymbol) {
+    return String(unitSymbol).replace(/²/g, '2').replace(/[^a-z0-9]+/gi, '_');
+  }
+
+  // { value, label } list for building a <select>
+  function options(quantity) {
+    return Object.keys(table(quantity)).map(u => ({ value: u, label: `${QUANTITIES[quantity][u].symbol} (${QUANTITIES[quantity][u].name})` }));
+  }
+
+  return {
+    DISTANCE,
+    TIME,
+    SPEED,
+    DEFAULT_UNITS,
+    LEGACY,
+    toBase,
+    fromBase,
+    convert,
+    symbol,
+    unitName,
+    speedParts,
+    normalizeUnits,
+    accelerationFromBase,
+    accelerationToBase,
+    accelerationSymbol,
+    formatValue,
+    format,
+    slug,
+    options
+  };
+});
@@ -0,0 +1,265 @@
+/* zone-editor.js
+   Interactive speed-zone editor for the race track (used by 1.js).
+   - Zones are a contiguous layout covering the track: [{ name, color, multiplier, start, end }]
+     with start/end as fractions of the track distance
+   - Layout helpers are pure (they return new arrays) and also load in Node
+   - createZoneEditor() wires pointer editing on the track canvas and the zone form
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.ZoneEditor = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Narrowest zone the editor allows (fraction of the track)
+  const MIN_ZONE_WIDTH = 0.02;
+  // How close (px) the pointer must be to grab a boundary
+  const EDGE_GRAB_PX = 8;
+
+  // Ready-made zone types for the "type" picker
+  const ZONE_PRESETS = [
+    { name: 'normal', color: '#00e6ff', multiplier: 1.0 },
+    { name: 'boost', color: '#39ff7f', multiplier: 1.5 },
+    { name: 'slow', color: '#ff7a3d', multiplier: 0.6 },
+    { name: 'downhill', color: '#ffd84d', multiplier: 1.3 },
+    { name: 'uphill', color: '#a98bff', multiplier: 0.7 },
+    { name: 'mud', color: '#b5835a', multiplier: 0.4 }
+  ];
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function round4(v) { return Math.round(v * 10000) / 10000; }
+
+  function copy(zones) { return zones.map(z => ({ ...z })); }
+
+  /* ===========================
+     Pure layout helpers
+     =========================== */
+
+  // Sort, clip to [0, 1] and close gaps so every point of the track has one zone
+  function normalizeZones(list) {
+    const zones = copy(list || [])
+      .filter(z => Number.isFinite(z.start) && Number.isFinite(z.end) && z.end > z.start)
+      .sort((a, b) => a.start - b.start);
+    if (!zones.length) return [{ ...ZONE_PRESETS[0], start: 0, end: 1 }];
+    zones[0].start = 0;
+    for (let i = 1; i < zones.length; i++) zones[i].start = zones[i - 1].end;
+    zones[zones.length - 1].end = 1;
+    return zones.filter(z => z.end > z.start).map(z => ({ ...z, start: round4(z.start), end: round4(z.end) }));
+  }
+
+  // Split zone i in half; the right half becomes a new zone of the given preset
+  function splitZone(zones, i, preset = ZONE_PRESETS[0]) {
+    const out = copy(zones);
+    const z = out[i];
+    if (!z || z.end - z.start < MIN_ZONE_WIDTH * 2) return out;
+    const mid = round4((z.start + z.end) / 2);
+    const added = { name: preset.name, color: preset.color, multiplier: preset.multiplier, start: mid, end: z.end };
+    z.end = mid;
+    out.splice(i + 1, 0, added);
+    return out;
+  }
+
+  // Delete zone i; its neighbour on the left (or right, for the first) takes the space
+  function removeZone(zones, i) {
+    const out = copy(zones);
+    if (out.length <= 1 || !out[i]) return out;
+    const removed = out.splice(i, 1)[0];
+    if (i > 0) out[i - 1].end = removed.end;
+    else out[0].start = removed.start;
+    return out;
+  }
+
+  // Move the boundary between zone i and zone i + 1
+  function moveBoundary(zones, i, fraction) {
+    const out = copy(zones);
+    const left = out[i], right = out[i + 1];
+    if (!left || !right) return out;
+    const f = round4(clamp(fraction, left.start + MIN_ZONE_WIDTH, right.end - MIN_ZONE_WIDTH));
+    left.end = f;
+    right.start = f;
+    return out;
+  }
+
+  function updateZone(zones, i, patch) {
+    const out = copy(zones);
+    if (!out[i]) return out;
+    Object.assign(out[i], patch);
+    return out;
+  }
+
+  /* ===========================
+     Editor wiring (browser only)
+     opts = {
+       canvas, getTrack: () => ({ x, y, w, h }) in CSS px,
+       getZones, onChange(zones), onSelectionChange(index),
+       toggleBtn, panel, fields: { name, type, multiplier, color }, addBtn, deleteBtn
+     }
+     =========================== */
+
+  function createZoneEditor(opts) {
+    const { canvas, getTrack, getZones, onChange } = opts;
+    const fields = opts.fields || {};
+    let active = false;
+    let selected = 0;
+    let dragEdge = -1;
+
+    function zones() { return getZones(); }
+
+    function commit(next) {
+      onChange(normalizeZones(next));
+      selected = clamp(selected, 0, zones().length - 1);
+      syncForm();
+    }
+
+    function pointerFraction(ev) {
+      const rect = canvas.getBoundingClientRect();
+      const track = getTrack();
+      if (!track) return null;
+      const x = ev.clientX - rect.left;
+      return { x, fraction: clamp((x - track.x) / Math.max(track.w, 1), 0, 1), track };
+    }
+
+    // Index of the boundary (between i and i + 1) under the pointer, or -1
+    function edgeAt(x, track) {
+      const list = zones();
+      for (let i = 0; i < list.length - 1; i++) {
+        const ex = track.x + list[i].end * track.w;
+        if (Math.abs(ex - x) <= EDGE_GRAB_PX) return i;
+      }
+      return -1;
+    }
+
+    function zoneIndexAt(fraction) {
+      const list = zones();
+      const idx = list.findIndex(z => fraction >= z.start && fraction < z.end);
+      return idx < 0 ? list.length - 1 : idx;
+    }
+
+    function select(i) {
+      selected = clamp(i, 0, zones().length - 1);
+      syncForm();
+      if (opts.onSelectionChange) opts.onSelectionChange(selected);
+    }
+
+    function syncForm() {
+      const z = zones()[selected];
+      if (!z) return;
+      // leave a field alone while the user is typing in it
+      const typing = (el) => typeof document !== 'undefined' && document.activeElement === el;
+      if (fields.name && !typing(fields.name)) fields.name.value = z.name;
+      if (fields.multiplier && !typing(fields.multiplier)) fields.multiplier.value = z.multiplier;
+      if (fields.color) fields.color.value = z.color;
+      if (fields.type) {
+        const preset = ZONE_PRESETS.find(p => p.name === z.name);
+        fields.type.value = preset ? preset.name : 'custom';
+      }
+      if (opts.deleteBtn) opts.deleteBtn.disabled = zones().length <= 1;
+    }
+
+    function renderToggle() {
+      if (opts.toggleBtn) {
+        opts.toggleBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+        opts.toggleBtn.textContent = active ? 'Done editing' : 'Edit zones';
+      }
+      if (opts.panel) opts.panel.hidden = !active;
+      canvas.style.cursor = '';
+    }
+
+    function setActive(on) {
+      active = !!on;
+      renderToggle();
+      if (active) syncForm();
+      if (opts.onSelectionChange) opts.onSelectionChange(selected);
+    }
+
+    canvas.addEventListener('pointerdown', (ev) => {
+      if (!active) return;
+      const p = pointerFraction(ev);
+      if (!p) return;
+      dragEdge = edgeAt(p.x, p.track);
+      if (dragEdge >= 0) {
+        if (canvas.setPointerCapture) canvas.setPointerCapture(ev.pointerId);
+      } else {
+        select(zoneIndexAt(p.fraction));
+      }
+    });
+
+    canvas.addEventListener('pointermove', (ev) => {
+      if (!active) return;
+      const p = pointerFraction(ev);
+      if (!p) return;
+      if (dragEdge >= 0) {
+        commit(moveBoundary(zones(), dragEdge, p.fraction));
+      } else {
+        canvas.style.cursor = edgeAt(p.x, p.track) >= 0 ? 'ew-resize' : 'pointer';
+      }
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      canvas.addEventListener(type, () => { dragEdge = -1; });
+    });
+
+    if (opts.toggleBtn) opts.toggleBtn.addEventListener('click', () => setActive(!active));
+
+    if (opts.addBtn) {
+      opts.addBtn.addEventListener('click', () => {
+        const preset = ZONE_PRESETS.find(p => p.name === (fields.type && fields.type.value)) || ZONE_PRESETS[0];
+        commit(splitZone(zones(), selected, preset));
+        select(selected + 1);
+      });
+    }
+
+    if (opts.deleteBtn) {
+      opts.deleteBtn.addEventListener('click', () => {
+        commit(removeZone(zones(), selected));
+        select(Math.max(0, selected - 1));
+      });
+    }
+
+    if (fields.type) {
+      fields.type.addEventListener('change', () => {
+        const preset = ZONE_PRESETS.find(p => p.name === fields.type.value);
+        if (preset) commit(updateZone(zones(), selected, { name: preset.name, color: preset.color, multiplier: preset.multiplier }));
+      });
+    }
+    if (fields.name) {
+      fields.name.addEventListener('input', () => {
+        commit(updateZone(zones(), selected, { name: fields.name.value.trim() || 'zone' }));
+      });
+    }
+    if (fields.multiplier) {
+      fields.multiplier.addEventListener('input', () => {
+        const m = Number(fields.multiplier.value);
+        if (Number.isFinite(m)) commit(updateZone(zones(), selected, { multiplier: clamp(m, 0, 5) }));
+      });
+    }
+    if (fields.color) {
+      fields.color.addEventListener('input', () => {
+        commit(updateZone(zones(), selected, { color: fields.color.value }));
+      });
+    }
+
+    renderToggle();
+
+    return {
+      isActive: () => active,
+      getSelected: () => selected,
+      setActive,
+      select,
+      refresh: syncForm
+    };
+  }
+
+  return {
+    ZONE_PRESETS,
+    MIN_ZONE_WIDTH,
+    normalizeZones,
+    splitZone,
+    removeZone,
+    moveBoundary,
+    updateZone,
+    createZoneEditor
+  };
+});